@@ -1,6 +1,25 @@
 module.exports = {
     INVALID_WALLET_ADDRESS: 'Invalid wallet address. Please enter a 32-character address containing uppercase letters and numbers.',
     CANNOT_FIND_ORDER: 'We cannot find your order. Check your wallet address; Probably we removed your wallet address.',
-    ALREADY_ATTESTED: `Attestation already exists.\n\nIf you want to re-attest with another wallet address, please go back to the wallet and enter another address.`,
-    UNKNOWN_COMMAND: 'Unknown command. Please try again.',
+    ALREADY_ATTESTED: `Attestation already exists.\n\nIf you want to re-attest with another wallet address, send [attestations](command:attestations) and choose "Attest another address".`,
+    UNKNOWN_COMMAND: 'Unknown command. Please try again or see the [list of commands](command:help).',
+    UNKNOWN_ERROR: 'Unknown error',
+    START_ATTESTATION: 'Please use [attest](command:attest) to start the attestation process.',
+    CHOOSE_LANGUAGE: 'Choose your language: {languages}',
+    LANGUAGE_CHANGED: 'The language is changed to {language}.',
+    UNKNOWN_LANGUAGE: 'This language is not supported.',
+    HELP: 'Available commands:\n{commands}',
+    CANCELLED: 'The attestation process is cancelled. Send [attest](command:attest) to start again.',
+    COMMAND_ATTEST: 'start the attestation',
+    COMMAND_RESTART: 'start the attestation from the beginning',
+    COMMAND_CANCEL: 'cancel the attestation process',
+    COMMAND_LANGUAGE: 'choose the language',
+    COMMAND_HELP: 'show this list',
+    COMMAND_ATTESTATIONS: 'show your attestations',
+    TOO_MANY_REQUESTS: 'You are sending too many messages. Please wait {minutes} min and try again, your messages are ignored until then.',
+    OAUTH_CONNECTED: 'Your {provider} account is verified. Return to the wallet to sign the data with your address.',
+    OAUTH_ALREADY_ATTESTED: 'Your {provider} account is already attested to this address.',
+    OAUTH_FAILED: 'Failed to verify your {provider} account. Return to the wallet to try again.',
+    OAUTH_LINK_EXPIRED: 'This link has expired. Return to the wallet to get a new one.',
+    OAUTH_RETURN_TO_WALLET: 'Return to the wallet',
 }
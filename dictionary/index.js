@@ -1,45 +1,246 @@
 /**
  * Dictionary module providing localized messages and prompts
  * @module dictionary
- * @property {Object} wallet - Wallet-related messages and prompts
- * @property {Object} common - Common messages shared across the application
- * @function addLocale - Add a new locale to the dictionary
+ * @property {Object} wallet - Wallet-related messages and prompts in the default language
+ * @property {Object} common - Common messages shared across the application in the default language
+ * @function set - Add a namespace file to the dictionary
+ * @function forDevice - The messages in the language chosen by the device
  * @example
  * const { wallet, common } = require('./dictionary');
  * console.log(wallet.SIGN_MESSAGE_PROMPT);
  * console.log(common.INVALID_ADDRESS);
+ *
+ * // per-device language with the fallback chain pt-BR -> pt -> en
+ * dictionary.addLanguage('pt', { wallet: require('./wallet.pt.local') }, { name: 'Português' });
+ * await dictionary.setDeviceLanguage(device_address, 'pt-BR');
+ *
+ * const { wallet, t } = dictionary.forDevice(device_address);
+ * device.sendMessageToDevice(device_address, 'text', wallet.VALIDATION_FAILED);
+ * device.sendMessageToDevice(device_address, 'text', t('wallet.ATTESTED', { unit }));
  */
 const fs = require('fs');
 
-const { Validation, logger } = require('../src/utils');
+const { logger } = require('../src/utils');
 const { ErrorWithMessage } = require('../src/utils/ErrorWithMessage');
+const LanguageDbService = require('../src/db/LanguageDbService');
+
+const DEFAULT_LANGUAGE = 'en';
 
 const locales = {
-    wallet: require('./wallet.local'),
-    common: require('./common.local'),
+    [DEFAULT_LANGUAGE]: {
+        wallet: require('./wallet.local'),
+        common: require('./common.local'),
+    },
+}
+
+// language code => { name, fallbacks }
+const languages = {
+    [DEFAULT_LANGUAGE]: { name: 'English', fallbacks: [] },
+}
+
+const deviceLanguages = new Map();
+
+let defaultLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Replaces {name} placeholders with the params.
+ * @param {string} template - The message template.
+ * @param {Object} [params] - The values of the placeholders.
+ * @returns {string}
+ */
+const format = (template, params = {}) => template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+
+/**
+ * The languages to look up a message in: the language, its fallbacks, the base language of a regional one and the default language.
+ * @param {string} language - The language code, e.g. 'pt-BR'.
+ * @returns {string[]}
+ */
+const getFallbackChain = (language) => {
+    const chain = [];
+
+    const add = (code) => {
+        if (!code || chain.includes(code)) return;
+
+        chain.push(code);
+
+        for (const fallback of languages[code]?.fallbacks || []) add(fallback);
+
+        if (code.includes('-')) add(code.split('-')[0]);
+    };
+
+    add(language);
+    add(defaultLanguage);
+
+    return chain;
+}
+
+const hasNamespace = (language, namespace) => getFallbackChain(language).some((code) => locales[code] && namespace in locales[code]);
+
+const lookup = (language, namespace, key) => {
+    for (const code of getFallbackChain(language)) {
+        const messages = locales[code] && locales[code][namespace];
+
+        if (messages && key in messages) return messages[key];
+    }
+
+    return undefined;
+}
+
+/**
+ * The messages in a language, a missing message is taken from the next language of the fallback chain.
+ * @param {string} language - The language code.
+ * @returns {Object} { language, t(path, params), [namespace]: messages }
+ */
+const forLanguage = (language) => {
+    /**
+     * Returns the message formatted with the params. The function messages are called with the params.
+     * @param {string} path - The namespace and the key, e.g. 'wallet.ATTESTED'.
+     * @param {Object} [params] - The values of the placeholders.
+     * @returns {string}
+     */
+    const t = (path, params = {}) => {
+        const [namespace, key] = path.split('.');
+        const message = lookup(language, namespace, key);
+
+        if (message === undefined) {
+            logger.error(`Message "${path}" is not in the dictionary`);
+            return path;
+        }
+
+        return typeof message === 'function' ? message(params) : format(message, params);
+    };
+
+    return new Proxy({}, {
+        get(target, prop) {
+            if (prop === 'language') return language;
+            if (prop === 't') return t;
+
+            if (typeof prop !== 'string' || prop === 'then') return undefined;
+
+            if (!hasNamespace(language, prop)) {
+                throw new Error(`Locale "${String(prop)}" is not available`);
+            }
+
+            return new Proxy({}, {
+                get: (messages, key) => lookup(language, prop, key),
+                has: (messages, key) => lookup(language, prop, key) !== undefined,
+            });
+        }
+    });
 }
+
+// a regional language is supported when its base language is, e.g. pt-BR with pt
+const isSupported = (language) => typeof language === 'string' && Boolean(languages[language] || languages[language.split('-')[0]]);
+
+const getDeviceLanguage = (deviceAddress) => deviceLanguages.get(deviceAddress) || defaultLanguage;
+
+const methods = {
+    /**
+     * Adds a namespace from the <name>.local.js (or <name>.<language>.local.js) file of the dictionary folder in the working directory.
+     * @param {string} name - The namespace.
+     * @param {string} [language] - The language of the file, the default language if not set.
+     */
+    set(name, language) {
+        const filename = name + (language ? `.${language}` : '') + '.local.js';
+        const path = process.cwd() + '/dictionary/' + filename;
+
+        if (!fs.existsSync(path)) {
+            throw new ErrorWithMessage(`${filename} file is not in the dictionary folder`, { code: "FILE_NOT_FOUND" });
+        }
+
+        methods.addLanguage(language || defaultLanguage, { [name]: require(path) });
+        logger.info(`Locale "${name}" has been added.`);
+    },
+
+    /**
+     * Adds a language or more messages to a language.
+     * @param {string} language - The language code, e.g. 'de' or 'pt-BR'.
+     * @param {Object} namespaces - The messages by namespace: { wallet: {...}, common: {...} }.
+     * @param {Object} [options]
+     * @param {string} [options.name] - The name shown in the language menu.
+     * @param {string[]} [options.fallbacks] - The languages to take the missing messages from before the default one.
+     */
+    addLanguage(language, namespaces, { name, fallbacks } = {}) {
+        if (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(language)) {
+            throw new ErrorWithMessage('Invalid language code', { code: 'INVALID_DATA', language });
+        }
+
+        locales[language] = locales[language] || {};
+
+        for (const [namespace, messages] of Object.entries(namespaces || {})) {
+            locales[language][namespace] = { ...locales[language][namespace], ...messages };
+        }
+
+        languages[language] = {
+            name: name || languages[language]?.name || language,
+            fallbacks: fallbacks || languages[language]?.fallbacks || [],
+        };
+    },
+
+    /**
+     * @param {string} language - The language of the users that haven't chosen one.
+     */
+    setDefaultLanguage(language) {
+        if (!languages[language]) throw new ErrorWithMessage('Unknown language', { code: 'INVALID_DATA', language });
+
+        defaultLanguage = language;
+    },
+
+    hasLanguage: isSupported,
+
+    /** @returns {{ code: string, name: string }[]} */
+    getLanguages: () => Object.entries(languages).map(([code, { name }]) => ({ code, name })),
+
+    getDeviceLanguage,
+
+    /**
+     * Saves the language chosen by a device.
+     * @param {string} deviceAddress - The device address.
+     * @param {string} language - The language code.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the language is unknown.
+     */
+    async setDeviceLanguage(deviceAddress, language) {
+        if (!isSupported(language)) throw new ErrorWithMessage('Unknown language', { code: 'UNKNOWN_LANGUAGE', language });
+
+        await LanguageDbService.setDeviceLanguage(deviceAddress, language);
+        deviceLanguages.set(deviceAddress, language);
+    },
+
+    /**
+     * Loads the saved languages of the devices, called on start.
+     * @returns {Promise<void>}
+     */
+    async loadDeviceLanguages() {
+        const rows = await LanguageDbService.getDeviceLanguages();
+
+        rows.forEach(({ device_address, language }) => deviceLanguages.set(device_address, language));
+    },
+
+    forLanguage,
+
+    /**
+     * The messages in the language chosen by the device.
+     * @param {string} deviceAddress - The device address.
+     * @returns {Object} { language, t(path, params), wallet, common, ... }
+     */
+    forDevice: (deviceAddress) => forLanguage(getDeviceLanguage(deviceAddress)),
+
+    format,
+}
+
 const dictionary = new Proxy(locales, {
     get(target, prop) {
-        if (prop === 'set') {
-            return (name) => {
-                const filename = name + '.local.js';
-                const path = process.cwd() + '/dictionary/' + filename;
-
-                if (!fs.existsSync(path)) {
-                    throw new ErrorWithMessage(`${filename} file is not in the dictionary folder`, { code: "FILE_NOT_FOUND" });
-                }
-
-                target[name] = require(path);
-                logger.info(`Locale "${name}" has been added.`);
-            };
+        if (prop in methods) {
+            return methods[prop];
         }
 
-        if (prop in target) {
-            return target[prop];
+        if (prop === 't') {
+            return forLanguage(defaultLanguage).t;
         }
 
-        throw new Error(`Locale "${String(prop)}" is not available`);
+        return forLanguage(defaultLanguage)[prop];
     }
 });
 
-module.exports = dictionary;
\ No newline at end of file
+module.exports = dictionary;
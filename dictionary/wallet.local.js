@@ -1,10 +1,65 @@
+const generateVerifyMessage = require('../src/utils/generateVerifyMessage');
+
 module.exports = {
-    ASK_VERIFY_FN: (address, data) => `Please sign this message to prove that you own the address: [${address}](sign-message-request: I own the address: ${address}` + (data ? `. And I want to attest the following data: ${Object.entries(data).map(([key, value]) => `${key}: ${value}`).join(', ')})` : ')'),
+    ASK_VERIFY: 'Please sign this message to prove that you own the address: [{address}](sign-message-request: {message})',
+    // deprecated: the message has no nonce, it is accepted only with conf.allowSignaturesWithoutNonce, use BaseStrategy.requestSignature
+    ASK_VERIFY_FN: (address, data) => `Please sign this message to prove that you own the address: [${address}](sign-message-request: ${generateVerifyMessage(address, data)})`,
     INVALID_FORMAT_SIGNED_MESSAGE: 'The signed message format is invalid. Please check and try again.',
     VALIDATION_FAILED: 'Validation failed. Please try again.',
-    MISMATCH_DATA: 'The username in the signed message does not match the order. Please verify and try again.',
+    MISMATCH_DATA: 'The data in the signed message does not match the order. Please sign the message I sent you without changes.',
     MISMATCH_ADDRESS: 'The wallet address in the signed message does not match the provided address.',
     SIGNED_MSG_MISS_ADDRESS: 'Wallet address is missing in the signed message. Please check and try again.',
+    CHALLENGE_EXPIRED: 'This signature request has expired. Please sign the new one.',
+    CHALLENGE_USED: 'This signed message has already been used. Please sign a new request.',
+    CHALLENGE_INVALID: 'This signed message was not requested from this device. Please sign the message I sent you.',
     ORDER_ALREADY_ATTESTED: 'Your order has already been attested.',
+    ATTESTATION_QUEUED: 'Your signature is verified. We are posting the attestation, I will send you the unit as soon as it is done.',
+    ATTESTATION_IN_PROGRESS: 'Your attestation is already in progress. I will send you the unit as soon as it is done.',
+    ATTESTATION_DELAYED: 'We could not post your attestation right now. It will be retried automatically, please wait.',
+    ATTESTATIONS_PAUSED: 'Attestations are paused for a while for technical reasons. Your attestation is saved and will be posted automatically, I will send you the unit.',
+    ATTESTED: 'Your data was attested successfully! Unit: {unit}',
+    ATTESTATION_REVOKED: 'Your attestation of the address {address} (unit {unit}) has been revoked.',
+    ATTESTATION_REVOKED_WITH_REASON: 'Your attestation of the address {address} (unit {unit}) has been revoked.\n\nReason: {reason}',
+    SAVE_PRIVATE_PROFILE: 'Click here to save the profile in your wallet: [private profile](profile:{profile}). Only the hash of your data is published, you will be able to disclose it to the services that require it.',
     ASK_ADDRESS: 'Please send me your address that you wish to attest (click ... and Insert my address)',
+    MY_ATTESTATIONS: 'Your attestation orders:\n\n{orders}',
+    NO_ATTESTATIONS: 'You have no attestation orders yet. Use [attest](command:attest) to start the attestation process.',
+    ORDER_SUMMARY: '#{id}: {status}\nAddress: {address}\nData: {data}',
+    ORDER_UNIT: 'Unit: {unit}\n{url}',
+    ORDER_CONTINUE: '[Continue the attestation](command:continue {id})',
+    ORDER_STATUS_PENDING: 'not completed yet',
+    ORDER_STATUS_ADDRESSED: 'waiting for the signature',
+    ORDER_STATUS_VERIFIED: 'verified, under review',
+    ORDER_STATUS_AWAITING_PAYMENT: 'waiting for the payment',
+    ORDER_STATUS_PAID: 'paid, waiting for the attestation',
+    ORDER_STATUS_ATTESTING: 'the attestation is being posted',
+    ORDER_STATUS_ATTESTED: 'attested',
+    ORDER_STATUS_FAILED: 'the attestation failed',
+    ORDER_STATUS_REJECTED: 'rejected',
+    ORDER_STATUS_REVOKED: 'revoked',
+    ORDER_STATUS_REFUNDED: 'the payment was refunded',
+    ORDER_REATTEST: '[Attest another address](command:reattest {id})',
+    ORDER_NOT_REATTESTABLE: 'Only an attested order can be re-attested to another address. Send [attestations](command:attestations) to see your orders.',
+    REATTEST_PROVE_OWNERSHIP: 'To attest your data to another address, first prove that you still own the attested address {address} by signing the message below.',
+    REATTEST_NOT_CONFIRMED: 'Please sign the message with the attested address first, or send [cancel](command:cancel) to stop the re-attestation.',
+    REATTEST_ASK_ADDRESS: 'Please send me the new address that you wish to attest instead of {address} (click ... and Insert my address).',
+    REATTEST_SAME_ADDRESS: 'This address is already attested, please send another one.',
+    ORDER_NOT_CONTINUABLE: 'This order can not be continued. Send [attestations](command:attestations) to see your orders.',
+    PAYMENT_REQUIRED: 'Your signature is verified. The attestation costs {price}, please pay {link} from the attested address before {expires}. I will post the attestation as soon as the payment is confirmed.',
+    PAYMENT_RECEIVED: 'I received your payment of {amount} (unit {unit}). I will post the attestation as soon as it is confirmed, it usually takes a few minutes.',
+    PAYMENT_CONFIRMED: 'Your payment is confirmed. We are posting the attestation, I will send you the unit as soon as it is done.',
+    PAYMENT_EXPIRED: 'The time to pay for your attestation has passed. Send [attestations](command:attestations) to continue the attestation.',
+    PAYMENT_REFUNDED: 'Your payment of {amount} has been refunded. Unit: {unit}',
+    PAYMENT_UNMATCHED: 'I received {amount} (unit {unit}), but it doesn\'t pay any of your payment requests: the request has expired or asks for another asset. It will be refunded as soon as it is confirmed.',
+    PAYMENT_UNMATCHED_KEPT: 'I received {amount} (unit {unit}), but it doesn\'t pay any of your payment requests: the request has expired or asks for another asset. The amounts below {minimum} are not refunded, the fee of the refund would take most of it.',
+    ORDER_UNDER_REVIEW: 'Your signature is verified. Your order will be reviewed by our team, I will let you know the result.',
+    ORDER_REVIEW_PENDING: 'Your order is already under review, I will let you know the result.',
+    ORDER_APPROVED: 'Your order has been approved. We are posting the attestation, I will send you the unit as soon as it is done.',
+    ORDER_REJECTED: 'Your order #{id} has been rejected.',
+    ORDER_REJECTED_WITH_REASON: 'Your order #{id} has been rejected.\n\nReason: {reason}',
+    REWARD_PAID: 'You received a reward of {amount} for your attestation. Unit: {unit}',
+    REFERRAL_REWARD_PAID: 'A user you referred has been attested, you received a referral reward of {amount}. Unit: {unit}',
+    OVERPAYMENT_REFUNDED: 'You paid more than the price, the difference of {amount} has been refunded. Unit: {unit}',
+    OAUTH_AUTHORIZE: 'Please log in with {provider} to verify your account: {link}',
+    OAUTH_FAILED: 'Failed to verify your {provider} account. Please send your address again to get a new link.',
 }
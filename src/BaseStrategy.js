@@ -1,11 +1,18 @@
 const escape = require('lodash/escape');
 const eventBus = require('ocore/event_bus.js');
 
+const commandRouter = require('./walletHandlers/commands');
 const walletSessionStore = require('./walletHandlers/walletSessionStore');
 const { ErrorWithMessage } = require('../src/utils/ErrorWithMessage');
 const { logger, Validation } = require('../src/utils');
 
 const DbService = require('../src/db/DbService');
+const migrator = require('./db/migrator');
+const revokeAttestation = require('./services/revokeAttestation');
+const reviews = require('./services/reviews');
+const sendPrivateProfile = require('./services/sendPrivateProfile');
+const reattest = require('./walletHandlers/commands/reattest');
+const sendSignRequest = require('./walletHandlers/sendSignRequest');
 
 /**
  * BaseStrategy class serves as a foundational component for implementing different strategies.
@@ -20,6 +27,9 @@ class BaseStrategy {
 
     /**
      * @param {Object} options Strategy configuration options
+     * @param {string|SessionStore} [options.sessionStore] The session store backend: 'file' (default), 'sql', 'memory' or a SessionStore instance.
+     * @param {number} [options.sessionTtl] The lifetime of a session in seconds, 0 to keep sessions forever.
+     * @param {boolean} [options.privateProfiles=false] Whether all the orders are private: only the hash of the blinded profile is posted, see DbService.configure.
      * @throws {ErrorWithMessage} Throws an error if the name is not a non-empty string or if the 'domain' environment variable is not set.
     */
     constructor(options) {
@@ -27,7 +37,11 @@ class BaseStrategy {
 
         this.options = options;
 
+        walletSessionStore.configure({ backend: options?.sessionStore, ttl: options?.sessionTtl });
+        DbService.configure({ privateProfiles: options?.privateProfiles });
+
         this.sessionStore = walletSessionStore;
+        this.commands = commandRouter;
         this.validate = Validation;
         this.db = DbService;
         this.logger = logger;
@@ -52,6 +66,12 @@ class BaseStrategy {
             }
         });
 
+        eventBus.on('ATTESTATION_KIT_ATTESTATION_PROCESS_CANCELLED', async (device_address) => {
+            if (this.onAttestationProcessCancelled) {
+                this.onAttestationProcessCancelled(device_address);
+            }
+        });
+
         eventBus.on('ATTESTATION_KIT_ADDED_ADDRESS', async (device_address, wallet_address) => {
             if (this.onAddressAdded) {
                 this.onAddressAdded(device_address, wallet_address);
@@ -64,6 +84,60 @@ class BaseStrategy {
             }
         });
 
+        eventBus.on('ATTESTATION_KIT_REATTESTED', async ({ device_address, ...data }) => {
+            if (this.onReattested) {
+                this.onReattested(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_REVOKED', async ({ device_address, ...data }) => {
+            if (this.onRevoked) {
+                this.onRevoked(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_REVIEW_REQUESTED', async ({ device_address, ...data }) => {
+            if (this.onReviewRequested) {
+                this.onReviewRequested(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_REJECTED', async ({ device_address, ...data }) => {
+            if (this.onRejected) {
+                this.onRejected(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_PAID', async ({ device_address, ...data }) => {
+            if (this.onPaid) {
+                this.onPaid(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_REFUNDED', async ({ device_address, ...data }) => {
+            if (this.onRefunded) {
+                this.onRefunded(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_REWARD_PAID', async ({ device_address, ...data }) => {
+            if (this.onRewardPaid) {
+                this.onRewardPaid(device_address, data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_LOW_BALANCE', async (data) => {
+            if (this.onLowBalance) {
+                this.onLowBalance(data);
+            }
+        });
+
+        eventBus.on('ATTESTATION_KIT_BALANCE_RESTORED', async (data) => {
+            if (this.onBalanceRestored) {
+                this.onBalanceRestored(data);
+            }
+        });
+
         eventBus.on('ATTESTATION_KIT_VERIFIED_WALLET_ADDRESS', async ({ address, device_address }) => {
             if (this.walletAddressVerified) {
                 this.walletAddressVerified(device_address, address);
@@ -99,6 +173,13 @@ class BaseStrategy {
      */
     onAttestationProcessRequestedWithData(device_address, data) { }
 
+    /**
+     * Event handler called when the user cancels or restarts the attestation process.
+     * @abstract
+     * @param {string} device_address - The address of the device that cancelled the attestation process.
+     */
+    onAttestationProcessCancelled(device_address) { }
+
     /**
      * Must be implemented by derived classes.
      * Event handler called when an address is added.
@@ -117,6 +198,76 @@ class BaseStrategy {
      */
     onAttested(device_address, data) { }
 
+    /**
+     * Handler called when the data of an attested order is attested to another wallet address.
+     * @abstract
+     * @param {string} device_address - The address of the device that requested the re-attestation.
+     * @param {Object} data - address, unit, data, previous_address, previous_unit and revocation_unit (null unless conf.revokeOnReattestation is set).
+     */
+    onReattested(device_address, data) { }
+
+    /**
+     * Handler for attestation revocation events.
+     * @abstract
+     * @param {string} device_address - The address of the device that owned the revoked attestation (null if unknown).
+     * @param {Object} data - The revocation data: address, unit, revocation_unit, data and reason.
+     */
+    onRevoked(device_address, data) { }
+
+    /**
+     * Handler called when a verified order is queued for the manual review, see conf.manualReview.
+     * @abstract
+     * @param {string} device_address - The address of the user's device.
+     * @param {Object} data - address, order_id and data.
+     */
+    onReviewRequested(device_address, data) { }
+
+    /**
+     * Handler called when an order is rejected.
+     * @abstract
+     * @param {string} device_address - The address of the user's device (null if unknown).
+     * @param {Object} data - address, order_id, data and reason.
+     */
+    onRejected(device_address, data) { }
+
+    /**
+     * Handler called when the payment for an attestation is confirmed, see conf.attestationPrice.
+     * @abstract
+     * @param {string} device_address - The address of the user's device.
+     * @param {Object} data - address, order_id, amount and asset (null for bytes).
+     */
+    onPaid(device_address, data) { }
+
+    /**
+     * Handler called when a payment is refunded.
+     * @abstract
+     * @param {string} device_address - The address of the user's device.
+     * @param {Object} data - address, order_id, amount, asset, reason ('overpayment' or 'abandoned') and unit.
+     */
+    onRefunded(device_address, data) { }
+
+    /**
+     * Handler called when a reward or a referral reward is paid, see services/rewards.
+     * @abstract
+     * @param {string} device_address - The address of the payee's device (null if unknown).
+     * @param {Object} data - type ('reward' or 'referral'), address, referred_address, order_id, amount, asset and unit.
+     */
+    onRewardPaid(device_address, data) { }
+
+    /**
+     * Handler called when the attestor balance falls below conf.lowAttestorBalance.
+     * @abstract
+     * @param {Object} data - { address, balance, threshold }, the balance in bytes.
+     */
+    onLowBalance(data) { }
+
+    /**
+     * Handler called when the attestor balance is back above conf.lowAttestorBalance.
+     * @abstract
+     * @param {Object} data - { address, balance, threshold }, the balance in bytes.
+     */
+    onBalanceRestored(data) { }
+
     /**
     * Handler for attestation completion events.
     * Must be implemented by derived classes.
@@ -154,6 +305,123 @@ class BaseStrategy {
         }
     }
 
+    /**
+     * Registers the migrations of the strategy tables. They are applied on start, or at once if the database is already initialized.
+     * @param {string} namespace - Unique name of the migrations owner, e.g. the strategy name.
+     * @param {string|Object[]} migrations - A directory with <version>_<name>.sql/.js files or a list of { version, name, up(conn) }.
+     * @returns {Promise<void>}
+     */
+    async registerMigrations(namespace, migrations) {
+        return migrator.register(namespace, migrations);
+    }
+
+    /**
+     * Adds a chat command, the built-in attest, restart, cancel, language and help commands may be replaced too.
+     * @param {string} name - The command name, e.g. 'status'.
+     * @param {function(string, string[], Object): Promise<void>|void} handler - Called with the device address, the arguments and { text, args }, bound to the strategy.
+     * @param {Object} [options]
+     * @param {string|function(Object): string} [options.description] - Shown in the help, a function receives the device dictionary.
+     * @param {string[]} [options.aliases] - Other names of the command.
+     * @param {boolean} [options.hidden=false] - Whether to hide the command from the help.
+     * @throws {ErrorWithMessage} Throws an error if the name or the handler is invalid.
+     * @example
+     * this.registerCommand('status', async (device_address, [orderId]) => { ... }, { description: 'show the order status' });
+     */
+    registerCommand(name, handler, options) {
+        if (typeof handler !== 'function') throw new ErrorWithMessage('Command handler must be a function', { code: 'INVALID_DATA', name });
+
+        commandRouter.register(name, handler.bind(this), options);
+    }
+
+    /**
+     * Revokes an earlier attestation and notifies the user.
+     * @param {string} unit - The attestation unit to revoke.
+     * @param {string} [reason] - The reason of the revocation.
+     * @param {string} [address] - The attested wallet address, required if the unit contains several attestations.
+     * @returns {Promise<string>} The unit of the revocation message.
+     * @throws {ErrorWithMessage} Throws an error if the order is not found or is not attested.
+     */
+    async revokeAttestation(unit, reason, address) {
+        return revokeAttestation(unit, reason, address);
+    }
+
+    /**
+     * Asks the user to sign a single-use challenge with the wallet address. The signed message is handled by the kit:
+     * with data, the order with the same data is attested, without data walletAddressVerified is called.
+     * @param {string} device_address - The device address of the user.
+     * @param {string} address - The wallet address.
+     * @param {Object} [data] - The data of the order.
+     * @returns {Promise<void>}
+     */
+    async requestSignature(device_address, address, data) {
+        return sendSignRequest(device_address, address, data);
+    }
+
+    /**
+     * Offers the user to attest the data of an attested order to another wallet address, the same as the reattest chat command.
+     * The user signs a challenge with the attested address, sends the new address and signs the data with it, then the new attestation is posted.
+     * @param {string} device_address - The device address of the user.
+     * @param {number} orderId - The id of the attested order, it must belong to the device.
+     * @returns {Promise<void>}
+     */
+    async requestReattestation(device_address, orderId) {
+        return reattest(device_address, [String(orderId)]);
+    }
+
+    /**
+     * Lets the user continue the re-attestation without the signature of the attested address, e.g. the wallet is lost
+     * and the strategy has verified the user again by its own means. The user is asked for the new address.
+     * @param {string} device_address - The device address of the user.
+     * @returns {Promise<boolean>} Whether the device is re-attesting an order.
+     */
+    async confirmReattestation(device_address) {
+        return reattest.confirm(device_address);
+    }
+
+    /**
+     * The orders waiting for the manual review, see conf.manualReview.
+     * @returns {Promise<Object[]>} The pending reviews: { id, attestation_id, address, device_address, data, is_private, creation_date }.
+     */
+    async getReviewQueue() {
+        return reviews.getQueue();
+    }
+
+    /**
+     * Approves an order waiting for the review, its attestation is posted (or its payment is requested first).
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the order is not waiting for the review.
+     */
+    async approveOrder(orderId) {
+        return reviews.approve(orderId);
+    }
+
+    /**
+     * Rejects an order, the user gets the reason in the chat.
+     * @param {number} orderId - The id of the order.
+     * @param {string} [reason] - The reason shown to the user.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the order does not exist or is already attested.
+     */
+    async rejectOrder(orderId, reason) {
+        return reviews.reject(orderId, reason);
+    }
+
+    /**
+     * Sends the saved private profile of an attested order to the device again.
+     * @param {string} device_address - The device address of the user.
+     * @param {number} orderId - The id of the attested private order.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the order has no private profile.
+     */
+    async resendPrivateProfile(device_address, orderId) {
+        const privateProfile = await DbService.getPrivateProfile(orderId);
+
+        if (!privateProfile) throw new ErrorWithMessage('Private profile not found', { code: 'ORDER_NOT_FOUND', orderId });
+
+        sendPrivateProfile(device_address, privateProfile);
+    }
+
     static escapeHtml(unsafe = '') {
         return escape(unsafe);
     }
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const device = require('ocore/device');
+
+const BaseStrategy = require('./BaseStrategy');
+const webserver = require('./webserver');
+const dictionary = require('../dictionary');
+const { ErrorWithMessage } = require('./utils/ErrorWithMessage');
+const generateParingBackUrl = require('./utils/generateParingBackUrl');
+const generateParingUrlWithVerifyData = require('./utils/generateParingUrlWithVerifyData');
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// a random value is 32 bytes in base64url, the state is <device address>.<nonce>
+const STATE_REGEX = /^([A-Z0-9]{33})\.([A-Za-z0-9_-]{43})$/;
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+const toCodeChallenge = (codeVerifier) => crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * OAuth2Strategy attests the account of an OAuth2 provider (the authorization code flow).
+ * The user sends the wallet address, opens the authorize link from the chat and logs in with the provider.
+ * The callback exchanges the code for the tokens, maps the provider profile into the order data and returns the user
+ * to the wallet with a pairing link, the bot then asks to sign the data with the address.
+ *
+ * The authorize and callback routes are registered on the kit's webserver under options.prefix,
+ * the callback URL to register with the provider is `${process.env.domain}${prefix}/callback`.
+ * The state is single-use and bound to the device session, the PKCE code verifier is kept in the session too.
+ * @abstract
+ * @example
+ * class GithubStrategy extends OAuth2Strategy {
+ *     constructor() {
+ *         super({
+ *             name: 'github',
+ *             providerName: 'GitHub',
+ *             clientId: process.env.GITHUB_CLIENT_ID,
+ *             clientSecret: process.env.GITHUB_CLIENT_SECRET,
+ *             authorizeUrl: 'https://github.com/login/oauth/authorize',
+ *             tokenUrl: 'https://github.com/login/oauth/access_token',
+ *             userInfoUrl: 'https://api.github.com/user',
+ *             scope: 'read:user',
+ *             mapProfile: (profile) => ({ userId: String(profile.id), username: profile.login }),
+ *         });
+ *     }
+ * }
+ */
+class OAuth2Strategy extends BaseStrategy {
+    /**
+     * @param {Object} options Strategy configuration options, the BaseStrategy options are accepted too.
+     * @param {string} options.name - Unique name of the provider, used in the default prefix, e.g. 'github'.
+     * @param {string} [options.providerName] - The provider name shown to the user, options.name by default.
+     * @param {string} options.clientId - The client id issued by the provider.
+     * @param {string} [options.clientSecret] - The client secret, not needed for public clients.
+     * @param {string} options.authorizeUrl - The authorization endpoint of the provider.
+     * @param {string} options.tokenUrl - The token endpoint of the provider.
+     * @param {string} [options.userInfoUrl] - The endpoint of the user profile, required unless fetchProfile is overridden.
+     * @param {string|string[]} [options.scope] - The requested scopes.
+     * @param {boolean} [options.pkce=true] - Whether to send the PKCE code challenge (S256).
+     * @param {string} [options.prefix=/auth/<name>] - The path of the authorize and callback routes.
+     * @param {number} [options.stateTtl=600] - The lifetime of the authorize link in seconds.
+     * @param {function(Object, Object): Object|Promise<Object>} [options.mapProfile] - Maps the profile and the tokens into the data to attest, required unless mapProfile is overridden.
+     * @throws {ErrorWithMessage} Throws an error if a required option is missing.
+     */
+    constructor(options) {
+        for (const key of ['name', 'clientId', 'authorizeUrl', 'tokenUrl']) {
+            if (!options?.[key] || typeof options[key] !== 'string') throw new ErrorWithMessage(`OAuth2 option ${key} is required`, { code: 'INVALID_DATA', option: key });
+        }
+
+        if (options.mapProfile !== undefined && typeof options.mapProfile !== 'function') throw new ErrorWithMessage('OAuth2 option mapProfile must be a function', { code: 'INVALID_DATA', option: 'mapProfile' });
+
+        super(options);
+
+        this.providerName = options.providerName || options.name;
+        this.prefix = (options.prefix || `/auth/${options.name}`).replace(/\/$/, '');
+        this.stateTtl = options.stateTtl ?? 600;
+        this.pkce = options.pkce !== false;
+        this.redirectUri = `${process.env.domain}${this.prefix}/callback`;
+
+        webserver.register(async (fastify) => {
+            fastify.get('/authorize', (request, reply) => this.handleAuthorize(request, reply));
+            fastify.get('/callback', (request, reply) => this.handleCallback(request, reply));
+        }, { prefix: this.prefix });
+    }
+
+    /**
+     * The strategy is configured with the options, a subclass may override it to set up its own tables or commands.
+     * @returns {void}
+     */
+    init() { }
+
+    /**
+     * Asks the user for the wallet address to attest.
+     * @param {string} device_address - The address of the device that requested the attestation process.
+     */
+    onAttestationProcessRequestedWithoutData(device_address) {
+        device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).wallet.ASK_ADDRESS);
+    }
+
+    /**
+     * Sends the authorize link once the user has sent the wallet address.
+     * @param {string} device_address - The address of the device from which the event originated.
+     * @param {string} wallet_address - The wallet address that was added.
+     */
+    onAddressAdded(device_address, wallet_address) {
+        this.sendAuthorizeLink(device_address).catch((err) => this.logger.error('Failed to send the authorize link:', err));
+    }
+
+    /**
+     * Starts the authorization: saves a new state and PKCE code verifier in the device session and sends the authorize link.
+     * The previous link of the device stops working.
+     * @param {string} device_address - The device address of the user.
+     * @returns {Promise<string>} The authorize link.
+     */
+    async sendAuthorizeLink(device_address) {
+        const state = `${device_address}.${randomValue()}`;
+
+        await this.sessionStore.createSession(device_address);
+        await this.sessionStore.updateSession(device_address, {
+            oauth: { state, codeVerifier: this.pkce ? randomValue() : null, expiresAt: now() + this.stateTtl },
+        });
+
+        const link = `${process.env.domain}${this.prefix}/authorize?${new URLSearchParams({ state })}`;
+
+        device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('wallet.OAUTH_AUTHORIZE', { provider: this.providerName, link }));
+
+        return link;
+    }
+
+    /**
+     * The parameters of the provider's authorization URL, a subclass may add the provider-specific ones.
+     * @param {string} state - The state bound to the device session.
+     * @param {string|null} codeVerifier - The PKCE code verifier, null without PKCE.
+     * @returns {Object} The query parameters.
+     */
+    getAuthorizeParams(state, codeVerifier) {
+        const { clientId, scope } = this.options;
+
+        return {
+            response_type: 'code',
+            client_id: clientId,
+            redirect_uri: this.redirectUri,
+            ...(scope ? { scope: Array.isArray(scope) ? scope.join(' ') : scope } : {}),
+            state,
+            ...(codeVerifier ? { code_challenge: toCodeChallenge(codeVerifier), code_challenge_method: 'S256' } : {}),
+        };
+    }
+
+    /**
+     * Exchanges the authorization code for the tokens.
+     * @param {string} code - The authorization code from the callback.
+     * @param {string|null} codeVerifier - The PKCE code verifier, null without PKCE.
+     * @returns {Promise<Object>} The token response, at least { access_token }.
+     * @throws {ErrorWithMessage} Throws an error if the provider refused the code. (OAUTH_TOKEN_FAILED)
+     */
+    async exchangeCode(code, codeVerifier) {
+        const { clientId, clientSecret, tokenUrl } = this.options;
+
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: clientId,
+            ...(clientSecret ? { client_secret: clientSecret } : {}),
+            ...(codeVerifier ? { code_verifier: codeVerifier } : {}),
+        });
+
+        const response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        });
+
+        const tokens = await response.json().catch(() => null);
+
+        if (!response.ok || !tokens || tokens.error || !tokens.access_token) {
+            throw new ErrorWithMessage('Failed to exchange the authorization code', { code: 'OAUTH_TOKEN_FAILED', status: response.status, error: tokens?.error });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Retrieves the profile of the user from options.userInfoUrl.
+     * @param {Object} tokens - The token response.
+     * @returns {Promise<Object>} The provider profile.
+     * @throws {ErrorWithMessage} Throws an error if the profile can't be retrieved. (OAUTH_PROFILE_FAILED)
+     */
+    async fetchProfile(tokens) {
+        if (!this.options.userInfoUrl) throw new ErrorWithMessage('OAuth2 option userInfoUrl is required', { code: 'OAUTH_PROFILE_FAILED' });
+
+        const response = await fetch(this.options.userInfoUrl, {
+            headers: { 'Authorization': `Bearer ${tokens.access_token}`, 'Accept': 'application/json', 'User-Agent': 'attestation-kit' },
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        });
+
+        const profile = await response.json().catch(() => null);
+
+        if (!response.ok || !profile || typeof profile !== 'object') {
+            throw new ErrorWithMessage('Failed to retrieve the profile', { code: 'OAUTH_PROFILE_FAILED', status: response.status });
+        }
+
+        return profile;
+    }
+
+    /**
+     * Maps the provider profile into the data to attest, options.mapProfile by default.
+     * @param {Object} profile - The provider profile.
+     * @param {Object} tokens - The token response.
+     * @returns {Object|Promise<Object>} The data to attest (key-value pairs).
+     * @throws {ErrorWithMessage} Throws an error if neither options.mapProfile nor an override is provided.
+     */
+    mapProfile(profile, tokens) {
+        if (!this.options.mapProfile) throw new ErrorWithMessage('mapProfile method is not implemented');
+
+        return this.options.mapProfile(profile, tokens);
+    }
+
+    /**
+     * Checks the state of a callback and takes the OAuth2 data out of the device session, so the state can't be used twice.
+     * @param {string} state - The state from the query.
+     * @param {boolean} [consume=true] - Whether to remove the state from the session.
+     * @returns {Promise<{ device_address: string, session: Object, codeVerifier: string|null }>}
+     * @throws {ErrorWithMessage} Throws an error if the state is unknown or expired. (OAUTH_STATE_INVALID, OAUTH_STATE_EXPIRED)
+     */
+    async checkState(state, consume = true) {
+        const match = typeof state === 'string' && state.match(STATE_REGEX);
+
+        if (!match) throw new ErrorWithMessage('Invalid state', { code: 'OAUTH_STATE_INVALID' });
+
+        const device_address = match[1];
+        const session = await this.sessionStore.getSession(device_address);
+        const oauth = session?.oauth;
+
+        if (!oauth || typeof oauth.state !== 'string' || oauth.state.length !== state.length || !crypto.timingSafeEqual(Buffer.from(oauth.state), Buffer.from(state))) {
+            throw new ErrorWithMessage('Invalid state', { code: 'OAUTH_STATE_INVALID' });
+        }
+
+        if (consume) await this.sessionStore.updateSession(device_address, { oauth: null });
+
+        if (oauth.expiresAt < now()) throw new ErrorWithMessage('The authorize link has expired', { code: 'OAUTH_STATE_EXPIRED', device_address });
+
+        return { device_address, session, codeVerifier: oauth.codeVerifier || null };
+    }
+
+    async handleAuthorize(request, reply) {
+        try {
+            const { state } = request.query;
+            const { codeVerifier } = await this.checkState(state, false);
+
+            const url = new URL(this.options.authorizeUrl);
+
+            for (const [key, value] of Object.entries(this.getAuthorizeParams(state, codeVerifier))) {
+                url.searchParams.set(key, value);
+            }
+
+            return reply.redirect(url.toString());
+        } catch (err) {
+            return this.sendFailurePage(reply, err);
+        }
+    }
+
+    async handleCallback(request, reply) {
+        const { code, state, error } = request.query;
+
+        let device_address = null;
+
+        try {
+            const { device_address: deviceAddress, session, codeVerifier } = await this.checkState(state);
+
+            device_address = deviceAddress;
+
+            if (error) throw new ErrorWithMessage('The authorization is denied', { code: 'OAUTH_DENIED', error });
+            if (!code || typeof code !== 'string') throw new ErrorWithMessage('Authorization code is missing', { code: 'OAUTH_TOKEN_FAILED' });
+
+            const address = session.wallet;
+
+            if (!this.validate.isWalletAddress(address)) throw new ErrorWithMessage('Wallet address is not provided', { code: 'INVALID_ADDRESS' });
+
+            const tokens = await this.exchangeCode(code, codeVerifier);
+            const profile = await this.fetchProfile(tokens);
+            const data = await this.mapProfile(profile, tokens);
+
+            if (!this.validate.isDataObject(data)) throw new ErrorWithMessage('Invalid data object', { code: 'INVALID_DATA' });
+
+            // the pairing link carries the data as strings, the order is found by them
+            const orderData = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]));
+
+            const attestedOrder = await this.db.getAttestationOrders({ data: orderData, address, status: 'attested' });
+
+            if (attestedOrder) {
+                device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).wallet.ORDER_ALREADY_ATTESTED);
+
+                return this.sendPage(reply, device_address, 'common.OAUTH_ALREADY_ATTESTED');
+            }
+
+            // the address is not proven yet, the order is linked to the device when the device signs the data with it
+            const orderId = await this.db.createAttestationOrder(orderData, address);
+
+            this.logger.info(`${this.providerName} account of device ${device_address} is connected, order ${orderId}`);
+
+            const pairingUrl = generateParingUrlWithVerifyData(address, orderData, dictionary.getDeviceLanguage(device_address));
+
+            return this.sendPage(reply, device_address, 'common.OAUTH_CONNECTED', pairingUrl);
+        } catch (err) {
+            if (device_address) {
+                device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('wallet.OAUTH_FAILED', { provider: this.providerName }));
+            }
+
+            return this.sendFailurePage(reply, err, device_address);
+        }
+    }
+
+    sendFailurePage(reply, err, device_address) {
+        const code = err instanceof ErrorWithMessage ? err.code : null;
+
+        if (['OAUTH_STATE_INVALID', 'OAUTH_STATE_EXPIRED', 'OAUTH_DENIED'].includes(code)) {
+            this.logger.info(`${this.providerName} authorization failed:`, code);
+        } else {
+            this.logger.error(`${this.providerName} authorization failed:`, err);
+        }
+
+        reply.code(code === 'OAUTH_TOKEN_FAILED' || code === 'OAUTH_PROFILE_FAILED' ? 502 : 400);
+
+        return this.sendPage(reply, device_address, code === 'OAUTH_STATE_EXPIRED' ? 'common.OAUTH_LINK_EXPIRED' : 'common.OAUTH_FAILED');
+    }
+
+    /**
+     * Renders a short page in the language of the device with the link back to the wallet.
+     * @param {import('fastify').FastifyReply} reply
+     * @param {string|null} device_address - The device address of the user, null if unknown.
+     * @param {string} key - The dictionary key of the text.
+     * @param {string} [pairingUrl] - The link back to the wallet, utils.generateParingBackUrl() by default.
+     */
+    sendPage(reply, device_address, key, pairingUrl = generateParingBackUrl()) {
+        const { t } = dictionary.forDevice(device_address);
+        const escapeHtml = OAuth2Strategy.escapeHtml;
+
+        const html = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(this.providerName)}</title>
+</head>
+<body>
+    <p>${escapeHtml(t(key, { provider: this.providerName }))}</p>
+    <p><a href="${escapeHtml(pairingUrl)}">${escapeHtml(t('common.OAUTH_RETURN_TO_WALLET'))}</a></p>
+</body>
+</html>`;
+
+        return reply.type('text/html; charset=utf-8').send(html);
+    }
+}
+
+module.exports = OAuth2Strategy;
@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+const toCsv = require('../toCsv');
+const { findOrders, toRow } = require('../orders');
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+const CSV_COLUMNS = ['id', 'status', 'address', 'device_address', 'data', 'unit', 'is_private', 'previous_order_id', 'creation_date'];
+
+/**
+ * export [--format csv|json] [--output <file>] [filters of list]: prints the orders or writes them to the file.
+ */
+module.exports = async ({ options }) => {
+    const format = options.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) throw new ErrorWithMessage(`Unknown format "${format}", expected csv or json`, { code: 'INVALID_DATA' });
+
+    const orders = await findOrders(options);
+    const content = format === 'json' ? JSON.stringify(orders, null, 2) + '\n' : toCsv(orders.map(toRow), CSV_COLUMNS);
+
+    if (!options.output) return content.trimEnd();
+
+    fs.writeFileSync(options.output, content);
+
+    return `${orders.length} orders are exported to ${options.output}`;
+};
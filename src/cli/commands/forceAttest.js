@@ -0,0 +1,82 @@
+const eventBus = require('ocore/event_bus.js');
+
+const OutboxDbService = require('../../db/OutboxDbService');
+const ReviewDbService = require('../../db/ReviewDbService');
+const { getOrder } = require('../orders');
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+/**
+ * Starts the attestor wallet in this process, it is required only to post.
+ * @returns {Promise<object>} The headless-obyte module.
+ */
+const startWallet = () => new Promise((resolve) => {
+    eventBus.once('headless_wallet_ready', () => resolve(require('headless-obyte')));
+
+    require('headless-obyte');
+});
+
+/**
+ * Posts the attestation and completes it as the bot does: the user is notified, the event is emitted,
+ * the webhooks and the rewards are queued. The bot delivers and pays what is left in the queues when it starts again.
+ * @param {object} order - The order.
+ * @returns {Promise<string>} The attestation unit.
+ */
+const attest = async (order) => {
+    // required after the wallet has started, they use it
+    const { prepareAttestation, postPreparedAttestations } = require('../../utils');
+    const completeAttestation = require('../../services/completeAttestation');
+    const webhookDispatcher = require('../../services/webhookDispatcher');
+    const rewards = require('../../services/rewards');
+
+    // only queued here, the bot sends them: this process would send the bot's in-flight deliveries and payouts again
+    if (webhookDispatcher.webhooks.length) webhookDispatcher.listen();
+    rewards.listen();
+
+    try {
+        const attestation = { orderId: order.id, address: order.user_wallet_address, data: order.data, device_address: order.user_device_address };
+        const prepared = prepareAttestation({ address: order.user_wallet_address, profile: order.data, isPrivate: !!order.is_private });
+        const { unit, privateProfiles: [privateProfile] } = await postPreparedAttestations([prepared]);
+
+        await completeAttestation(attestation, unit, privateProfile);
+
+        return unit;
+    } finally {
+        await Promise.all([webhookDispatcher.idle(), rewards.idle()]);
+
+        webhookDispatcher.stop();
+        rewards.stop();
+    }
+}
+
+/**
+ * force-attest <id> --yes [--force]: posts the attestation of the order from this process, without the outbox.
+ * The attestor wallet is opened here, so the bot should be stopped. The orders awaiting a payment or a review are attested only with --force.
+ * The orders created as private, e.g. by a strategy with privateProfiles, are attested privately.
+ */
+module.exports = async ({ args: [id], options }) => {
+    const order = await getOrder(id);
+
+    if (!order.user_wallet_address) throw new ErrorWithMessage(`Order ${order.id} has no wallet address`, { code: 'ADDRESS_NOT_FOUND' });
+    if (['attested', 'revoked'].includes(order.status)) throw new ErrorWithMessage(`Order ${order.id} is already ${order.status}`, { code: 'ALREADY_ATTESTED' });
+    if (order.status === 'rejected') throw new ErrorWithMessage(`Order ${order.id} is rejected, re-open it first`, { code: 'ORDER_NOT_ATTESTABLE' });
+    if (await OutboxDbService.getActiveJob(order.id)) throw new ErrorWithMessage(`Order ${order.id} is being attested by the bot`, { code: 'ATTESTATION_IN_PROGRESS' });
+
+    const review = await ReviewDbService.getOrderReview(order.id);
+    const underReview = review && review.status === 'pending';
+
+    if (!options.force) {
+        if (order.status === 'awaiting_payment') throw new ErrorWithMessage(`Order ${order.id} is awaiting a payment, run the command with --force to attest it anyway`, { code: 'CONFIRMATION_REQUIRED' });
+        if (underReview) throw new ErrorWithMessage(`Order ${order.id} is under review, run the command with --force to attest it anyway`, { code: 'CONFIRMATION_REQUIRED' });
+    }
+
+    if (!options.yes) throw new ErrorWithMessage(`This posts the attestation of ${order.user_wallet_address} to the DAG, stop the bot and run the command with --yes`, { code: 'CONFIRMATION_REQUIRED' });
+
+    await startWallet();
+
+    const unit = await attest(order);
+
+    // the forced attestation approves the pending review
+    if (underReview) await ReviewDbService.setReviewStatus(review.id, 'approved', 'Attested from the command line');
+
+    return `Order ${order.id} is attested with unit ${unit}`;
+};
@@ -0,0 +1,13 @@
+const formatTable = require('../formatTable');
+const { ORDER_COLUMNS, findOrders, toRow } = require('../orders');
+
+/**
+ * list [--status <status>] [--address <address>] [--unit <unit>] [--data key=value ...] [--active]
+ */
+module.exports = async ({ options }) => {
+    const orders = await findOrders(options);
+
+    if (orders.length === 0) return 'No orders found';
+
+    return `${formatTable(orders.map(toRow), ORDER_COLUMNS)}\n\n${orders.length} orders`;
+};
@@ -0,0 +1,23 @@
+const reviews = require('../../services/reviews');
+const webhookDispatcher = require('../../services/webhookDispatcher');
+const { getOrder } = require('../orders');
+
+/**
+ * reject <id> [--reason <reason>]: rejects the order as the admin API does, the pending review is closed and ATTESTATION_KIT_REJECTED is emitted,
+ * its webhooks are queued and the running bot delivers them. The user is not notified from the command line, the attestor wallet is not opened here.
+ */
+module.exports = async ({ args: [id], options }) => {
+    const order = await getOrder(id);
+
+    // only queued here, delivering from this process as well would send them twice
+    if (webhookDispatcher.webhooks.length) webhookDispatcher.listen();
+
+    try {
+        await reviews.reject(order.id, options.reason, { notify: false });
+    } finally {
+        await webhookDispatcher.idle();
+        webhookDispatcher.stop();
+    }
+
+    return `Order ${order.id} is rejected`;
+};
@@ -0,0 +1,15 @@
+const DbService = require('../../db/DbService');
+const { getOrder } = require('../orders');
+
+/**
+ * reopen <id>: a rejected, failed or refunded order can be continued by the user again.
+ */
+module.exports = async ({ args: [id] }) => {
+    const order = await getOrder(id);
+
+    await DbService.reopenAttestationOrder(order.id);
+
+    const { status } = await getOrder(order.id);
+
+    return `Order ${order.id} is re-opened, its status is ${status}`;
+};
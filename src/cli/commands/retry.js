@@ -0,0 +1,18 @@
+const OutboxDbService = require('../../db/OutboxDbService');
+const { getOrder } = require('../orders');
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+/**
+ * retry <id>: queues the failed attestation again, the running bot posts it.
+ */
+module.exports = async ({ args: [id] }) => {
+    const order = await getOrder(id);
+
+    if (order.status !== 'failed') throw new ErrorWithMessage(`Order ${order.id} is ${order.status}, only a failed order can be retried`, { code: 'ORDER_NOT_FAILED' });
+
+    const jobId = await OutboxDbService.retryFailedJob(order.id);
+
+    if (!jobId) throw new ErrorWithMessage(`Order ${order.id} has no failed attestation job, use force-attest`, { code: 'JOB_NOT_FOUND' });
+
+    return `Attestation job ${jobId} of order ${order.id} is queued again, the running bot will post it`;
+};
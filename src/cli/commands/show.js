@@ -0,0 +1,38 @@
+const DbService = require('../../db/DbService');
+const OutboxDbService = require('../../db/OutboxDbService');
+const serializeOrder = require('../../webserver/utils/serializeOrder');
+const formatTable = require('../formatTable');
+const { ORDER_COLUMNS, getOrder, toRow } = require('../orders');
+
+const JOB_COLUMNS = [
+    { key: 'id', title: 'JOB' },
+    { key: 'status', title: 'STATUS' },
+    { key: 'attempts', title: 'ATTEMPTS' },
+    { key: 'unit', title: 'UNIT' },
+    { key: 'last_error', title: 'LAST ERROR' },
+    { key: 'creation_date', title: 'CREATED' },
+];
+
+/**
+ * show <id>: the order, its previous orders and its attestation jobs.
+ */
+module.exports = async ({ args: [id] }) => {
+    const order = serializeOrder(await getOrder(id));
+
+    const fields = Object.entries(toRow(order)).map(([field, value]) => ({ field, value }));
+    const sections = [formatTable(fields, [{ key: 'field', title: 'FIELD' }, { key: 'value', title: 'VALUE' }])];
+
+    const [, ...previousOrders] = await DbService.getOrderHistory(order.id);
+
+    if (previousOrders.length) {
+        sections.push('Previous orders:\n' + formatTable(previousOrders.map(serializeOrder).map(toRow), ORDER_COLUMNS));
+    }
+
+    const jobs = await OutboxDbService.getOrderJobs(order.id);
+
+    if (jobs.length) {
+        sections.push('Attestation jobs:\n' + formatTable(jobs, JOB_COLUMNS));
+    }
+
+    return sections.join('\n\n');
+};
@@ -0,0 +1,31 @@
+const clc = require('cli-color');
+
+const MAX_CELL_WIDTH = 60;
+
+const toCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ');
+
+    return text.length > MAX_CELL_WIDTH ? text.slice(0, MAX_CELL_WIDTH - 1) + '…' : text;
+}
+
+/**
+ * Formats rows as a text table with a header line.
+ * @param {Object[]} rows - The rows.
+ * @param {{ key: string, title: string }[]} columns - The columns in the order of output.
+ * @returns {string}
+ * @example
+ * formatTable([{ id: 1, status: 'attested' }], [{ key: 'id', title: 'ID' }, { key: 'status', title: 'STATUS' }]);
+ * // ID  STATUS
+ * // 1   attested
+ */
+module.exports = (rows, columns) => {
+    const cells = rows.map((row) => columns.map(({ key }) => toCell(row[key])));
+    const widths = columns.map(({ title }, index) => Math.max(title.length, ...cells.map((line) => line[index].length)));
+
+    const formatLine = (line) => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [
+        clc.bold(formatLine(columns.map(({ title }) => title))),
+        ...cells.map(formatLine),
+    ].join('\n');
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Admin command line tool for the attestation orders. Run it in the bot's directory,
+ * it uses the same conf.js and database as the running bot.
+ * @module cli
+ * @example
+ * npx attestation-kit-admin list --status failed
+ * npx attestation-kit-admin list --data userId=123 --active
+ * npx attestation-kit-admin show 42
+ * npx attestation-kit-admin reject 42
+ * npx attestation-kit-admin reopen 42
+ * npx attestation-kit-admin retry 42
+ * npx attestation-kit-admin force-attest 42 --yes
+ * npx attestation-kit-admin export --format json --output orders.json --status attested
+ */
+
+const { parseArgs } = require('util');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const COMMANDS = {
+    list: './commands/list',
+    show: './commands/show',
+    reject: './commands/reject',
+    reopen: './commands/reopen',
+    retry: './commands/retry',
+    'force-attest': './commands/forceAttest',
+    export: './commands/export',
+};
+
+const USAGE = `Usage: attestation-kit-admin <command> [options]
+
+Commands:
+  list                 List the orders
+  show <id>            Show an order with its previous orders and attestation jobs
+  reject <id>          Reject an order, --reason <reason> is saved with its review. The webhooks are queued
+                       for the running bot, the user is not notified
+  reopen <id>          Re-open a rejected, failed or refunded order
+  retry <id>           Queue the failed attestation of an order again, the running bot posts it
+  force-attest <id>    Post the attestation of an order from this process (stop the bot first, requires --yes,
+                       the orders awaiting a payment or a review require --force)
+  export               Export the orders as CSV or JSON
+
+Filters of list and export:
+  --status <status>    Only the orders in the status
+  --address <address>  Only the orders of the wallet address
+  --unit <unit>        Only the order attested in the unit
+  --data <key=value>   Only the orders with the data, repeatable
+  --active             Exclude the attested, revoked and rejected orders
+
+Options of export:
+  --format <csv|json>  csv by default
+  --output <file>      Write to the file instead of the output`;
+
+const OPTIONS = {
+    status: { type: 'string' },
+    address: { type: 'string' },
+    unit: { type: 'string' },
+    data: { type: 'string', multiple: true },
+    active: { type: 'boolean' },
+    format: { type: 'string' },
+    output: { type: 'string' },
+    yes: { type: 'boolean' },
+    force: { type: 'boolean' },
+    reason: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Runs a command.
+ * @param {string[]} argv - The command line arguments without the node and the script paths.
+ * @returns {Promise<string>} The output.
+ * @throws {ErrorWithMessage} Throws an error if the command or the options are unknown or the command fails.
+ */
+const run = async (argv) => {
+    let parsed;
+
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new ErrorWithMessage(`${err.message}\n\n${USAGE}`, { code: 'INVALID_ARGUMENTS' });
+    }
+
+    const { values: options, positionals: [name, ...args] } = parsed;
+
+    if (!name || options.help) return USAGE;
+
+    if (!COMMANDS[name]) throw new ErrorWithMessage(`Unknown command "${name}"\n\n${USAGE}`, { code: 'UNKNOWN_COMMAND' });
+
+    return require(COMMANDS[name])({ args, options });
+}
+
+module.exports = run;
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then((output) => {
+            process.stdout.write(output + '\n');
+            process.exit(0);
+        })
+        .catch((err) => {
+            process.stderr.write(`Error: ${err.message}\n`);
+            process.exit(1);
+        });
+}
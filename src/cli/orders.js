@@ -0,0 +1,82 @@
+const DbService = require('../db/DbService');
+const serializeOrder = require('../webserver/utils/serializeOrder');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+/**
+ * The table columns of the orders.
+ * @type {{ key: string, title: string }[]}
+ */
+const ORDER_COLUMNS = [
+    { key: 'id', title: 'ID' },
+    { key: 'status', title: 'STATUS' },
+    { key: 'address', title: 'ADDRESS' },
+    { key: 'device_address', title: 'DEVICE' },
+    { key: 'unit', title: 'UNIT' },
+    { key: 'data', title: 'DATA' },
+    { key: 'creation_date', title: 'CREATED' },
+];
+
+/**
+ * Parses the data filters: key=value.
+ * @param {string[]} [pairs]
+ * @returns {Object|undefined}
+ * @throws {ErrorWithMessage} Throws an error if a filter is not key=value.
+ */
+const parseDataFilters = (pairs = []) => {
+    if (pairs.length === 0) return undefined;
+
+    return Object.fromEntries(pairs.map((pair) => {
+        const index = pair.indexOf('=');
+
+        if (index <= 0) throw new ErrorWithMessage(`Invalid data filter "${pair}", expected key=value`, { code: 'INVALID_DATA' });
+
+        return [pair.slice(0, index), pair.slice(index + 1)];
+    }));
+}
+
+/**
+ * Finds the orders by the command line filters.
+ * @param {Object} options - --status, --address, --unit, --data key=value (repeatable) and --active.
+ * @returns {Promise<Object[]>} The serialized orders.
+ */
+const findOrders = async (options) => {
+    const orders = await DbService.getAttestationOrders({
+        data: parseDataFilters(options.data),
+        address: options.address,
+        unit: options.unit,
+        status: options.status,
+        excludeAttested: Boolean(options.active),
+        excludeRejected: Boolean(options.active),
+    }, true);
+
+    return orders.map(serializeOrder);
+}
+
+/**
+ * @param {string} id - The order id from the command line.
+ * @returns {Promise<Object>} The order row.
+ * @throws {ErrorWithMessage} Throws an error if the order is not found.
+ */
+const getOrder = async (id) => {
+    const orderId = Number(id);
+
+    if (!Number.isInteger(orderId) || orderId <= 0) throw new ErrorWithMessage('Order id is required', { code: 'INVALID_DATA' });
+
+    const order = await DbService.getAttestationOrders({ id: orderId });
+
+    if (!order) throw new ErrorWithMessage(`Order ${orderId} not found`, { code: 'ORDER_NOT_FOUND' });
+
+    return order;
+}
+
+/**
+ * The order as a table row, the data as key=value pairs.
+ * @param {Object} order - The serialized order.
+ * @returns {Object}
+ */
+const toRow = (order) => ({
+    ...order,
+    data: Object.entries(order.data).map(([key, value]) => `${key}=${value}`).join(', '),
+});
+
+module.exports = { ORDER_COLUMNS, findOrders, getOrder, toRow };
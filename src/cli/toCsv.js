@@ -0,0 +1,15 @@
+const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts rows to CSV (RFC 4180) with a header line.
+ * @param {Object[]} rows - The rows.
+ * @param {string[]} columns - The keys of the columns.
+ * @returns {string}
+ */
+module.exports = (rows, columns) => [columns, ...rows.map((row) => columns.map((key) => row[key]))]
+    .map((line) => line.map(escape).join(','))
+    .join('\r\n') + '\r\n';
@@ -0,0 +1,58 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+/**
+ * ChallengeDbService class provides methods to interact with the nonces of the sign-message challenges.
+ */
+class ChallengeDbService {
+    /**
+     * Saves an issued challenge.
+     * @param {Object} challenge
+     * @param {string} challenge.nonce - The nonce.
+     * @param {string} challenge.device_address - The device the challenge is sent to.
+     * @param {string} challenge.address - The wallet address that must sign it.
+     * @param {number} challenge.expiresAt - Unix timestamp (ms).
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async addChallenge({ nonce, device_address, address, expiresAt }) {
+        if (!nonce || !device_address || !address || !expiresAt) throw new ErrorWithMessage('Invalid challenge', { code: 'INVALID_DATA', nonce });
+
+        await db.query("INSERT INTO ATTESTATION_KIT_challenges (nonce, device_address, address, expires_at) VALUES (?, ?, ?, ?)", [nonce, device_address, address, expiresAt]);
+    }
+
+    /**
+     * @param {string} nonce
+     * @returns {Promise<object|null>} The challenge or null if not found.
+     */
+    static async getChallenge(nonce) {
+        const [challenge] = await db.query("SELECT * FROM ATTESTATION_KIT_challenges WHERE nonce = ?", [nonce]);
+
+        return challenge || null;
+    }
+
+    /**
+     * Marks the challenge as used unless it is already used.
+     * @param {string} nonce
+     * @returns {Promise<boolean>} Whether the challenge was unused.
+     */
+    static async markChallengeUsed(nonce) {
+        const { affectedRows } = await db.query("UPDATE ATTESTATION_KIT_challenges SET used_at = ? WHERE nonce = ? AND used_at IS NULL", [Date.now(), nonce]);
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * Removes the challenges that expired before the timestamp.
+     * @param {number} before - Unix timestamp (ms).
+     * @returns {Promise<number>} The number of removed challenges.
+     */
+    static async deleteExpiredChallenges(before) {
+        const { affectedRows } = await db.query("DELETE FROM ATTESTATION_KIT_challenges WHERE expires_at <= ?", [before]);
+
+        return affectedRows || 0;
+    }
+}
+
+module.exports = ChallengeDbService;
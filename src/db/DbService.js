@@ -9,36 +9,163 @@ const logger = require('../utils/logger');
  */
 class DbService {
     /**
-     * Creates a new attestation order.
-     * @param {object} data - The user's data to attest. (maximum 4 key-value pairs)
+     * Allowed statuses of attestation orders.
+     * @type {string[]}
+     */
+    static STATUSES = ['pending', 'addressed', 'verified', 'awaiting_payment', 'paid', 'attesting', 'attested', 'failed', 'rejected', 'revoked', 'refunded'];
+
+    /**
+     * Whether the orders are private by default, see configure.
+     * @type {boolean}
+     */
+    static privateProfiles = false;
+
+    /**
+     * Applies the options of the strategy, see BaseStrategy.
+     * @param {Object} options
+     * @param {boolean} [options.privateProfiles] - Whether all the orders are private: the new ones are created private and the unfinished ones are made private when they are queued.
+     */
+    static configure({ privateProfiles } = {}) {
+        if (privateProfiles !== undefined) DbService.privateProfiles = Boolean(privateProfiles);
+    }
+
+    /**
+     * Creates a new attestation order. With isPrivate, the existing order of the same data is made private, see markOrderPrivate.
+     * @param {object} data - The user's data to attest (key-value pairs).
      * @param {boolean} [allowDuplicates=true] - Whether to allow duplicate orders.
+     * @param {boolean} [isPrivate=DbService.privateProfiles] - Whether to post only the hashed profile to the DAG.
      * @returns {Promise<number>} The ID of the inserted attestation order.
      * @throws {ErrorWithMessage} Throws an error if validation fails or if the order already exists.
      */
-    static async createAttestationOrder(data, address, allowDuplicates = true) {
+    static async createAttestationOrder(data, address, allowDuplicates = true, isPrivate = DbService.privateProfiles) {
         if (!Validation.isDataObject(data)) throw new ErrorWithMessage('Invalid data object', { code: 'INVALID_DATA', data });
         if (address && !Validation.isWalletAddress(address)) throw new ErrorWithMessage('Invalid address', { code: 'INVALID_DATA', data, address });
 
         const order = await DbService.getAttestationOrders({ data, address: address || undefined, excludeAttested: allowDuplicates });
 
         if (!order) {
-            const dataValues = Object.values(data);
-            const dataKeys = Object.keys(data);
+            const conn = await db.takeConnectionFromPool();
 
-            const { insertId } = await db.query(`INSERT INTO ATTESTATION_KIT_attestations (user_wallet_address, ${dataKeys.map((_v, index) => `dataKey${index}`).join(',')}, ${dataValues.map((_v, index) => `dataValue${index}`).join(',')}) VALUES (?, ${dataKeys.map(() => '?').join(',')}, ${dataValues.map(() => '?').join(',')})`, [address || null, ...dataKeys, ...dataValues.map((v) => String(v))]);
+            try {
+                await conn.query('BEGIN');
 
-            return insertId;
+                const { insertId } = await conn.query("INSERT INTO ATTESTATION_KIT_attestations (user_wallet_address, is_private) VALUES (?, ?)", [address || null, isPrivate ? 1 : 0]);
+
+                for (const [key, value] of Object.entries(data)) {
+                    await conn.query("INSERT INTO ATTESTATION_KIT_attestation_data (attestation_id, data_key, data_value) VALUES (?, ?, ?)", [insertId, key, String(value)]);
+                }
+
+                await conn.query('COMMIT');
+
+                logger.addContext({ order_id: insertId });
+                logger.debug('Attestation order created');
+
+                return insertId;
+            } catch (err) {
+                await conn.query('ROLLBACK');
+                throw err;
+            } finally {
+                conn.release();
+            }
 
         } else if (!allowDuplicates) {
             throw new ErrorWithMessage('Order already exists', { code: 'ALREADY_EXISTS', status: order.status, ...data, unit: order.unit });
         } else {
+            if (isPrivate && !order.is_private) await DbService.markOrderPrivate(order.id);
+
+            logger.addContext({ order_id: order.id });
+
             return order.id
         }
     }
 
+    /**
+     * Creates the order that re-attests the data of an attested order to another wallet address.
+     * The new order keeps the link to the previous one, the previous order is not changed.
+     * @param {number} previousOrderId - The id of the attested order.
+     * @param {string} address - The new wallet address.
+     * @returns {Promise<number>} The ID of the new order, or of the unfinished re-attestation order of the address.
+     * @throws {ErrorWithMessage} Throws an error if the previous order is not attested or the address is already attested. (INVALID_DATA, ORDER_NOT_FOUND, NOT_ATTESTED, ALREADY_ATTESTED)
+     */
+    static async createReattestationOrder(previousOrderId, address) {
+        if (!Validation.isWalletAddress(address)) throw new ErrorWithMessage('Invalid address', { code: 'INVALID_DATA', address });
+
+        const previousOrder = await DbService.getAttestationOrders({ id: Number(previousOrderId) });
+
+        if (!previousOrder) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND', id: previousOrderId });
+        if (previousOrder.status !== 'attested') throw new ErrorWithMessage('Order is not attested', { code: 'NOT_ATTESTED', status: previousOrder.status });
+        if (previousOrder.user_wallet_address === address) throw new ErrorWithMessage('Address is already attested', { code: 'ALREADY_ATTESTED', address });
+
+        const orders = await DbService.getAttestationOrders({ data: previousOrder.data, address }, true);
+
+        if (orders.some(({ status }) => status === 'attested')) throw new ErrorWithMessage('Address is already attested', { code: 'ALREADY_ATTESTED', address });
+
+        const unfinishedOrder = orders.find(({ status }) => !['attested', 'revoked', 'rejected'].includes(status));
+
+        if (unfinishedOrder) {
+            await db.query("UPDATE ATTESTATION_KIT_attestations SET previous_attestation_id = ? WHERE id = ?", [Number(previousOrder.id), Number(unfinishedOrder.id)]);
+
+            return unfinishedOrder.id;
+        }
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const { insertId } = await conn.query("INSERT INTO ATTESTATION_KIT_attestations (user_wallet_address, user_device_address, status, is_private, previous_attestation_id) VALUES (?, ?, 'addressed', ?, ?)", [address, previousOrder.user_device_address, previousOrder.is_private || DbService.privateProfiles ? 1 : 0, Number(previousOrder.id)]);
+
+            await conn.query("INSERT INTO ATTESTATION_KIT_attestation_data (attestation_id, data_key, data_value) SELECT ?, data_key, data_value FROM ATTESTATION_KIT_attestation_data WHERE attestation_id = ? ORDER BY id", [insertId, Number(previousOrder.id)]);
+
+            await conn.query('COMMIT');
+
+            logger.addContext({ order_id: insertId });
+            logger.debug(`Re-attestation order created for the order ${previousOrder.id}`);
+
+            return insertId;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Makes an order private: only the hashed profile is posted. The orders whose attestation or payment is already requested keep their flag.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<boolean>} Whether the order is made private.
+     */
+    static async markOrderPrivate(orderId) {
+        const { affectedRows } = await db.query("UPDATE ATTESTATION_KIT_attestations SET is_private = 1 WHERE id = ? AND status IN ('pending', 'addressed', 'verified')", [Number(orderId)]);
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * Retrieves the orders that attested the same data to the earlier addresses, following the re-attestation links.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<object[]>} The order and its previous orders, the newest first.
+     */
+    static async getOrderHistory(orderId) {
+        const history = [];
+        let id = Number(orderId);
+
+        while (id && !history.some((order) => order.id === id)) {
+            const order = await DbService.getAttestationOrders({ id });
+
+            if (!order) break;
+
+            history.push(order);
+            id = order.previous_attestation_id;
+        }
+
+        return history;
+    }
+
     /**
      * Removes the wallet address from an attestation order.
-     * @param {object} data - The user's data (maximum 4 key-value pairs).
+     * @param {object} data - The user's data (key-value pairs).
      * @returns {Promise<void>}
      * @throws {ErrorWithMessage} Throws an error if validation fails or if the order cannot be modified.
      */
@@ -51,8 +178,11 @@ class DbService {
             if (!order.user_wallet_address) throw new ErrorWithMessage('User address is not found', { code: 'ADDRESS_NOT_FOUND' });
 
             if (order.status === 'attested' || order.unit) throw new ErrorWithMessage('Address is attested', { code: 'ALREADY_ATTESTED' });
+            if (order.status === 'attesting') throw new ErrorWithMessage('Attestation is in progress', { code: 'ATTESTATION_IN_PROGRESS' });
 
             await db.query("UPDATE ATTESTATION_KIT_attestations SET user_wallet_address = NULL, status = 'pending' WHERE id = ?", [Number(order.id)]);
+
+            logger.debug('Wallet address removed from the order');
         } else {
             throw new ErrorWithMessage('Order not found or already attested', { code: 'ADDRESS_NOT_FOUND' });
         }
@@ -61,7 +191,7 @@ class DbService {
 
     /**
      * Updates the wallet address for an attestation order.
-     * @param {object} data - The user's data to attest (maximum 4 key-value pairs).
+     * @param {object} data - The user's data to attest (key-value pairs).
      * @param {string} walletAddress - The new wallet address.
      * @returns {Promise<void>}
      * @throws {ErrorWithMessage} Throws an error if validation fails or if the order does not exist.
@@ -75,8 +205,11 @@ class DbService {
 
             if (order) {
                 if (order.status === 'attested') throw new ErrorWithMessage('Address is already attested', { code: 'ALREADY_ATTESTED' });
+                if (order.status === 'attesting') throw new ErrorWithMessage('Attestation is in progress', { code: 'ATTESTATION_IN_PROGRESS' });
 
                 await db.query("UPDATE ATTESTATION_KIT_attestations SET user_wallet_address = ?, status = 'addressed' WHERE status != 'attested' AND id = ? ", [walletAddress, Number(order.id)]);
+
+                logger.debug(`Wallet address of the order is set to ${walletAddress}`);
             } else {
                 throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND' });
             }
@@ -85,6 +218,46 @@ class DbService {
         }
     }
 
+    /**
+     * Removes the wallet address from the attestation order with the given id.
+     * @param {number|string} orderId - The id of the order.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the order does not exist or cannot be modified.
+     */
+    static async removeWalletAddressInAttestationOrderById(orderId) {
+        const order = await DbService.getAttestationOrders({ id: orderId });
+
+        if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND' });
+        if (!order.user_wallet_address) throw new ErrorWithMessage('User address is not found', { code: 'ADDRESS_NOT_FOUND' });
+        if (['attested', 'revoked'].includes(order.status) || order.unit) throw new ErrorWithMessage('Address is attested', { code: 'ALREADY_ATTESTED' });
+        if (order.status === 'attesting') throw new ErrorWithMessage('Attestation is in progress', { code: 'ATTESTATION_IN_PROGRESS' });
+
+        await db.query("UPDATE ATTESTATION_KIT_attestations SET user_wallet_address = NULL, status = 'pending' WHERE status NOT IN ('attested', 'attesting', 'revoked') AND id = ?", [Number(order.id)]);
+
+        logger.debug('Wallet address removed from the order');
+    }
+
+    /**
+     * Sets the wallet address of the attestation order with the given id.
+     * @param {number|string} orderId - The id of the order.
+     * @param {string} walletAddress - The new wallet address.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if validation fails or if the order does not exist or cannot be modified.
+     */
+    static async updateWalletAddressInAttestationOrderById(orderId, walletAddress) {
+        if (!Validation.isWalletAddress(walletAddress)) throw new ErrorWithMessage('Error occurred during address update', { code: 'INVALID_DATA' });
+
+        const order = await DbService.getAttestationOrders({ id: orderId });
+
+        if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND' });
+        if (['attested', 'revoked'].includes(order.status)) throw new ErrorWithMessage('Address is already attested', { code: 'ALREADY_ATTESTED' });
+        if (order.status === 'attesting') throw new ErrorWithMessage('Attestation is in progress', { code: 'ATTESTATION_IN_PROGRESS' });
+
+        await db.query("UPDATE ATTESTATION_KIT_attestations SET user_wallet_address = ?, status = 'addressed' WHERE status NOT IN ('attested', 'attesting', 'revoked') AND id = ?", [walletAddress, Number(order.id)]);
+
+        logger.debug(`Wallet address of the order is set to ${walletAddress}`);
+    }
+
     /**
    * Updates the wallet device address for an attestation order.
    * @param {object} orderId - The id of the order.
@@ -94,6 +267,8 @@ class DbService {
    */
     static async updateDeviceAddressInAttestationOrder(orderId, deviceAddress) {
         if (orderId && deviceAddress) {
+            logger.addContext({ order_id: orderId });
+
             await db.query("UPDATE ATTESTATION_KIT_attestations SET user_device_address = ? WHERE status != 'attested' AND id = ? ", [deviceAddress, Number(orderId)]);
         } else {
             throw new ErrorWithMessage('Error occurred during address update', { code: 'INVALID_DATA' });
@@ -102,7 +277,7 @@ class DbService {
 
     /**
      * Updates the unit and changes the status of an attestation order.
-     * @param {object} data - The user's data (maximum 4 key-value pairs).
+     * @param {object} data - The user's data (key-value pairs).
      * @param {string} address - The wallet address.
      * @param {string} unit - The unit identifier.
      * @returns {Promise<void>}
@@ -117,7 +292,11 @@ class DbService {
             });
 
             if (order) {
-                await db.query("UPDATE ATTESTATION_KIT_attestations SET unit = ?, status = 'attested' WHERE id = ? AND user_wallet_address = ?", [unit, Number(order.id), address]);
+                logger.addContext({ unit });
+
+                await db.query("UPDATE ATTESTATION_KIT_attestations SET unit = ?, status = 'attested', attestation_date = CURRENT_TIMESTAMP WHERE id = ? AND user_wallet_address = ?", [unit, Number(order.id), address]);
+
+                logger.debug('Attestation order is attested');
             } else {
                 throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND' });
             }
@@ -127,12 +306,214 @@ class DbService {
         }
     }
 
+    /**
+     * Rejects an attestation order, it can't be attested afterwards. The pending attestation job of the order is cancelled.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the order does not exist, is already attested or its attestation is being posted. (ORDER_NOT_FOUND, ALREADY_ATTESTED, ATTESTATION_IN_PROGRESS)
+     */
+    static async rejectAttestationOrder(orderId) {
+        const order = await DbService.getAttestationOrders({ id: Number(orderId) });
+
+        if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND' });
+        if (order.status === 'attested' || order.status === 'revoked') throw new ErrorWithMessage('Order is already attested', { code: 'ALREADY_ATTESTED', status: order.status });
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const [postingJob] = await conn.query("SELECT id FROM ATTESTATION_KIT_outbox WHERE attestation_id = ? AND status = 'posting' LIMIT 1", [Number(order.id)]);
+
+            if (postingJob) throw new ErrorWithMessage('Attestation is being posted', { code: 'ATTESTATION_IN_PROGRESS', job_id: postingJob.id });
+
+            await conn.query("UPDATE ATTESTATION_KIT_outbox SET status = 'failed', last_error = 'Order is rejected' WHERE attestation_id = ? AND status = 'pending'", [Number(order.id)]);
+
+            const { affectedRows } = await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = 'rejected' WHERE id = ? AND status NOT IN ('attested', 'revoked')", [Number(order.id)]);
+
+            if (!affectedRows) throw new ErrorWithMessage('Order is already attested', { code: 'ALREADY_ATTESTED' });
+
+            await conn.query('COMMIT');
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+
+        logger.debug('Attestation order is rejected');
+    }
+
+    /**
+     * Re-opens a rejected, failed or refunded order: it goes back to the 'addressed' status, or 'pending' if it has no wallet address.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the order does not exist or can't be re-opened.
+     */
+    static async reopenAttestationOrder(orderId) {
+        const order = await DbService.getAttestationOrders({ id: Number(orderId) });
+
+        if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND' });
+        if (!['rejected', 'failed', 'refunded'].includes(order.status)) throw new ErrorWithMessage('Only a rejected, failed or refunded order can be re-opened', { code: 'ORDER_NOT_REOPENABLE', status: order.status });
+
+        await db.query("UPDATE ATTESTATION_KIT_attestations SET status = ? WHERE id = ?", [order.user_wallet_address ? 'addressed' : 'pending', Number(order.id)]);
+
+        logger.debug('Attestation order is re-opened');
+    }
+
+    /**
+     * Retrieves the order attested in the unit. A batch unit contains several attestations, they are told apart by the address.
+     * @param {string} unit - The attestation unit.
+     * @param {string} [address] - The attested wallet address.
+     * @returns {Promise<object|null>} The order or null if not found.
+     * @throws {ErrorWithMessage} Throws an error if the unit contains several attestations and the address is not provided.
+     */
+    static async getAttestedOrderByUnit(unit, address) {
+        const orders = await DbService.getAttestationOrders({ unit, address: address || undefined }, true);
+
+        if (orders.length > 1) throw new ErrorWithMessage('The unit contains several attestations, specify the address', { code: 'INVALID_DATA', unit });
+
+        return orders[0] || null;
+    }
+
+    /**
+     * Records the revocation of an attested order before it is posted, see services/revokeAttestation.
+     * @param {Object} revocation
+     * @param {number} revocation.orderId - The id of the attested order.
+     * @param {string} revocation.unit - The attestation unit being revoked.
+     * @param {string} revocation.address - The attested wallet address.
+     * @param {string|null} revocation.reason - The reason of the revocation.
+     * @param {string} revocation.payloadHash - The hash of the revocation message.
+     * @returns {Promise<boolean>} Whether the revocation is recorded, false if the order is being revoked already.
+     */
+    static async addPendingRevocation({ orderId, unit, address, reason = null, payloadHash }) {
+        const { affectedRows } = await db.query("INSERT OR IGNORE INTO ATTESTATION_KIT_pending_revocations (attestation_id, attestation_unit, address, reason, payload_hash) VALUES (?, ?, ?, ?, ?)", [Number(orderId), unit, address, reason, payloadHash]);
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * Retrieves the revocations interrupted before they were recorded as revoked.
+     * @returns {Promise<object[]>}
+     */
+    static async getPendingRevocations() {
+        return db.query("SELECT * FROM ATTESTATION_KIT_pending_revocations ORDER BY creation_date");
+    }
+
+    /**
+     * Removes the pending revocation of an order, e.g. when it failed to be posted.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<void>}
+     */
+    static async deletePendingRevocation(orderId) {
+        await db.query("DELETE FROM ATTESTATION_KIT_pending_revocations WHERE attestation_id = ?", [Number(orderId)]);
+    }
+
+    /**
+     * Finds the unit of a posted revocation message.
+     * @param {string} payloadHash - The hash of the revocation message.
+     * @returns {Promise<string|null>} The unit or null if the revocation was not posted.
+     */
+    static async findRevocationUnit(payloadHash) {
+        const [message] = await db.query("SELECT unit FROM messages WHERE app = 'data' AND payload_hash = ? LIMIT 1", [payloadHash]);
+
+        return message ? message.unit : null;
+    }
+
+    /**
+     * Marks an attested order as revoked and records the revocation unit. The pending revocation of the order is removed.
+     * @param {string} unit - The attestation unit to revoke.
+     * @param {string} revocationUnit - The unit that contains the revocation message.
+     * @param {string} [reason] - The reason of the revocation.
+     * @param {string} [address] - The attested wallet address, required if the unit contains several attestations.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if validation fails, the order does not exist or it is not attested.
+     */
+    static async revokeAttestation(unit, revocationUnit, reason = null, address) {
+        if (!Validation.isUnit(unit) || !Validation.isUnit(revocationUnit)) throw new ErrorWithMessage('Invalid unit', { code: 'INVALID_DATA', unit, revocationUnit });
+
+        const order = await DbService.getAttestedOrderByUnit(unit, address);
+
+        if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND', unit });
+        if (order.status !== 'attested') throw new ErrorWithMessage('Order is not attested', { code: 'NOT_ATTESTED', status: order.status, unit });
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+            await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = 'revoked' WHERE id = ?", [Number(order.id)]);
+            await conn.query("INSERT INTO ATTESTATION_KIT_revocations (attestation_id, attestation_unit, unit, reason) VALUES (?, ?, ?, ?)", [Number(order.id), unit, revocationUnit, reason]);
+            await conn.query("DELETE FROM ATTESTATION_KIT_pending_revocations WHERE attestation_id = ?", [Number(order.id)]);
+            await conn.query('COMMIT');
+
+            logger.debug(`Attestation is revoked with unit ${revocationUnit}`);
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Saves the blinded private profile of an attested order, so it can be re-sent or proven later.
+     * @param {number} orderId - The id of the order.
+     * @param {object} privateProfile - The private profile: { unit, payload_hash, src_profile }.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async savePrivateProfile(orderId, privateProfile) {
+        const { unit, payload_hash, src_profile } = privateProfile || {};
+
+        if (!orderId || !Validation.isUnit(unit) || !payload_hash || typeof src_profile !== 'object') {
+            throw new ErrorWithMessage('Invalid private profile', { code: 'INVALID_DATA', orderId });
+        }
+
+        await db.query("INSERT OR REPLACE INTO ATTESTATION_KIT_private_profiles (attestation_id, unit, payload_hash, src_profile) VALUES (?, ?, ?, ?)", [Number(orderId), unit, payload_hash, JSON.stringify(src_profile)]);
+    }
+
+    /**
+     * Retrieves the saved private profile of an attested order.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<object|null>} The private profile: { unit, payload_hash, src_profile } or null if not found.
+     */
+    static async getPrivateProfile(orderId) {
+        const [row] = await db.query("SELECT unit, payload_hash, src_profile FROM ATTESTATION_KIT_private_profiles WHERE attestation_id = ?", [Number(orderId)]);
+
+        if (!row) return null;
+
+        return { unit: row.unit, payload_hash: row.payload_hash, src_profile: JSON.parse(row.src_profile) };
+    }
+
+    /**
+     * Sets the unit of an order and changes the status to 'attested'. A rejected or revoked order keeps its status.
+     * @param {number} orderId - The id of the order.
+     * @param {string} unit - The attestation unit.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if validation fails or the order is not found, rejected or revoked. (INVALID_DATA, ORDER_NOT_ATTESTABLE)
+     */
+    static async markOrderAttested(orderId, unit) {
+        if (!orderId || !Validation.isUnit(unit)) throw new ErrorWithMessage('Invalid data', { code: 'INVALID_DATA', orderId, unit });
+
+        const { affectedRows } = await db.query("UPDATE ATTESTATION_KIT_attestations SET unit = ?, status = 'attested', attestation_date = CURRENT_TIMESTAMP WHERE id = ? AND status NOT IN ('rejected', 'revoked')", [unit, Number(orderId)]);
+
+        if (!affectedRows) throw new ErrorWithMessage('Order is not found, rejected or revoked', { code: 'ORDER_NOT_ATTESTABLE', orderId, unit });
+
+        logger.debug('Attestation order is attested');
+    }
+
     /**
      * Retrieves attestation orders based on provided filters.
      * @param {Object} filters - Filters for the query.
-     * @param {string} [filters.data] - The user's data to attest (maximum 4 key-value pairs).
+     * @param {string} [filters.data] - The user's data to attest (key-value pairs).
      * @param {string} [filters.address] - The wallet address (optional).
-     * @param {boolean} [filters.excludeAttested=false] - Whether to exclude attested orders.
+     * @param {string} [filters.unit] - The attestation unit (optional).
+     * @param {string} [filters.status] - The order status (optional).
+     * @param {boolean} [filters.excludeAttested=false] - Whether to exclude attested and revoked orders.
+     * @param {boolean} [filters.excludeRejected=false] - Whether to exclude rejected orders.
+     * @param {boolean} [filters.excludePrivate=false] - Whether to exclude the private orders and the orders attested with private profiles.
+     * @param {number} [filters.afterId] - Only the orders with a greater id, the cursor of a page (optional).
+     * @param {number} [filters.limit] - The maximum number of orders, ordered by id (optional).
      * @param {boolean} [multiple=false] - Whether to return multiple rows or just the first one.
      * @returns {Promise<object[]|object|null>} The attestation orders (array or single object) or null if not found.
      * @throws {ErrorWithMessage} Throws an error if validation fails.
@@ -142,12 +523,22 @@ class DbService {
             data, // for ex: {userId, username}
             address,
             id,
+            unit,
+            status,
             excludeAttested = false,
+            excludeRejected = false,
+            excludePrivate = false,
+            afterId,
+            limit,
         } = filters;
 
         if (address && !Validation.isWalletAddress(address)) throw new ErrorWithMessage('Invalid wallet address', { code: "INVALID_DATA" });
         if (id !== undefined && (!Number.isInteger(id) || id <= 0)) throw new ErrorWithMessage('Invalid id parameter', { code: "INVALID_DATA" });
+        if (unit !== undefined && !Validation.isUnit(unit)) throw new ErrorWithMessage('Invalid unit parameter', { code: "INVALID_DATA" });
+        if (status !== undefined && !DbService.STATUSES.includes(status)) throw new ErrorWithMessage('Invalid status parameter', { code: "INVALID_DATA" });
         if (typeof data === 'object' && !Validation.isDataObject(data)) throw new ErrorWithMessage('Invalid data object', { code: 'INVALID_DATA', data });
+        if (afterId !== undefined && (!Number.isInteger(afterId) || afterId < 0)) throw new ErrorWithMessage('Invalid afterId parameter', { code: "INVALID_DATA" });
+        if (limit !== undefined && (!Number.isInteger(limit) || limit <= 0)) throw new ErrorWithMessage('Invalid limit parameter', { code: "INVALID_DATA" });
 
         // Building the query dynamically based on filters
         let query = 'SELECT * FROM ATTESTATION_KIT_attestations WHERE ';
@@ -160,12 +551,9 @@ class DbService {
             dataEntries.forEach(([key, value], index) => {
                 if (index > 0) query += ' AND ';
 
-                query += `((dataKey0 = ? AND dataValue0 = ?) 
-                        OR (dataKey1 = ? AND dataValue1 = ?) 
-                        OR (dataKey2 = ? AND dataValue2 = ?) 
-                        OR (dataKey3 = ? AND dataValue3 = ?))`;
+                query += 'id IN (SELECT attestation_id FROM ATTESTATION_KIT_attestation_data WHERE data_key = ? AND data_value = ?)';
 
-                queryParams.push(key, String(value), key, String(value), key, String(value), key, String(value));
+                queryParams.push(key, String(value));
             });
         }
 
@@ -185,15 +573,55 @@ class DbService {
             queryParams.push(id);
         }
 
+        if (unit !== undefined) {
+            if (!query.endsWith('WHERE ')) query += ' AND ';
+
+            query += 'unit = ?';
+            queryParams.push(unit);
+        }
+
+        if (status !== undefined) {
+            if (!query.endsWith('WHERE ')) query += ' AND ';
+
+            query += 'status = ?';
+            queryParams.push(status);
+        }
+
         if (excludeAttested) {
             if (!query.endsWith('WHERE ')) query += ' AND ';
 
-            query += 'status != "attested"';
+            query += "status NOT IN ('attested', 'revoked')";
+        }
+
+        if (excludeRejected) {
+            if (!query.endsWith('WHERE ')) query += ' AND ';
+
+            query += "status != 'rejected'";
+        }
+
+        if (excludePrivate) {
+            if (!query.endsWith('WHERE ')) query += ' AND ';
+
+            query += 'is_private = 0 AND id NOT IN (SELECT attestation_id FROM ATTESTATION_KIT_private_profiles)';
+        }
+
+        if (afterId !== undefined) {
+            if (!query.endsWith('WHERE ')) query += ' AND ';
+
+            query += 'id > ?';
+            queryParams.push(afterId);
+        }
+
+        if (limit !== undefined) {
+            query += ' ORDER BY id LIMIT ?';
+            queryParams.push(limit);
         }
 
         // Execute the query
         const attestationRows = await db.query(query, queryParams);
 
+        await DbService.attachOrdersData(attestationRows);
+
         // Return results based on `multiple` flag
         if (multiple) {
             return attestationRows;
@@ -201,6 +629,55 @@ class DbService {
             return attestationRows[0] || null;
         }
     }
+
+    /**
+     * Retrieves the orders of a user: the orders linked to the device. An order is linked to the device only after
+     * the device has signed the order data with the order's address, so the other orders of the same addresses are not included.
+     * @param {string} deviceAddress - The device address of the user.
+     * @param {string[]} [walletAddresses=[]] - Other wallet addresses proven to belong to the user, e.g. by a signature.
+     * @returns {Promise<object[]>} The orders with the data, the newest first.
+     */
+    static async getUserOrders(deviceAddress, walletAddresses = []) {
+        if (!deviceAddress) throw new ErrorWithMessage('Invalid device address', { code: 'INVALID_DATA' });
+        if (!walletAddresses.every((address) => Validation.isWalletAddress(address))) throw new ErrorWithMessage('Invalid wallet address', { code: 'INVALID_DATA' });
+
+        let query = 'SELECT * FROM ATTESTATION_KIT_attestations WHERE user_device_address = ?';
+        const queryParams = [deviceAddress];
+
+        if (walletAddresses.length) {
+            query += ` OR user_wallet_address IN (${walletAddresses.map(() => '?').join(',')})`;
+            queryParams.push(...walletAddresses);
+        }
+
+        const orders = await db.query(query + ' ORDER BY id DESC', queryParams);
+
+        return DbService.attachOrdersData(orders);
+    }
+
+    /**
+     * Loads the data of the orders and adds it to the rows as the `data` object.
+     * The legacy numbered fields (dataKey0, dataValue0, ...) are added too for callers of the old layout.
+     * @param {object[]} orders - The rows of ATTESTATION_KIT_attestations.
+     * @returns {Promise<object[]>} The same rows with the data.
+     */
+    static async attachOrdersData(orders) {
+        if (orders.length === 0) return orders;
+
+        const ids = orders.map(({ id }) => id);
+        const dataRows = await db.query(`SELECT attestation_id, data_key, data_value FROM ATTESTATION_KIT_attestation_data WHERE attestation_id IN (${ids.map(() => '?').join(',')}) ORDER BY id`, ids);
+
+        for (const order of orders) {
+            order.data = {};
+
+            dataRows.filter(({ attestation_id }) => attestation_id === order.id).forEach(({ data_key, data_value }, index) => {
+                order.data[data_key] = data_value;
+                order[`dataKey${index}`] = data_key;
+                order[`dataValue${index}`] = data_value;
+            });
+        }
+
+        return orders;
+    }
 }
 
 
@@ -0,0 +1,31 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+/**
+ * LanguageDbService class provides methods to interact with the language preferences of the devices.
+ */
+class LanguageDbService {
+    /**
+     * Saves the language of a device.
+     * @param {string} deviceAddress - The device address.
+     * @param {string} language - The language code.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async setDeviceLanguage(deviceAddress, language) {
+        if (!deviceAddress || typeof language !== 'string' || !language) throw new ErrorWithMessage('Invalid language preference', { code: 'INVALID_DATA', deviceAddress, language });
+
+        await db.query("REPLACE INTO ATTESTATION_KIT_device_languages (device_address, language, update_date) VALUES (?, ?, CURRENT_TIMESTAMP)", [deviceAddress, language]);
+    }
+
+    /**
+     * Retrieves the languages of all devices that have chosen one.
+     * @returns {Promise<{ device_address: string, language: string }[]>}
+     */
+    static async getDeviceLanguages() {
+        return db.query("SELECT device_address, language FROM ATTESTATION_KIT_device_languages");
+    }
+}
+
+module.exports = LanguageDbService;
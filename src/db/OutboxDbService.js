@@ -0,0 +1,214 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * OutboxDbService class provides methods to interact with the durable queue of attestations to post.
+ */
+class OutboxDbService {
+    /**
+     * Adds an attestation job and moves the order to the 'attesting' status.
+     * @param {Object} job
+     * @param {number} job.orderId - The id of the order.
+     * @param {string} job.address - The wallet address to attest.
+     * @param {string} [job.device_address] - The device address of the user.
+     * @param {object} job.data - The attested data.
+     * @param {object} job.attestation - The prepared attestation: { payload, payload_hash, src_profile }.
+     * @returns {Promise<number>} The ID of the inserted job.
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async addJob({ orderId, address, device_address, data, attestation }) {
+        if (!orderId || !address || typeof data !== 'object' || typeof attestation !== 'object') throw new ErrorWithMessage('Invalid attestation job', { code: 'INVALID_DATA', orderId });
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const { insertId } = await conn.query("INSERT INTO ATTESTATION_KIT_outbox (attestation_id, address, device_address, data, attestation, next_attempt_ts) VALUES (?, ?, ?, ?, ?, ?)", [Number(orderId), address, device_address || null, JSON.stringify(data), JSON.stringify(attestation), now()]);
+            await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = 'attesting' WHERE id = ?", [Number(orderId)]);
+
+            await conn.query('COMMIT');
+
+            return insertId;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Retrieves the unfinished (pending or posting) job of an order.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<object|null>} The job or null if not found.
+     */
+    static async getActiveJob(orderId) {
+        const [job] = await db.query("SELECT * FROM ATTESTATION_KIT_outbox WHERE attestation_id = ? AND status IN ('pending', 'posting') ORDER BY id DESC LIMIT 1", [Number(orderId)]);
+
+        return job ? OutboxDbService.parseJob(job) : null;
+    }
+
+    /**
+     * Retrieves all the jobs of an order, the latest last.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<object[]>} The jobs.
+     */
+    static async getOrderJobs(orderId) {
+        const jobs = await db.query("SELECT * FROM ATTESTATION_KIT_outbox WHERE attestation_id = ? ORDER BY id", [Number(orderId)]);
+
+        return jobs.map(OutboxDbService.parseJob);
+    }
+
+    /**
+     * Retrieves pending jobs whose next attempt is due.
+     * @param {number} [limit=128] - The maximum number of jobs.
+     * @returns {Promise<object[]>} The jobs.
+     */
+    static async getDueJobs(limit = 128) {
+        const jobs = await db.query("SELECT * FROM ATTESTATION_KIT_outbox WHERE status = 'pending' AND next_attempt_ts <= ? ORDER BY next_attempt_ts, id LIMIT ?", [now(), Number(limit)]);
+
+        return jobs.map(OutboxDbService.parseJob);
+    }
+
+    /**
+     * Retrieves jobs by the status.
+     * @param {string} status - The job status: pending, posting, posted or failed.
+     * @returns {Promise<object[]>} The jobs.
+     */
+    static async getJobsByStatus(status) {
+        const jobs = await db.query("SELECT * FROM ATTESTATION_KIT_outbox WHERE status = ? ORDER BY id", [status]);
+
+        return jobs.map(OutboxDbService.parseJob);
+    }
+
+    /**
+     * Marks the pending jobs as being posted. If the process stops before the result is saved, they are recovered on start.
+     * The jobs cancelled in the meantime, e.g. by the rejection of the order, are left as they are.
+     * @param {number[]} ids - The ids of the jobs.
+     * @returns {Promise<number[]>} The ids of the jobs marked as being posted.
+     */
+    static async markPosting(ids) {
+        if (ids.length === 0) return [];
+
+        const placeholders = ids.map(() => '?').join(',');
+
+        await db.query(`UPDATE ATTESTATION_KIT_outbox SET status = 'posting' WHERE id IN (${placeholders}) AND status = 'pending'`, ids.map(Number));
+
+        const rows = await db.query(`SELECT id FROM ATTESTATION_KIT_outbox WHERE id IN (${placeholders}) AND status = 'posting'`, ids.map(Number));
+
+        return rows.map(({ id }) => id);
+    }
+
+    /**
+     * Marks a job as posted.
+     * @param {number} id - The id of the job.
+     * @param {string} unit - The attestation unit.
+     * @returns {Promise<void>}
+     */
+    static async markPosted(id, unit) {
+        await db.query("UPDATE ATTESTATION_KIT_outbox SET status = 'posted', unit = ?, last_error = NULL, is_waiting_for_funds = 0 WHERE id = ?", [unit, Number(id)]);
+    }
+
+    /**
+     * Returns a job to the queue, e.g. an interrupted job that didn't reach the DAG.
+     * @param {number} id - The id of the job.
+     * @returns {Promise<void>}
+     */
+    static async requeue(id) {
+        await db.query("UPDATE ATTESTATION_KIT_outbox SET status = 'pending', next_attempt_ts = ? WHERE id = ?", [now(), Number(id)]);
+    }
+
+    /**
+     * Records a failed attempt. The job is scheduled for the next attempt and the order stays 'attesting',
+     * or the job and the order fail for good when there is no next attempt.
+     * A scheduled attempt that is not counted waits for funds, see retryWaitingJobs.
+     * @param {number} id - The id of the job.
+     * @param {string} error - The error of the attempt.
+     * @param {number|null} nextAttemptTs - The unix timestamp of the next attempt, null to give up.
+     * @param {boolean} [countAttempt=true] - Whether the attempt counts towards the attempts limit.
+     * @returns {Promise<void>}
+     */
+    static async markAttemptFailed(id, error, nextAttemptTs, countAttempt = true) {
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            await conn.query("UPDATE ATTESTATION_KIT_outbox SET status = ?, attempts = attempts + ?, last_error = ?, next_attempt_ts = ?, is_waiting_for_funds = ? WHERE id = ?", [nextAttemptTs ? 'pending' : 'failed', countAttempt ? 1 : 0, String(error), nextAttemptTs || now(), nextAttemptTs && !countAttempt ? 1 : 0, Number(id)]);
+            await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = ? WHERE id = (SELECT attestation_id FROM ATTESTATION_KIT_outbox WHERE id = ?) AND status IN ('attesting', 'failed')", [nextAttemptTs ? 'attesting' : 'failed', Number(id)]);
+
+            await conn.query('COMMIT');
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Queues the failed job of an order again with a fresh attempts counter and moves the order back to the 'attesting' status.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<number|null>} The id of the job or null if the order has no failed job.
+     */
+    static async retryFailedJob(orderId) {
+        const [job] = await db.query("SELECT id FROM ATTESTATION_KIT_outbox WHERE attestation_id = ? AND status = 'failed' ORDER BY id DESC LIMIT 1", [Number(orderId)]);
+
+        if (!job) return null;
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            await conn.query("UPDATE ATTESTATION_KIT_outbox SET status = 'pending', attempts = 0, next_attempt_ts = ?, is_waiting_for_funds = 0 WHERE id = ?", [now(), job.id]);
+            await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = 'attesting' WHERE id = ?", [Number(orderId)]);
+
+            await conn.query('COMMIT');
+
+            return job.id;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Makes the jobs that wait for funds due now, when the attestor wallet is funded again.
+     * The jobs that failed for another reason keep their backoff.
+     * @returns {Promise<number>} The number of jobs.
+     */
+    static async retryWaitingJobs() {
+        const { affectedRows } = await db.query("UPDATE ATTESTATION_KIT_outbox SET next_attempt_ts = ? WHERE status = 'pending' AND is_waiting_for_funds = 1 AND next_attempt_ts > ?", [now(), now()]);
+
+        return affectedRows || 0;
+    }
+
+    /**
+     * Looks for the attestation message of the job in the DAG, it is there if the job was posted before the process stopped.
+     * A public attestation of the same address and data has the same payload hash, so only the units created after the job
+     * and not recorded on another order of the address are taken.
+     * @param {Object} job - The interrupted job.
+     * @returns {Promise<string|null>} The unit or null if not found.
+     */
+    static async findPostedUnit(job) {
+        const [message] = await db.query(`SELECT messages.unit FROM messages JOIN units USING(unit)
+            WHERE messages.app = 'attestation' AND messages.payload_hash = ? AND units.creation_date >= ?
+                AND NOT EXISTS (SELECT 1 FROM ATTESTATION_KIT_attestations WHERE unit = messages.unit AND user_wallet_address = ? AND id != ?)
+            ORDER BY units.creation_date LIMIT 1`, [job.attestation.payload_hash, job.creation_date, job.address, Number(job.attestation_id)]);
+
+        return message ? message.unit : null;
+    }
+
+    static parseJob(job) {
+        return { ...job, data: JSON.parse(job.data), attestation: JSON.parse(job.attestation) };
+    }
+}
+
+module.exports = OutboxDbService;
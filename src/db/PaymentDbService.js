@@ -0,0 +1,332 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const placeholders = (values) => values.map(() => '?').join(',');
+
+/**
+ * PaymentDbService class provides methods to interact with the payment requests, the received payments and the refunds of paid attestations.
+ */
+class PaymentDbService {
+    /**
+     * Adds a payment request and moves the order to the 'awaiting_payment' status.
+     * @param {Object} request
+     * @param {number} request.orderId - The id of the order.
+     * @param {string} request.payerAddress - The attested wallet address, the payment is expected from it.
+     * @param {string} [request.device_address] - The device address of the user.
+     * @param {number} request.amount - The price.
+     * @param {string|null} request.asset - The asset of the price, null for bytes.
+     * @param {object} request.data - The data to attest.
+     * @param {boolean} request.isPrivate - Whether the attestation is private.
+     * @param {number} request.expiresAt - Unix timestamp (ms).
+     * @returns {Promise<number>} The ID of the inserted request.
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async addRequest({ orderId, payerAddress, device_address, amount, asset, data, isPrivate, expiresAt }) {
+        if (!orderId || !payerAddress || !(amount > 0) || typeof data !== 'object' || !expiresAt) throw new ErrorWithMessage('Invalid payment request', { code: 'INVALID_DATA', orderId });
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const { insertId } = await conn.query("INSERT INTO ATTESTATION_KIT_payment_requests (attestation_id, payer_address, device_address, amount, asset, data, is_private, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)", [Number(orderId), payerAddress, device_address || null, amount, asset || null, JSON.stringify(data), isPrivate ? 1 : 0, expiresAt]);
+            await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = 'awaiting_payment' WHERE id = ?", [Number(orderId)]);
+
+            await conn.query('COMMIT');
+
+            return insertId;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * @param {number} id - The id of the request.
+     * @returns {Promise<object|null>} The request or null if not found.
+     */
+    static async getRequest(id) {
+        const [request] = await db.query("SELECT * FROM ATTESTATION_KIT_payment_requests WHERE id = ?", [Number(id)]);
+
+        return request ? PaymentDbService.parseRequest(request) : null;
+    }
+
+    /**
+     * Retrieves the latest request of an order in one of the statuses.
+     * @param {number} orderId - The id of the order.
+     * @param {string[]} statuses - The request statuses: pending, paid, expired or refunded.
+     * @returns {Promise<object|null>} The request or null if not found.
+     */
+    static async getOrderRequest(orderId, statuses) {
+        const [request] = await db.query(`SELECT * FROM ATTESTATION_KIT_payment_requests WHERE attestation_id = ? AND status IN (${placeholders(statuses)}) ORDER BY id DESC LIMIT 1`, [Number(orderId), ...statuses]);
+
+        return request ? PaymentDbService.parseRequest(request) : null;
+    }
+
+    /**
+     * Retrieves the pending requests of the payers.
+     * @param {string[]} payerAddresses - The wallet addresses.
+     * @returns {Promise<object[]>} The requests, the oldest first.
+     */
+    static async getPendingRequestsByPayers(payerAddresses) {
+        if (payerAddresses.length === 0) return [];
+
+        const requests = await db.query(`SELECT * FROM ATTESTATION_KIT_payment_requests WHERE status = 'pending' AND payer_address IN (${placeholders(payerAddresses)}) ORDER BY id`, payerAddresses);
+
+        return requests.map(PaymentDbService.parseRequest);
+    }
+
+    /**
+     * Retrieves the latest request of a payer in any status.
+     * @param {string} payerAddress - The wallet address.
+     * @returns {Promise<object|null>} The request or null if the address was never asked to pay.
+     */
+    static async getLatestRequestByPayer(payerAddress) {
+        const [request] = await db.query("SELECT * FROM ATTESTATION_KIT_payment_requests WHERE payer_address = ? ORDER BY id DESC LIMIT 1", [payerAddress]);
+
+        return request ? PaymentDbService.parseRequest(request) : null;
+    }
+
+    /**
+     * Retrieves the pending requests that expired before the timestamp.
+     * @param {number} before - Unix timestamp (ms).
+     * @returns {Promise<object[]>}
+     */
+    static async getExpiredRequests(before) {
+        const requests = await db.query("SELECT * FROM ATTESTATION_KIT_payment_requests WHERE status = 'pending' AND expires_at <= ? ORDER BY id", [before]);
+
+        return requests.map(PaymentDbService.parseRequest);
+    }
+
+    /**
+     * Retrieves the pending and paid requests of the rejected orders, their payments are refunded.
+     * @returns {Promise<object[]>}
+     */
+    static async getAbandonedRequests() {
+        const requests = await db.query(`SELECT ATTESTATION_KIT_payment_requests.* FROM ATTESTATION_KIT_payment_requests
+            JOIN ATTESTATION_KIT_attestations ON ATTESTATION_KIT_attestations.id = ATTESTATION_KIT_payment_requests.attestation_id
+            WHERE ATTESTATION_KIT_payment_requests.status IN ('pending', 'paid') AND ATTESTATION_KIT_attestations.status = 'rejected'
+            ORDER BY ATTESTATION_KIT_payment_requests.id`);
+
+        return requests.map(PaymentDbService.parseRequest);
+    }
+
+    /**
+     * Changes the status of a request and optionally of its order.
+     * @param {number} id - The id of the request.
+     * @param {string} status - The new request status.
+     * @param {string} [orderStatus] - The new order status.
+     * @returns {Promise<void>}
+     */
+    static async setRequestStatus(id, status, orderStatus) {
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            await conn.query("UPDATE ATTESTATION_KIT_payment_requests SET status = ? WHERE id = ?", [status, Number(id)]);
+
+            if (orderStatus) {
+                await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = ? WHERE id = (SELECT attestation_id FROM ATTESTATION_KIT_payment_requests WHERE id = ?) AND status NOT IN ('attested', 'revoked', 'rejected')", [orderStatus, Number(id)]);
+            }
+
+            await conn.query('COMMIT');
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Retrieves the outputs to the attestor in the units, with the payers of the units. The units authored by the attestor are skipped.
+     * A unit can have several authors, the payment is attributed to one of them: the first author, the authors of a unit are sorted by address.
+     * @param {string[]} units - The units.
+     * @param {string} attestorAddress - The attestor address.
+     * @returns {Promise<{ unit: string, payer_address: string, asset: string|null, amount: number }[]>}
+     */
+    static async getIncomingPayments(units, attestorAddress) {
+        if (units.length === 0) return [];
+
+        return db.query(`SELECT outputs.unit, payers.payer_address, outputs.asset, SUM(outputs.amount) AS amount
+            FROM outputs JOIN (
+                SELECT unit, MIN(address) AS payer_address FROM unit_authors WHERE unit IN (${placeholders(units)}) GROUP BY unit
+            ) AS payers ON payers.unit = outputs.unit
+            WHERE outputs.unit IN (${placeholders(units)}) AND outputs.address = ?
+                AND NOT EXISTS (SELECT 1 FROM unit_authors WHERE unit_authors.unit = outputs.unit AND unit_authors.address = ?)
+            GROUP BY outputs.unit, payers.payer_address, outputs.asset`, [...units, ...units, attestorAddress, attestorAddress]);
+    }
+
+    /**
+     * Saves a payment of a request, a payment that is already saved is ignored. A unit that pays in several assets is saved once per asset.
+     * @param {Object} payment
+     * @param {string} payment.unit - The payment unit.
+     * @param {number} payment.requestId - The id of the request.
+     * @param {number} payment.amount - The amount.
+     * @param {string|null} payment.asset - The asset, null for bytes.
+     * @param {boolean} [payment.unmatched=false] - Whether the payment doesn't pay the request: it came after the request was closed
+     * or in another asset. It is not counted as paid and is refunded when stable.
+     * @returns {Promise<boolean>} Whether the payment is new.
+     */
+    static async addPayment({ unit, requestId, amount, asset, unmatched = false }) {
+        const { affectedRows } = await db.query("INSERT OR IGNORE INTO ATTESTATION_KIT_payments (unit, request_id, amount, asset, is_unmatched) VALUES (?, ?, ?, ?, ?)", [unit, Number(requestId), amount, asset || null, unmatched ? 1 : 0]);
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * Marks the payments in the units as stable.
+     * @param {string[]} units - The stable units.
+     * @returns {Promise<number[]>} The ids of the requests of the payments.
+     */
+    static async markPaymentsStable(units) {
+        if (units.length === 0) return [];
+
+        await db.query(`UPDATE ATTESTATION_KIT_payments SET is_stable = 1 WHERE unit IN (${placeholders(units)})`, units);
+
+        const rows = await db.query(`SELECT DISTINCT request_id FROM ATTESTATION_KIT_payments WHERE unit IN (${placeholders(units)})`, units);
+
+        return rows.map(({ request_id }) => request_id);
+    }
+
+    /**
+     * Retrieves the stable unmatched payments that are not refunded yet.
+     * @param {number} [minBytes=0] - The payments in bytes below it are kept, they are not retrieved.
+     * @returns {Promise<object[]>} The payments with the payer address of their requests.
+     */
+    static async getUnrefundedUnmatchedPayments(minBytes = 0) {
+        return db.query(`SELECT ATTESTATION_KIT_payments.*, ATTESTATION_KIT_payment_requests.payer_address
+            FROM ATTESTATION_KIT_payments JOIN ATTESTATION_KIT_payment_requests ON ATTESTATION_KIT_payment_requests.id = ATTESTATION_KIT_payments.request_id
+            WHERE ATTESTATION_KIT_payments.is_unmatched = 1 AND ATTESTATION_KIT_payments.is_stable = 1 AND ATTESTATION_KIT_payments.refund_id IS NULL
+                AND (ATTESTATION_KIT_payments.asset IS NOT NULL OR ATTESTATION_KIT_payments.amount >= ?)
+            ORDER BY ATTESTATION_KIT_payments.creation_date`, [minBytes]);
+    }
+
+    /**
+     * Adds the refund of an unmatched payment and links it to the payment.
+     * @param {Object} payment - The unmatched payment with the payer address.
+     * @returns {Promise<number>} The ID of the refund.
+     */
+    static async addUnmatchedPaymentRefund({ unit, request_id, payer_address, amount, asset }) {
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const { insertId } = await conn.query("INSERT INTO ATTESTATION_KIT_refunds (request_id, address, amount, asset, reason) VALUES (?, ?, ?, ?, 'unmatched')", [Number(request_id), payer_address, amount, asset || null]);
+            await conn.query("UPDATE ATTESTATION_KIT_payments SET refund_id = ? WHERE unit = ? AND IFNULL(asset, 'base') = IFNULL(?, 'base') AND request_id = ?", [insertId, unit, asset || null, Number(request_id)]);
+
+            await conn.query('COMMIT');
+
+            return insertId;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Sums the payments of a request, the unmatched payments are not counted.
+     * @param {number} requestId - The id of the request.
+     * @returns {Promise<{ stable: number, pending: number }>} The stable and the not yet stable amounts.
+     */
+    static async getPaidAmount(requestId) {
+        const [row] = await db.query("SELECT SUM(CASE WHEN is_stable = 1 THEN amount ELSE 0 END) AS stable, SUM(CASE WHEN is_stable = 0 THEN amount ELSE 0 END) AS pending FROM ATTESTATION_KIT_payments WHERE request_id = ? AND is_unmatched = 0", [Number(requestId)]);
+
+        return { stable: Number(row?.stable || 0), pending: Number(row?.pending || 0) };
+    }
+
+    /**
+     * Adds a refund to send.
+     * @param {Object} refund
+     * @param {number} refund.requestId - The id of the request.
+     * @param {string} refund.address - The address to refund to.
+     * @param {number} refund.amount - The amount.
+     * @param {string|null} refund.asset - The asset, null for bytes.
+     * @param {string} refund.reason - 'overpayment' or 'abandoned', see addUnmatchedPaymentRefund for 'unmatched'.
+     * @returns {Promise<number>} The ID of the refund.
+     */
+    static async addRefund({ requestId, address, amount, asset, reason }) {
+        const { insertId } = await db.query("INSERT INTO ATTESTATION_KIT_refunds (request_id, address, amount, asset, reason) VALUES (?, ?, ?, ?, ?)", [Number(requestId), address, amount, asset || null, reason]);
+
+        return insertId;
+    }
+
+    /**
+     * Sums the refunds of the payments of a request, including the ones not sent yet. The refunds of the unmatched payments are not counted.
+     * @param {number} requestId - The id of the request.
+     * @returns {Promise<number>}
+     */
+    static async getRefundedAmount(requestId) {
+        const [row] = await db.query("SELECT SUM(amount) AS amount FROM ATTESTATION_KIT_refunds WHERE request_id = ? AND reason != 'unmatched'", [Number(requestId)]);
+
+        return Number(row?.amount || 0);
+    }
+
+    /** @returns {Promise<object[]>} The refunds to send with the device address and the order id of their requests. */
+    static async getPendingRefunds() {
+        return PaymentDbService.getRefundsByStatus('pending');
+    }
+
+    /** @returns {Promise<object[]>} The refunds interrupted while being sent, with the device address and the order id of their requests. */
+    static async getInterruptedRefunds() {
+        return PaymentDbService.getRefundsByStatus('sending');
+    }
+
+    static async getRefundsByStatus(status) {
+        return db.query(`SELECT ATTESTATION_KIT_refunds.*, ATTESTATION_KIT_payment_requests.device_address, ATTESTATION_KIT_payment_requests.attestation_id
+            FROM ATTESTATION_KIT_refunds JOIN ATTESTATION_KIT_payment_requests ON ATTESTATION_KIT_payment_requests.id = ATTESTATION_KIT_refunds.request_id
+            WHERE ATTESTATION_KIT_refunds.status = ? ORDER BY ATTESTATION_KIT_refunds.id`, [status]);
+    }
+
+    /**
+     * Moves a refund to the 'sending' status with the data message that is posted with it.
+     * @param {number} id - The id of the refund.
+     * @param {object} payload - The data message.
+     * @param {string} payloadHash - The hash of the payload, it finds the unit if the refund is interrupted.
+     * @returns {Promise<void>}
+     */
+    static async markRefundSending(id, payload, payloadHash) {
+        await db.query("UPDATE ATTESTATION_KIT_refunds SET status = 'sending', payload = ?, payload_hash = ? WHERE id = ?", [JSON.stringify(payload), payloadHash, Number(id)]);
+    }
+
+    static async markRefundSent(id, unit) {
+        await db.query("UPDATE ATTESTATION_KIT_refunds SET status = 'sent', unit = ?, last_error = NULL WHERE id = ?", [unit, Number(id)]);
+    }
+
+    static async markRefundFailed(id, error) {
+        await db.query("UPDATE ATTESTATION_KIT_refunds SET status = 'pending', last_error = ? WHERE id = ?", [String(error), Number(id)]);
+    }
+
+    /**
+     * Queues an interrupted refund again.
+     * @param {number} id - The id of the refund.
+     * @returns {Promise<void>}
+     */
+    static async requeueRefund(id) {
+        await db.query("UPDATE ATTESTATION_KIT_refunds SET status = 'pending' WHERE id = ?", [Number(id)]);
+    }
+
+    /**
+     * Looks for the data message of a refund in the DAG, it is there if the refund was sent before the process stopped.
+     * @param {string} payloadHash - The payload hash of the data message.
+     * @returns {Promise<string|null>} The unit or null if not found.
+     */
+    static async findSentUnit(payloadHash) {
+        const [message] = await db.query("SELECT unit FROM messages WHERE app = 'data' AND payload_hash = ? LIMIT 1", [payloadHash]);
+
+        return message ? message.unit : null;
+    }
+
+    static parseRequest(request) {
+        return { ...request, data: JSON.parse(request.data) };
+    }
+}
+
+module.exports = PaymentDbService;
@@ -0,0 +1,82 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+/**
+ * ReviewDbService class provides methods to interact with the manual review queue of the verified orders.
+ */
+class ReviewDbService {
+    /**
+     * Adds an order to the review queue and moves it to the 'verified' status.
+     * @param {Object} review
+     * @param {number} review.orderId - The id of the order.
+     * @param {string} review.address - The verified wallet address.
+     * @param {string} [review.device_address] - The device address of the user.
+     * @param {object} review.data - The data to attest.
+     * @param {boolean} review.isPrivate - Whether the attestation is private.
+     * @returns {Promise<number>} The ID of the review.
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async addReview({ orderId, address, device_address, data, isPrivate }) {
+        if (!orderId || !address || typeof data !== 'object') throw new ErrorWithMessage('Invalid review', { code: 'INVALID_DATA', orderId });
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const { insertId } = await conn.query("INSERT INTO ATTESTATION_KIT_reviews (attestation_id, address, device_address, data, is_private) VALUES (?, ?, ?, ?, ?)", [Number(orderId), address, device_address || null, JSON.stringify(data), isPrivate ? 1 : 0]);
+            await conn.query("UPDATE ATTESTATION_KIT_attestations SET status = 'verified' WHERE id = ?", [Number(orderId)]);
+
+            await conn.query('COMMIT');
+
+            return insertId;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Retrieves the latest review of an order.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<object|null>} The review or null if the order was not reviewed.
+     */
+    static async getOrderReview(orderId) {
+        const [review] = await db.query("SELECT * FROM ATTESTATION_KIT_reviews WHERE attestation_id = ? ORDER BY id DESC LIMIT 1", [Number(orderId)]);
+
+        return review ? ReviewDbService.parseReview(review) : null;
+    }
+
+    /**
+     * Retrieves the reviews by the status.
+     * @param {string} status - The review status: pending, approved or rejected.
+     * @returns {Promise<object[]>} The reviews, the oldest first.
+     */
+    static async getReviewsByStatus(status) {
+        const reviews = await db.query("SELECT * FROM ATTESTATION_KIT_reviews WHERE status = ? ORDER BY id", [status]);
+
+        return reviews.map(ReviewDbService.parseReview);
+    }
+
+    /**
+     * Saves the decision on a pending review.
+     * @param {number} id - The id of the review.
+     * @param {string} status - 'approved' or 'rejected'.
+     * @param {string|null} [reason] - The reason of the rejection.
+     * @returns {Promise<boolean>} Whether the review was pending.
+     */
+    static async setReviewStatus(id, status, reason = null) {
+        const { affectedRows } = await db.query("UPDATE ATTESTATION_KIT_reviews SET status = ?, reason = ?, review_date = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'", [status, reason, Number(id)]);
+
+        return affectedRows > 0;
+    }
+
+    static parseReview(review) {
+        return { ...review, data: JSON.parse(review.data) };
+    }
+}
+
+module.exports = ReviewDbService;
@@ -0,0 +1,168 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * RewardDbService class provides methods to interact with the referrals and the queue of reward payouts.
+ */
+class RewardDbService {
+    /**
+     * Saves the referrer of a device, the first referrer is kept.
+     * @param {string} deviceAddress - The referred device.
+     * @param {string} referrerAddress - The wallet address of the referrer.
+     * @returns {Promise<boolean>} Whether the referrer is saved.
+     */
+    static async setReferrer(deviceAddress, referrerAddress) {
+        const { affectedRows } = await db.query("INSERT OR IGNORE INTO ATTESTATION_KIT_referrals (device_address, referrer_address) VALUES (?, ?)", [deviceAddress, referrerAddress]);
+
+        return affectedRows > 0;
+    }
+
+    /**
+     * @param {string} deviceAddress - The referred device.
+     * @returns {Promise<string|null>} The wallet address of the referrer or null.
+     */
+    static async getReferrer(deviceAddress) {
+        const [referral] = await db.query("SELECT referrer_address FROM ATTESTATION_KIT_referrals WHERE device_address = ?", [deviceAddress]);
+
+        return referral ? referral.referrer_address : null;
+    }
+
+    /**
+     * Adds the payouts of an attested identity. A payout of a type that the identity already has is ignored.
+     * @param {Object[]} payouts
+     * @param {number} payouts[].orderId - The id of the attested order.
+     * @param {string} payouts[].identityHash - The hash of the attested identity.
+     * @param {string} payouts[].type - 'reward' or 'referral'.
+     * @param {string} payouts[].address - The payee.
+     * @param {string} [payouts[].device_address] - The device of the payee.
+     * @param {string} [payouts[].referredAddress] - The attested address, only for referral rewards.
+     * @param {number} payouts[].amount - The amount.
+     * @param {string|null} payouts[].asset - The asset, null for bytes.
+     * @param {object} payouts[].payload - The data message posted with the payout.
+     * @param {string} payouts[].payloadHash - The hash of the payload.
+     * @returns {Promise<number[]>} The IDs of the added payouts.
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async addPayouts(payouts) {
+        for (const { orderId, identityHash, type, address, amount } of payouts) {
+            if (!orderId || !identityHash || !['reward', 'referral'].includes(type) || !address || !(amount > 0)) throw new ErrorWithMessage('Invalid payout', { code: 'INVALID_DATA', orderId, type });
+        }
+
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('BEGIN');
+
+            const ids = [];
+
+            for (const { orderId, identityHash, type, address, device_address, referredAddress, amount, asset, payload, payloadHash } of payouts) {
+                const { affectedRows, insertId } = await conn.query("INSERT OR IGNORE INTO ATTESTATION_KIT_rewards (attestation_id, identity_hash, type, address, device_address, referred_address, amount, asset, payload, payload_hash, next_attempt_ts) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [Number(orderId), identityHash, type, address, device_address || null, referredAddress || null, amount, asset || null, JSON.stringify(payload), payloadHash, now()]);
+
+                if (affectedRows > 0) ids.push(insertId);
+            }
+
+            await conn.query('COMMIT');
+
+            return ids;
+        } catch (err) {
+            await conn.query('ROLLBACK');
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Retrieves the payouts that are due to be sent.
+     * @param {number} limit - The maximum number of payouts.
+     * @returns {Promise<object[]>}
+     */
+    static async getDuePayouts(limit) {
+        const payouts = await db.query("SELECT * FROM ATTESTATION_KIT_rewards WHERE status = 'pending' AND next_attempt_ts <= ? ORDER BY next_attempt_ts, id LIMIT ?", [now(), Number(limit)]);
+
+        return payouts.map(RewardDbService.parsePayout);
+    }
+
+    /**
+     * Retrieves payouts by the status.
+     * @param {string} status - The payout status: pending, sending, sent or failed.
+     * @returns {Promise<object[]>}
+     */
+    static async getPayoutsByStatus(status) {
+        const payouts = await db.query("SELECT * FROM ATTESTATION_KIT_rewards WHERE status = ? ORDER BY id", [status]);
+
+        return payouts.map(RewardDbService.parsePayout);
+    }
+
+    /**
+     * Retrieves the payouts of an attested order.
+     * @param {number} orderId - The id of the order.
+     * @returns {Promise<object[]>}
+     */
+    static async getOrderPayouts(orderId) {
+        const payouts = await db.query("SELECT * FROM ATTESTATION_KIT_rewards WHERE attestation_id = ? ORDER BY id", [Number(orderId)]);
+
+        return payouts.map(RewardDbService.parsePayout);
+    }
+
+    static async markSending(id) {
+        await db.query("UPDATE ATTESTATION_KIT_rewards SET status = 'sending' WHERE id = ?", [Number(id)]);
+    }
+
+    static async markSent(id, unit) {
+        await db.query("UPDATE ATTESTATION_KIT_rewards SET status = 'sent', unit = ?, last_error = NULL, is_waiting_for_funds = 0 WHERE id = ?", [unit, Number(id)]);
+    }
+
+    /**
+     * Queues an interrupted payout again.
+     * @param {number} id - The id of the payout.
+     * @returns {Promise<void>}
+     */
+    static async requeue(id) {
+        await db.query("UPDATE ATTESTATION_KIT_rewards SET status = 'pending', next_attempt_ts = ? WHERE id = ?", [now(), Number(id)]);
+    }
+
+    /**
+     * Records a failed attempt. The payout is scheduled for the next attempt or fails for good when there is no next attempt.
+     * A scheduled attempt that is not counted waits for funds, see retryWaitingPayouts.
+     * @param {number} id - The id of the payout.
+     * @param {string} error - The error of the attempt.
+     * @param {number|null} nextAttemptTs - The unix timestamp of the next attempt, null to give up.
+     * @param {boolean} [countAttempt=true] - Whether the attempt counts towards the attempts limit.
+     * @returns {Promise<void>}
+     */
+    static async markAttemptFailed(id, error, nextAttemptTs, countAttempt = true) {
+        await db.query("UPDATE ATTESTATION_KIT_rewards SET status = ?, attempts = attempts + ?, last_error = ?, next_attempt_ts = ?, is_waiting_for_funds = ? WHERE id = ?", [nextAttemptTs ? 'pending' : 'failed', countAttempt ? 1 : 0, String(error), nextAttemptTs || now(), nextAttemptTs && !countAttempt ? 1 : 0, Number(id)]);
+    }
+
+    /**
+     * Makes the payouts that wait for funds due now, when the attestor wallet is funded again.
+     * The payouts that failed for another reason keep their backoff.
+     * @returns {Promise<number>} The number of payouts.
+     */
+    static async retryWaitingPayouts() {
+        const { affectedRows } = await db.query("UPDATE ATTESTATION_KIT_rewards SET next_attempt_ts = ? WHERE status = 'pending' AND is_waiting_for_funds = 1 AND next_attempt_ts > ?", [now(), now()]);
+
+        return affectedRows || 0;
+    }
+
+    /**
+     * Looks for the data message of a payout in the DAG, it is there if the payout was sent before the process stopped.
+     * @param {string} payloadHash - The payload hash of the data message.
+     * @returns {Promise<string|null>} The unit or null if not found.
+     */
+    static async findSentUnit(payloadHash) {
+        const [message] = await db.query("SELECT unit FROM messages WHERE app = 'data' AND payload_hash = ? LIMIT 1", [payloadHash]);
+
+        return message ? message.unit : null;
+    }
+
+    static parsePayout(payout) {
+        return { ...payout, payload: JSON.parse(payout.payload) };
+    }
+}
+
+module.exports = RewardDbService;
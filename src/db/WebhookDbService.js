@@ -0,0 +1,59 @@
+const db = require('ocore/db');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+/**
+ * WebhookDbService class provides methods to interact with the persistent queue of webhook deliveries.
+ */
+class WebhookDbService {
+    /**
+     * Adds a delivery to the queue.
+     * @param {string} url - The webhook URL.
+     * @param {string} event - The event name.
+     * @param {object} body - The JSON body to send.
+     * @returns {Promise<number>} The ID of the inserted delivery.
+     * @throws {ErrorWithMessage} Throws an error if validation fails.
+     */
+    static async addDelivery(url, event, body) {
+        if (!url || !event || typeof body !== 'object') throw new ErrorWithMessage('Invalid delivery', { code: 'INVALID_DATA', url, event });
+
+        const { insertId } = await db.query("INSERT INTO ATTESTATION_KIT_webhook_deliveries (url, event, body, next_attempt_ts) VALUES (?, ?, ?, ?)", [url, event, JSON.stringify(body), Math.floor(Date.now() / 1000)]);
+
+        return insertId;
+    }
+
+    /**
+     * Retrieves pending deliveries whose next attempt is due.
+     * @param {number} [limit=20] - The maximum number of deliveries.
+     * @returns {Promise<object[]>} The deliveries.
+     */
+    static async getDueDeliveries(limit = 20) {
+        return db.query("SELECT * FROM ATTESTATION_KIT_webhook_deliveries WHERE status = 'pending' AND next_attempt_ts <= ? ORDER BY next_attempt_ts, id LIMIT ?", [Math.floor(Date.now() / 1000), Number(limit)]);
+    }
+
+    /**
+     * Marks a delivery as delivered.
+     * @param {number} id - The id of the delivery.
+     * @returns {Promise<void>}
+     */
+    static async markDelivered(id) {
+        await db.query("UPDATE ATTESTATION_KIT_webhook_deliveries SET status = 'delivered', attempts = attempts + 1, last_error = NULL WHERE id = ?", [Number(id)]);
+    }
+
+    /**
+     * Records a failed attempt and schedules the next one. The delivery fails for good when there is no next attempt.
+     * @param {number} id - The id of the delivery.
+     * @param {string} error - The error of the attempt.
+     * @param {number|null} nextAttemptTs - The unix timestamp of the next attempt, null to give up.
+     * @returns {Promise<void>}
+     */
+    static async markAttemptFailed(id, error, nextAttemptTs) {
+        if (nextAttemptTs) {
+            await db.query("UPDATE ATTESTATION_KIT_webhook_deliveries SET attempts = attempts + 1, last_error = ?, next_attempt_ts = ? WHERE id = ?", [String(error), Number(nextAttemptTs), Number(id)]);
+        } else {
+            await db.query("UPDATE ATTESTATION_KIT_webhook_deliveries SET status = 'failed', attempts = attempts + 1, last_error = ? WHERE id = ?", [String(error), Number(id)]);
+        }
+    }
+}
+
+module.exports = WebhookDbService;
@@ -12,4 +12,5 @@
 
 module.exports = {
     initialize: require('./initialize'),
+    migrator: require('./migrator'),
 }
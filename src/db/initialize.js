@@ -1,20 +1,10 @@
-const fs = require('fs');
 const db = require('ocore/db.js');
-const path = require('path');
 const logger = require('../utils/logger');
+const migrator = require('./migrator');
 
 module.exports = async () => {
     try {
-
-        const db_sql = await fs.promises.readFile(path.resolve(__dirname, 'db.sql'), 'utf8');
-
-        const queries = db_sql.split('-- query separator')
-            .map(sql => sql.trim())
-            .filter(sql => sql);
-
-        for (const sql of queries) {
-            await db.query(sql);
-        }
+        await migrator.migrate();
 
         logger.info('Database initialized');
     } catch (error) {
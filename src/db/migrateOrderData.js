@@ -0,0 +1,46 @@
+const logger = require('../utils/logger');
+
+const LEGACY_DATA_COLUMNS_COUNT = 4;
+
+/**
+ * Moves the order data from the legacy dataKey0..3/dataValue0..3 columns to ATTESTATION_KIT_attestation_data
+ * and rebuilds ATTESTATION_KIT_attestations without them (the rebuild also adds the 'revoked' status to the CHECK).
+ * Does nothing if the table has the new layout.
+ * Other tables reference the orders and the table is rebuilt under the same ids, so it runs in a transaction with the foreign keys off.
+ * @param {Object} conn - The database connection with an open transaction.
+ * @returns {Promise<void>}
+ */
+module.exports = async (conn) => {
+    const columns = await conn.query('PRAGMA table_info(ATTESTATION_KIT_attestations)');
+
+    if (!columns.find(({ name }) => name === 'dataKey0')) return;
+
+    logger.info('Migrating order data to ATTESTATION_KIT_attestation_data');
+
+    for (let i = 0; i < LEGACY_DATA_COLUMNS_COUNT; i++) {
+        await conn.query(`INSERT OR IGNORE INTO ATTESTATION_KIT_attestation_data (attestation_id, data_key, data_value)
+            SELECT id, dataKey${i}, dataValue${i} FROM ATTESTATION_KIT_attestations WHERE dataKey${i} IS NOT NULL AND dataValue${i} IS NOT NULL ORDER BY id`);
+    }
+
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_attestations_new (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        user_wallet_address CHAR(32) NULL CHECK(user_wallet_address IS NULL OR length(user_wallet_address) = 32),
+        user_device_address CHAR(32) NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'addressed', 'verified', 'attested', 'rejected', 'revoked')),
+        unit CHAR(44) NULL, -- only for attested statuses
+        is_private TINYINT NOT NULL DEFAULT 0, -- only the hashed profile is posted to the DAG
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await conn.query(`INSERT INTO ATTESTATION_KIT_attestations_new (id, user_wallet_address, user_device_address, status, unit, is_private, creation_date)
+        SELECT id, user_wallet_address, user_device_address, status, unit, is_private, creation_date FROM ATTESTATION_KIT_attestations`);
+
+    await conn.query('DROP TABLE ATTESTATION_KIT_attestations');
+    await conn.query('ALTER TABLE ATTESTATION_KIT_attestations_new RENAME TO ATTESTATION_KIT_attestations');
+
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_user ON ATTESTATION_KIT_attestations(user_wallet_address)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_status ON ATTESTATION_KIT_attestations(status)');
+    await conn.query('CREATE UNIQUE INDEX ATTESTATION_KIT_idx_unit_unique ON ATTESTATION_KIT_attestations(unit) WHERE unit IS NOT NULL');
+
+    logger.info('Order data migrated');
+}
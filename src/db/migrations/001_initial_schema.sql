@@ -27,4 +27,4 @@ CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_attestations_user ON ATTESTATION_
 CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_attestations_status ON ATTESTATION_KIT_attestations(status);
 
 -- query separator
-CREATE UNIQUE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_unit_unique ON ATTESTATION_KIT_attestations(unit) WHERE unit IS NOT NULL;
\ No newline at end of file
+CREATE UNIQUE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_unit_unique ON ATTESTATION_KIT_attestations(unit) WHERE unit IS NOT NULL;
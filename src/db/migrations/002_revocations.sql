@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_revocations (
+    id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    attestation_id INTEGER NOT NULL,
+    attestation_unit CHAR(44) NOT NULL, -- the revoked attestation unit
+    unit CHAR(44) NOT NULL, -- the unit with the revocation message
+    reason TEXT NULL,
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+);
+
+-- query separator
+CREATE UNIQUE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_revocations_attestation_unit ON ATTESTATION_KIT_revocations(attestation_unit);
+
+-- query separator
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_pending_revocations (
+    attestation_id INTEGER NOT NULL PRIMARY KEY, -- one revocation of an order at a time
+    attestation_unit CHAR(44) NOT NULL, -- the attestation unit being revoked
+    address CHAR(32) NOT NULL, -- the attested wallet address
+    reason TEXT NULL,
+    payload_hash CHAR(44) NOT NULL, -- the hash of the revocation message, it finds the unit of an interrupted revocation
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+);
@@ -0,0 +1,21 @@
+/**
+ * Private profile attestations: the order flag and the blinded profiles.
+ * @param {Object} conn - The database connection with an open transaction.
+ */
+module.exports = async (conn) => {
+    const columns = await conn.query('PRAGMA table_info(ATTESTATION_KIT_attestations)');
+
+    // the databases created before the versioned migrations may have the flag already
+    if (!columns.some(({ name }) => name === 'is_private')) {
+        await conn.query('ALTER TABLE ATTESTATION_KIT_attestations ADD COLUMN is_private TINYINT NOT NULL DEFAULT 0'); // only the hashed profile is posted to the DAG
+    }
+
+    await conn.query(`CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_private_profiles (
+        attestation_id INTEGER NOT NULL PRIMARY KEY,
+        unit CHAR(44) NOT NULL, -- the attestation unit with the profile hash
+        payload_hash CHAR(44) NOT NULL,
+        src_profile TEXT NOT NULL, -- JSON: { field: [value, blinding] }
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+    )`);
+}
@@ -0,0 +1,14 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_webhook_deliveries (
+    id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    event VARCHAR(64) NOT NULL,
+    body TEXT NOT NULL, -- JSON sent to the webhook
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_ts INTEGER NOT NULL, -- unix timestamp (seconds)
+    last_error TEXT NULL,
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_webhook_deliveries_due ON ATTESTATION_KIT_webhook_deliveries(status, next_attempt_ts);
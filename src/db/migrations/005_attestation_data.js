@@ -0,0 +1,20 @@
+const migrateOrderData = require('../migrateOrderData');
+
+/**
+ * The key/value table of the order data, the legacy data columns are migrated to it.
+ * @param {Object} conn - The database connection with an open transaction.
+ */
+module.exports = async (conn) => {
+    await conn.query(`CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_attestation_data (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        attestation_id INTEGER NOT NULL,
+        data_key VARCHAR(64) NOT NULL, -- Platform-specific data key
+        data_value TEXT NOT NULL, -- Platform-specific data value
+        UNIQUE (attestation_id, data_key),
+        FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+    )`);
+
+    await conn.query('CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_attestation_data_lookup ON ATTESTATION_KIT_attestation_data(data_key, data_value)');
+
+    await migrateOrderData(conn);
+}
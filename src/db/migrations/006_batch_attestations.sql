@@ -0,0 +1,11 @@
+-- several orders share the unit when attestations are posted in batches
+DROP INDEX IF EXISTS ATTESTATION_KIT_idx_unit_unique;
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_attestations_unit ON ATTESTATION_KIT_attestations(unit);
+
+-- query separator
+DROP INDEX IF EXISTS ATTESTATION_KIT_idx_revocations_attestation_unit;
+
+-- query separator
+CREATE UNIQUE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_revocations_attestation ON ATTESTATION_KIT_revocations(attestation_id);
@@ -0,0 +1,45 @@
+/**
+ * Durable attestation outbox: the 'attesting' and 'failed' order statuses and the jobs table.
+ * @param {Object} conn - The database connection with an open transaction.
+ */
+module.exports = async (conn) => {
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_attestations_new (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        user_wallet_address CHAR(32) NULL CHECK(user_wallet_address IS NULL OR length(user_wallet_address) = 32),
+        user_device_address CHAR(32) NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'addressed', 'verified', 'attesting', 'attested', 'failed', 'rejected', 'revoked')),
+        unit CHAR(44) NULL, -- only for attested statuses
+        is_private TINYINT NOT NULL DEFAULT 0, -- only the hashed profile is posted to the DAG
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await conn.query(`INSERT INTO ATTESTATION_KIT_attestations_new (id, user_wallet_address, user_device_address, status, unit, is_private, creation_date)
+        SELECT id, user_wallet_address, user_device_address, status, unit, is_private, creation_date FROM ATTESTATION_KIT_attestations`);
+
+    await conn.query('DROP TABLE ATTESTATION_KIT_attestations');
+    await conn.query('ALTER TABLE ATTESTATION_KIT_attestations_new RENAME TO ATTESTATION_KIT_attestations');
+
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_user ON ATTESTATION_KIT_attestations(user_wallet_address)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_status ON ATTESTATION_KIT_attestations(status)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_unit ON ATTESTATION_KIT_attestations(unit)');
+
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_outbox (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        attestation_id INTEGER NOT NULL,
+        address CHAR(32) NOT NULL,
+        device_address CHAR(33) NULL,
+        data TEXT NOT NULL, -- JSON: the attested data
+        attestation TEXT NOT NULL, -- JSON: { payload, payload_hash, src_profile }, prepared before posting
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'posting', 'posted', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_ts INTEGER NOT NULL, -- unix timestamp (seconds)
+        last_error TEXT NULL,
+        is_waiting_for_funds TINYINT NOT NULL DEFAULT 0, -- the last attempt failed because the attestor can't pay, the incoming funds retry it
+        unit CHAR(44) NULL,
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+    )`);
+
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_outbox_due ON ATTESTATION_KIT_outbox(status, next_attempt_ts)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_outbox_attestation ON ATTESTATION_KIT_outbox(attestation_id)');
+}
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_sessions (
+    device_address CHAR(33) NOT NULL PRIMARY KEY,
+    session TEXT NOT NULL, -- JSON
+    expires_at BIGINT NULL, -- unix timestamp (ms), NULL if the session doesn't expire
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_sessions_expires_at ON ATTESTATION_KIT_sessions(expires_at);
@@ -0,0 +1,5 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_device_languages (
+    device_address CHAR(33) NOT NULL PRIMARY KEY,
+    language VARCHAR(16) NOT NULL, -- e.g. 'en', 'pt-BR'
+    update_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
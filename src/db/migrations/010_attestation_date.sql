@@ -0,0 +1,4 @@
+ALTER TABLE ATTESTATION_KIT_attestations ADD COLUMN attestation_date TIMESTAMP NULL; -- set when the unit is saved
+
+-- query separator
+UPDATE ATTESTATION_KIT_attestations SET attestation_date = creation_date WHERE unit IS NOT NULL; -- the best known date of the earlier attestations
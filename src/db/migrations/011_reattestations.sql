@@ -0,0 +1,4 @@
+ALTER TABLE ATTESTATION_KIT_attestations ADD COLUMN previous_attestation_id INTEGER NULL REFERENCES ATTESTATION_KIT_attestations(id); -- the order of the same data attested to the previous address
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_attestations_previous ON ATTESTATION_KIT_attestations(previous_attestation_id);
@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_challenges (
+    nonce CHAR(16) NOT NULL PRIMARY KEY,
+    device_address CHAR(33) NOT NULL, -- the device the challenge was sent to
+    address CHAR(32) NOT NULL, -- the wallet address that must sign it
+    expires_at BIGINT NOT NULL, -- unix timestamp (ms)
+    used_at BIGINT NULL, -- unix timestamp (ms), NULL until a signed message with the nonce is accepted
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_challenges_expires_at ON ATTESTATION_KIT_challenges(expires_at);
@@ -0,0 +1,81 @@
+/**
+ * Paid attestations: the 'awaiting_payment', 'paid' and 'refunded' order statuses, the payment requests, the received payments and the refunds.
+ * @param {Object} conn - The database connection with an open transaction.
+ */
+module.exports = async (conn) => {
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_attestations_new (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        user_wallet_address CHAR(32) NULL CHECK(user_wallet_address IS NULL OR length(user_wallet_address) = 32),
+        user_device_address CHAR(32) NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'addressed', 'verified', 'awaiting_payment', 'paid', 'attesting', 'attested', 'failed', 'rejected', 'revoked', 'refunded')),
+        unit CHAR(44) NULL, -- only for attested statuses
+        is_private TINYINT NOT NULL DEFAULT 0, -- only the hashed profile is posted to the DAG
+        previous_attestation_id INTEGER NULL REFERENCES ATTESTATION_KIT_attestations(id), -- the order of the same data attested to the previous address
+        attestation_date TIMESTAMP NULL, -- set when the unit is saved
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await conn.query(`INSERT INTO ATTESTATION_KIT_attestations_new (id, user_wallet_address, user_device_address, status, unit, is_private, previous_attestation_id, attestation_date, creation_date)
+        SELECT id, user_wallet_address, user_device_address, status, unit, is_private, previous_attestation_id, attestation_date, creation_date FROM ATTESTATION_KIT_attestations`);
+
+    await conn.query('DROP TABLE ATTESTATION_KIT_attestations');
+    await conn.query('ALTER TABLE ATTESTATION_KIT_attestations_new RENAME TO ATTESTATION_KIT_attestations');
+
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_user ON ATTESTATION_KIT_attestations(user_wallet_address)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_status ON ATTESTATION_KIT_attestations(status)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_unit ON ATTESTATION_KIT_attestations(unit)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_attestations_previous ON ATTESTATION_KIT_attestations(previous_attestation_id)');
+
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_payment_requests (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        attestation_id INTEGER NOT NULL,
+        payer_address CHAR(32) NOT NULL, -- the attested address, the payment is expected from it
+        device_address CHAR(33) NULL,
+        amount BIGINT NOT NULL,
+        asset CHAR(44) NULL, -- NULL for bytes
+        data TEXT NOT NULL, -- JSON: the data to attest when the payment is confirmed
+        is_private TINYINT NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'paid', 'expired', 'refunded')),
+        expires_at BIGINT NOT NULL, -- unix timestamp (ms)
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+    )`);
+
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_payment_requests_payer ON ATTESTATION_KIT_payment_requests(payer_address, status)');
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_payment_requests_attestation ON ATTESTATION_KIT_payment_requests(attestation_id)');
+
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_refunds (
+        id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        request_id INTEGER NOT NULL,
+        address CHAR(32) NOT NULL,
+        amount BIGINT NOT NULL,
+        asset CHAR(44) NULL, -- NULL for bytes
+        reason VARCHAR(20) NOT NULL, -- 'overpayment', 'abandoned' or 'unmatched'
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'sending', 'sent')),
+        payload TEXT NULL, -- JSON: the data message posted with the refund, it finds the unit of a refund interrupted in 'sending'
+        payload_hash CHAR(44) NULL, -- set when the refund is sent
+        unit CHAR(44) NULL,
+        last_error TEXT NULL,
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (request_id) REFERENCES ATTESTATION_KIT_payment_requests(id)
+    )`);
+
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_refunds_status ON ATTESTATION_KIT_refunds(status)');
+
+    await conn.query(`CREATE TABLE ATTESTATION_KIT_payments (
+        unit CHAR(44) NOT NULL,
+        request_id INTEGER NOT NULL,
+        amount BIGINT NOT NULL,
+        asset CHAR(44) NULL, -- NULL for bytes
+        is_stable TINYINT NOT NULL DEFAULT 0,
+        is_unmatched TINYINT NOT NULL DEFAULT 0, -- no pending request of the payer in this asset, it is refunded when stable
+        refund_id INTEGER NULL REFERENCES ATTESTATION_KIT_refunds(id), -- only for unmatched payments
+        creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (request_id) REFERENCES ATTESTATION_KIT_payment_requests(id)
+    )`);
+
+    // a unit that pays in several assets has a row for each of them. NULLs are distinct in a key,
+    // bytes are keyed as 'base' so that INSERT OR IGNORE skips a payment seen twice
+    await conn.query("CREATE UNIQUE INDEX ATTESTATION_KIT_idx_payments_key ON ATTESTATION_KIT_payments(unit, IFNULL(asset, 'base'), request_id)");
+    await conn.query('CREATE INDEX ATTESTATION_KIT_idx_payments_request ON ATTESTATION_KIT_payments(request_id)');
+}
@@ -0,0 +1,35 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_referrals (
+    device_address CHAR(33) NOT NULL PRIMARY KEY, -- the referred device
+    referrer_address CHAR(32) NOT NULL, -- the wallet address to pay the referral reward to
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- query separator
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_rewards (
+    id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    attestation_id INTEGER NOT NULL,
+    identity_hash CHAR(44) NOT NULL, -- the hash of the attested identity, one reward of each type per identity
+    type VARCHAR(10) NOT NULL CHECK(type IN ('reward', 'referral')),
+    address CHAR(32) NOT NULL, -- the payee
+    device_address CHAR(33) NULL, -- the device of the payee, notified of the payout
+    referred_address CHAR(32) NULL, -- only for referral rewards: the attested address
+    amount BIGINT NOT NULL,
+    asset CHAR(44) NULL, -- NULL for bytes
+    payload TEXT NOT NULL, -- JSON: the data message posted with the payout, it finds the unit of an interrupted payout
+    payload_hash CHAR(44) NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_ts INTEGER NOT NULL, -- unix timestamp (seconds)
+    last_error TEXT NULL,
+    is_waiting_for_funds TINYINT NOT NULL DEFAULT 0, -- the last attempt failed because the attestor can't pay, the incoming funds retry it
+    unit CHAR(44) NULL,
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (identity_hash, type),
+    FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_rewards_due ON ATTESTATION_KIT_rewards(status, next_attempt_ts);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_rewards_attestation ON ATTESTATION_KIT_rewards(attestation_id);
@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_reviews (
+    id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    attestation_id INTEGER NOT NULL,
+    address CHAR(32) NOT NULL, -- the verified wallet address
+    device_address CHAR(33) NULL,
+    data TEXT NOT NULL, -- JSON: the data to attest when the order is approved
+    is_private TINYINT NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(LOWER(status) IN ('pending', 'approved', 'rejected')),
+    reason TEXT NULL, -- the reason of the rejection, sent to the user
+    review_date TIMESTAMP NULL,
+    creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (attestation_id) REFERENCES ATTESTATION_KIT_attestations(id)
+);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_reviews_attestation ON ATTESTATION_KIT_reviews(attestation_id);
+
+-- query separator
+CREATE INDEX IF NOT EXISTS ATTESTATION_KIT_idx_reviews_status ON ATTESTATION_KIT_reviews(status);
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Versioned database migrations
+ * @module db/migrator
+ * @example
+ * // a strategy with its own tables: migrations/001_telegram_users.sql, migrations/002_....js
+ * await migrator.register('telegram_strategy', path.resolve(__dirname, 'migrations'));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('ocore/db.js');
+const mutex = require('ocore/mutex.js');
+
+const logger = require('../utils/logger');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const KIT_NAMESPACE = 'attestation_kit';
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+class Migrator {
+    constructor() {
+        this.namespaces = new Map();
+        this.migrated = false;
+
+        this.register(KIT_NAMESPACE, path.resolve(__dirname, 'migrations'));
+    }
+
+    /**
+     * Loads migrations from a directory. File names are <version>_<name>.sql or <version>_<name>.js,
+     * SQL files are split by '-- query separator', JS files export an async function that receives the connection.
+     * @param {string} dir - The directory with migration files.
+     * @returns {{ version: number, name: string, up: function }[]}
+     */
+    static loadDirectory(dir) {
+        return fs.readdirSync(dir)
+            .map((filename) => filename.match(MIGRATION_FILE_REGEX))
+            .filter(Boolean)
+            .map(([filename, version, name, extension]) => {
+                const filePath = path.join(dir, filename);
+
+                if (extension === 'js') {
+                    return { version: Number(version), name, up: require(filePath) };
+                }
+
+                return {
+                    version: Number(version),
+                    name,
+                    up: async (conn) => {
+                        const queries = fs.readFileSync(filePath, 'utf8').split('-- query separator')
+                            .map(sql => sql.trim())
+                            .filter(sql => sql);
+
+                        for (const sql of queries) {
+                            await conn.query(sql);
+                        }
+                    }
+                };
+            });
+    }
+
+    /**
+     * Registers migrations of a namespace. If the database is already migrated, the new migrations are applied at once.
+     * @param {string} namespace - Unique name of the migrations owner, e.g. the strategy name.
+     * @param {string|{ version: number, name: string, up: function }[]} migrations - A directory with migration files or a list of migrations.
+     * @returns {Promise<void>}
+     * @throws {ErrorWithMessage} Throws an error if the namespace is already registered or the versions are not unique. (INVALID_DATA, ALREADY_EXISTS)
+     */
+    async register(namespace, migrations) {
+        if (!namespace || typeof namespace !== 'string') throw new ErrorWithMessage('Invalid migrations namespace', { code: 'INVALID_DATA' });
+        if (this.namespaces.has(namespace)) throw new ErrorWithMessage(`Migrations of ${namespace} are already registered`, { code: 'ALREADY_EXISTS' });
+
+        const list = typeof migrations === 'string' ? Migrator.loadDirectory(migrations) : migrations;
+
+        if (!Array.isArray(list) || list.some(({ version, up }) => !Number.isInteger(version) || version <= 0 || typeof up !== 'function')) {
+            throw new ErrorWithMessage('Invalid migrations', { code: 'INVALID_DATA', namespace });
+        }
+
+        if (new Set(list.map(({ version }) => version)).size !== list.length) {
+            throw new ErrorWithMessage('Migration versions must be unique', { code: 'INVALID_DATA', namespace });
+        }
+
+        this.namespaces.set(namespace, [...list].sort((a, b) => a.version - b.version));
+
+        if (this.migrated) await this.migrate();
+    }
+
+    /**
+     * Applies the pending migrations of all namespaces. Every migration runs in its own transaction.
+     * @returns {Promise<void>}
+     */
+    async migrate() {
+        const unlock = await mutex.lock('ATTESTATION_KIT_migrations');
+
+        try {
+            await db.query(`CREATE TABLE IF NOT EXISTS ATTESTATION_KIT_migrations (
+                namespace VARCHAR(64) NOT NULL,
+                version INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                applied_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (namespace, version)
+            )`);
+
+            for (const [namespace, migrations] of this.namespaces) {
+                const applied = await db.query('SELECT version FROM ATTESTATION_KIT_migrations WHERE namespace = ?', [namespace]);
+                const appliedVersions = applied.map(({ version }) => version);
+
+                for (const migration of migrations) {
+                    if (!appliedVersions.includes(migration.version)) {
+                        await Migrator.apply(namespace, migration);
+                    }
+                }
+            }
+
+            this.migrated = true;
+        } finally {
+            unlock();
+        }
+    }
+
+    /**
+     * Applies one migration in a transaction.
+     * Foreign keys are checked before the commit instead of every statement, so migrations can rebuild tables.
+     * @param {string} namespace
+     * @param {{ version: number, name: string, up: function }} migration
+     * @returns {Promise<void>}
+     */
+    static async apply(namespace, { version, name, up }) {
+        const conn = await db.takeConnectionFromPool();
+
+        try {
+            await conn.query('PRAGMA foreign_keys = OFF');
+            await conn.query('BEGIN');
+
+            try {
+                await up(conn);
+
+                const violations = await conn.query('PRAGMA foreign_key_check');
+                if (violations.length > 0) throw new ErrorWithMessage('Foreign key violations after migration', { code: 'INVALID_DATA', violations });
+
+                await conn.query('INSERT INTO ATTESTATION_KIT_migrations (namespace, version, name) VALUES (?, ?, ?)', [namespace, version, name]);
+                await conn.query('COMMIT');
+            } catch (err) {
+                await conn.query('ROLLBACK');
+                logger.error(`Migration ${namespace}/${version}_${name} failed:`, err);
+                throw err;
+            }
+
+            logger.info(`Migration ${namespace}/${version}_${name} applied`);
+        } finally {
+            await conn.query('PRAGMA foreign_keys = ON');
+            conn.release();
+        }
+    }
+}
+
+module.exports = new Migrator();
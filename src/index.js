@@ -4,6 +4,12 @@ module.exports = {
     db: require("./db/DbService"),
     dictionary: require("../dictionary"),
     BaseStrategy: require("./BaseStrategy"),
+    OAuth2Strategy: require("./OAuth2Strategy"),
     webserver: require("./webserver"),
     walletSessionStore: require("./walletHandlers/walletSessionStore"),
+    commandRouter: require("./walletHandlers/commands"),
+    sessionStores: require("./walletHandlers/sessionStores"),
+    webhookDispatcher: require("./services/webhookDispatcher"),
+    rateLimits: require("./services/rateLimits"),
+    rewards: require("./services/rewards"),
 }
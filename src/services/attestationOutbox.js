@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Durable queue of attestations to post. Jobs survive restarts, failed attempts are retried
+ * and attestations can be posted in batches, several attestation messages in one unit.
+ * @module services/attestationOutbox
+ * @example
+ * // conf.js
+ * exports.batchAttestations = true;
+ * exports.attestationBatchMaxSize = 16; // post when 16 attestations are waiting
+ * exports.attestationBatchWindow = 60; // or 60 seconds after the first of them
+ * exports.attestationMaxAttempts = 10;
+ */
+
+const conf = require('ocore/conf.js');
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+const headlessWallet = require('headless-obyte');
+
+const DbService = require('../db/DbService');
+const OutboxDbService = require('../db/OutboxDbService');
+const PaymentDbService = require('../db/PaymentDbService');
+const dictionary = require('../../dictionary');
+const completeAttestation = require('./completeAttestation');
+const balanceMonitor = require('./balanceMonitor');
+const { logger, prepareAttestation, postPreparedAttestations } = require('../utils');
+const { getNextAttempt, recoverInterrupted } = require('../utils/retryPolicy');
+
+// a unit can't have more than 128 messages
+const MAX_BATCH_SIZE = 128;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+class AttestationOutbox {
+    constructor() {
+        this.timer = null;
+        this.processing = false;
+        this.onNewTransactions = this.onNewTransactions.bind(this);
+    }
+
+    get batchSize() {
+        return conf.batchAttestations ? Math.min(conf.attestationBatchMaxSize ?? 16, MAX_BATCH_SIZE) : 1;
+    }
+
+    get batchWindow() {
+        return conf.batchAttestations ? (conf.attestationBatchWindow ?? 60) : 0;
+    }
+
+    get retryPolicy() {
+        return { retryDelay: conf.attestationRetryDelay ?? 60, maxRetryDelay: conf.attestationMaxRetryDelay ?? 3600, maxAttempts: conf.attestationMaxAttempts ?? 10, waitForFunds: true };
+    }
+
+    /**
+     * Recovers the jobs interrupted by the previous run and starts processing the queue.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) return;
+
+        await this.recover();
+
+        eventBus.on('new_my_transactions', this.onNewTransactions);
+        eventBus.on('my_transactions_became_stable', this.onNewTransactions);
+
+        this.timer = setInterval(() => this.processQueue(), (conf.attestationOutboxInterval ?? 5) * 1000);
+        this.processQueue();
+    }
+
+    stop() {
+        eventBus.removeListener('new_my_transactions', this.onNewTransactions);
+        eventBus.removeListener('my_transactions_became_stable', this.onNewTransactions);
+
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Adds the attestation of an order to the queue.
+     * @param {Object} attestation
+     * @param {Object} attestation.order - The order row.
+     * @param {string} attestation.address - The wallet address to attest.
+     * @param {Object} attestation.data - The data to attest.
+     * @param {string} [attestation.device_address] - The device address of the user.
+     * @param {boolean} [attestation.isPrivate=false] - Whether to post only the hash of the blinded profile.
+     * @returns {Promise<number>} The id of the job.
+     */
+    async enqueue({ order, address, data, device_address, isPrivate = false }) {
+        const attestation = prepareAttestation({ address, profile: data, isPrivate });
+        const jobId = await OutboxDbService.addJob({ orderId: order.id, address, device_address, data, attestation });
+
+        // the batch posts the jobs of other users, it must not log them with this message's context
+        logger.withoutContext(() => this.processQueue());
+
+        return jobId;
+    }
+
+    /**
+     * Jobs in the 'posting' status were interrupted. The ones that reached the DAG are completed, the rest are queued again.
+     * @returns {Promise<void>}
+     */
+    async recover() {
+        await recoverInterrupted(await OutboxDbService.getJobsByStatus('posting'), {
+            name: 'Attestation job',
+            findUnit: (job) => OutboxDbService.findPostedUnit(job),
+            complete: (job, unit) => this.complete(job, unit),
+            requeue: (id) => OutboxDbService.requeue(id),
+        });
+    }
+
+    /**
+     * The jobs that wait for funds are tried now if the attestor received funds in the units.
+     * The units of the attestor itself, e.g. the attestations and the payouts, fund nothing.
+     * @param {string[]} arrUnits - The new or the stable units of the wallet.
+     */
+    async onNewTransactions(arrUnits) {
+        try {
+            const incoming = await PaymentDbService.getIncomingPayments(arrUnits, await headlessWallet.readFirstAddress());
+
+            if (incoming.length && await OutboxDbService.retryWaitingJobs()) this.processQueue();
+        } catch (err) {
+            logger.error('Failed to reschedule attestation jobs:', err);
+        }
+    }
+
+    /**
+     * Posts the due jobs. In the batch mode, the jobs wait until the batch is full or the window has passed.
+     * Nothing is posted while the balance monitor pauses attestations.
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.processing || balanceMonitor.paused) return;
+        this.processing = true;
+
+        try {
+            while (true) {
+                const jobs = await OutboxDbService.getDueJobs(this.batchSize);
+                if (jobs.length === 0) break;
+
+                const firstDueTs = Math.min(...jobs.map(({ next_attempt_ts }) => next_attempt_ts));
+                if (jobs.length < this.batchSize && now() - firstDueTs < this.batchWindow) break;
+
+                await this.post(jobs);
+            }
+        } catch (err) {
+            logger.error('Attestation outbox processing failed:', err);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async post(dueJobs) {
+        const postingIds = await OutboxDbService.markPosting(dueJobs.map(({ id }) => id));
+        const jobs = [];
+
+        for (const job of dueJobs.filter(({ id }) => postingIds.includes(id))) {
+            const order = await DbService.getAttestationOrders({ id: job.attestation_id });
+
+            // a rejected order is never attested, the rejection cancels the pending job but an older job may be left
+            if (!order || order.status === 'rejected') {
+                logger.info(`Attestation job ${job.id} is cancelled, order ${job.attestation_id} is rejected`);
+                await OutboxDbService.markAttemptFailed(job.id, 'Order is rejected', null, false);
+            } else {
+                jobs.push(job);
+            }
+        }
+
+        if (jobs.length === 0) return;
+
+        let result;
+
+        try {
+            result = await postPreparedAttestations(jobs.map(({ attestation }) => attestation));
+        } catch (err) {
+            return this.fail(jobs, err);
+        }
+
+        for (const [index, job] of jobs.entries()) {
+            try {
+                await this.complete(job, result.unit, result.privateProfiles[index]);
+            } catch (err) {
+                logger.withContext(this.getJobContext(job, result.unit), () => logger.error(`Failed to complete attestation job ${job.id}:`, err));
+            }
+        }
+    }
+
+    /**
+     * The log context fields of a job.
+     * @param {Object} job - The job.
+     * @param {string} [unit] - The attestation unit.
+     * @returns {Object}
+     */
+    getJobContext(job, unit) {
+        return { device_address: job.device_address || undefined, order_id: job.attestation_id, unit };
+    }
+
+    complete(job, unit, privateProfile) {
+        return logger.withContext(this.getJobContext(job, unit), () => this.completeJob(job, unit, privateProfile));
+    }
+
+    async completeJob(job, unit, privateProfile) {
+        const order = await DbService.getAttestationOrders({ id: job.attestation_id });
+
+        if (order && ['rejected', 'revoked'].includes(order.status)) {
+            logger.error(`Attestation job ${job.id} is posted with unit ${unit}, but order ${order.id} is ${order.status}, it stays ${order.status}`);
+        } else if (order && !(order.status === 'attested' && order.unit === unit)) {
+            const { src_profile, payload_hash } = job.attestation;
+
+            await completeAttestation(
+                { orderId: job.attestation_id, address: job.address, data: job.data, device_address: job.device_address },
+                unit,
+                privateProfile ?? (src_profile ? { unit, payload_hash, src_profile } : null)
+            );
+        }
+
+        await OutboxDbService.markPosted(job.id, unit);
+    }
+
+    async fail(jobs, err) {
+        const message = err?.message || String(err);
+
+        logger.error(`Failed to post ${jobs.length} attestations:`, message);
+
+        for (const job of jobs) {
+            const { countAttempt, nextAttemptTs } = getNextAttempt({ attempts: job.attempts, error: message }, this.retryPolicy);
+
+            await OutboxDbService.markAttemptFailed(job.id, message, nextAttemptTs, countAttempt);
+
+            if (job.device_address && !job.last_error) {
+                device.sendMessageToDevice(job.device_address, 'text', dictionary.forDevice(job.device_address).wallet.ATTESTATION_DELAYED);
+            }
+        }
+    }
+}
+
+module.exports = new AttestationOutbox();
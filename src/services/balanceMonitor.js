@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Watches the attestor balance while the bot is running
+ * @module services/balanceMonitor
+ * @example
+ * // conf.js
+ * exports.lowAttestorBalance = 5e6; // emit ATTESTATION_KIT_LOW_BALANCE below 0.005 GBYTE
+ * exports.pauseAttestationsBelowBalance = 1e6; // stop posting attestations below 0.001 GBYTE
+ * exports.balanceCheckInterval = 600; // seconds
+ */
+
+const dag = require('aabot/dag.js');
+const conf = require('ocore/conf.js');
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+const headlessWallet = require('headless-obyte');
+
+const OutboxDbService = require('../db/OutboxDbService');
+const dictionary = require('../../dictionary');
+const logger = require('../utils/logger');
+
+class BalanceMonitor {
+    constructor() {
+        this.timer = null;
+        this.balance = null;
+        this.low = false;
+        this.paused = false;
+        this.check = this.check.bind(this);
+    }
+
+    get lowThreshold() {
+        return conf.lowAttestorBalance ?? conf.minAttestorBalanceForStart ?? 1e6;
+    }
+
+    get pauseThreshold() {
+        return conf.pauseAttestationsBelowBalance ?? null;
+    }
+
+    /**
+     * Checks the balance now, after every attestation and on a timer. While the attestations are paused,
+     * the balance is checked on the new transactions of the wallet too, so the funding resumes them at once.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) return;
+
+        eventBus.on('ATTESTATION_KIT_ATTESTED', this.check);
+        this.timer = setInterval(this.check, (conf.balanceCheckInterval ?? 600) * 1000);
+
+        await this.check();
+    }
+
+    stop() {
+        eventBus.removeListener('ATTESTATION_KIT_ATTESTED', this.check);
+        eventBus.removeListener('new_my_transactions', this.check);
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Re-reads the attestor balance and emits ATTESTATION_KIT_LOW_BALANCE or ATTESTATION_KIT_BALANCE_RESTORED when it crosses the threshold.
+     * @returns {Promise<void>}
+     */
+    async check() {
+        try {
+            const attestorAddress = await headlessWallet.readFirstAddress();
+            const balances = await dag.readBalance(attestorAddress);
+            if (!balances) throw new Error('failed to retrieve balance information');
+
+            const balance = balances?.base?.total ?? 0;
+            const data = { address: attestorAddress, balance, threshold: this.lowThreshold };
+
+            this.balance = balance;
+
+            if (balance < this.lowThreshold && !this.low) {
+                this.low = true;
+                logger.warn(`Attestor balance is low (${attestorAddress}): ${balance / 1e9} GBYTE`);
+                eventBus.emit('ATTESTATION_KIT_LOW_BALANCE', data);
+            } else if (balance >= this.lowThreshold && this.low) {
+                this.low = false;
+                logger.info(`Attestor balance is restored (${attestorAddress}): ${balance / 1e9} GBYTE`);
+                eventBus.emit('ATTESTATION_KIT_BALANCE_RESTORED', data);
+            }
+
+            await this.updatePause(balance);
+        } catch (err) {
+            logger.error('Attestor balance check failed:', err);
+        }
+    }
+
+    async updatePause(balance) {
+        const shouldPause = this.pauseThreshold !== null && balance < this.pauseThreshold;
+
+        if (shouldPause === this.paused) return;
+
+        this.paused = shouldPause;
+
+        if (shouldPause) {
+            logger.warn('Attestations are paused until the attestor is funded');
+
+            eventBus.on('new_my_transactions', this.check);
+
+            const jobs = await OutboxDbService.getJobsByStatus('pending');
+            const devices = new Set(jobs.map(({ device_address }) => device_address).filter(Boolean));
+
+            devices.forEach((device_address) => device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).wallet.ATTESTATIONS_PAUSED));
+        } else {
+            logger.info('Attestations are resumed');
+
+            eventBus.removeListener('new_my_transactions', this.check);
+        }
+    }
+}
+
+module.exports = new BalanceMonitor();
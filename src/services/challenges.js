@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Single-use nonces of the sign-message challenges. A challenge is issued for a device and a wallet address,
+ * the signed message is accepted once, from the same device, before the challenge expires.
+ * @module services/challenges
+ * @example
+ * // conf.js
+ * exports.challengeTtl = 3600; // seconds
+ * exports.allowSignaturesWithoutNonce = true; // accept the legacy signed messages without a nonce (rejected by default, deprecated)
+ */
+
+const conf = require('ocore/conf.js');
+const { customAlphabet } = require('nanoid');
+
+const ChallengeDbService = require('../db/ChallengeDbService');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const NONCE_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const NONCE_LENGTH = 16;
+
+// the expired challenges are kept for a week to tell the expired ones from the unknown ones
+const EXPIRED_CHALLENGES_KEEP_TIME = 7 * 24 * 3600 * 1000;
+
+const generateNonce = customAlphabet(NONCE_ALPHABET, NONCE_LENGTH);
+
+/**
+ * Issues a challenge for the device to sign with the wallet address.
+ * @param {string} device_address - The device address.
+ * @param {string} address - The wallet address.
+ * @returns {Promise<{ nonce: string, expiresAt: number }>} The nonce and its expiry (ms).
+ */
+const issue = async (device_address, address) => {
+    const nonce = generateNonce();
+    const expiresAt = Date.now() + (conf.challengeTtl ?? 3600) * 1000;
+
+    await ChallengeDbService.deleteExpiredChallenges(Date.now() - EXPIRED_CHALLENGES_KEEP_TIME);
+    await ChallengeDbService.addChallenge({ nonce, device_address, address, expiresAt });
+
+    return { nonce, expiresAt };
+}
+
+/**
+ * Accepts the nonce of a signed message, it can't be used again.
+ * @param {string} device_address - The device that sent the signed message.
+ * @param {string} nonce - The nonce from the signed message.
+ * @param {string} address - The signing wallet address.
+ * @returns {Promise<void>}
+ * @throws {ErrorWithMessage} Throws an error if the nonce is missing, unknown, issued for another device or address, expired or used. (CHALLENGE_MISSING, CHALLENGE_INVALID, CHALLENGE_EXPIRED, CHALLENGE_USED)
+ */
+const consume = async (device_address, nonce, address) => {
+    if (!nonce) throw new ErrorWithMessage('The signed message has no nonce', { code: 'CHALLENGE_MISSING' });
+
+    const challenge = await ChallengeDbService.getChallenge(nonce);
+
+    if (!challenge || challenge.device_address !== device_address || challenge.address !== address) {
+        throw new ErrorWithMessage('The challenge was not issued for this device and address', { code: 'CHALLENGE_INVALID', nonce });
+    }
+
+    if (challenge.used_at) throw new ErrorWithMessage('The challenge is already used', { code: 'CHALLENGE_USED', nonce });
+    if (challenge.expires_at <= Date.now()) throw new ErrorWithMessage('The challenge is expired', { code: 'CHALLENGE_EXPIRED', nonce });
+
+    if (!await ChallengeDbService.markChallengeUsed(nonce)) throw new ErrorWithMessage('The challenge is already used', { code: 'CHALLENGE_USED', nonce });
+}
+
+module.exports = {
+    issue,
+    consume,
+}
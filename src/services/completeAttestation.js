@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Finishes an attestation after its unit is posted: updates the order, notifies the user and emits the event
+ * @module services/completeAttestation
+ */
+
+const conf = require('ocore/conf.js');
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+
+const DbService = require('../db/DbService');
+const dictionary = require('../../dictionary');
+const logger = require('../utils/logger');
+const sendPrivateProfile = require('./sendPrivateProfile');
+const revokeAttestation = require('./revokeAttestation');
+
+/**
+ * Finishes a re-attestation to another address: revokes the previous attestation if conf.revokeOnReattestation is set and emits the event.
+ * @param {Object} order - The re-attested order.
+ * @param {string} unit - The new attestation unit.
+ * @param {string} [device_address] - The device address of the user.
+ * @returns {Promise<void>}
+ */
+const completeReattestation = async (order, unit, device_address) => {
+    const previousOrder = await DbService.getAttestationOrders({ id: Number(order.previous_attestation_id) });
+
+    if (!previousOrder) return logger.error(`Previous order ${order.previous_attestation_id} of the re-attestation is not found`);
+
+    let revocationUnit = null;
+
+    if (conf.revokeOnReattestation && previousOrder.status === 'attested') {
+        try {
+            revocationUnit = await revokeAttestation(previousOrder.unit, `Re-attested to the address ${order.user_wallet_address}`, previousOrder.user_wallet_address);
+        } catch (err) {
+            logger.error('Failed to revoke the previous attestation:', err);
+        }
+    }
+
+    eventBus.emit('ATTESTATION_KIT_REATTESTED', {
+        device_address,
+        address: order.user_wallet_address,
+        unit,
+        data: order.data,
+        previous_address: previousOrder.user_wallet_address,
+        previous_unit: previousOrder.unit,
+        revocation_unit: revocationUnit,
+    });
+}
+
+/**
+ * @param {Object} attestation - The posted attestation.
+ * @param {number} attestation.orderId - The id of the order.
+ * @param {string} attestation.address - The attested wallet address.
+ * @param {Object} attestation.data - The attested data.
+ * @param {string} [attestation.device_address] - The device address of the user.
+ * @param {string} unit - The attestation unit.
+ * @param {Object|null} [privateProfile] - The private profile, only for private attestations.
+ * @returns {Promise<void>}
+ */
+module.exports = async ({ orderId, address, data, device_address }, unit, privateProfile = null) => {
+    logger.addContext({ order_id: orderId, unit });
+
+    await DbService.markOrderAttested(orderId, unit);
+
+    if (privateProfile) await DbService.savePrivateProfile(orderId, privateProfile);
+
+    if (device_address) {
+        device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('wallet.ATTESTED', { unit }));
+
+        if (privateProfile) sendPrivateProfile(device_address, privateProfile);
+    }
+
+    eventBus.emit('ATTESTATION_KIT_ATTESTED', { order_id: orderId, address, unit, data, device_address });
+
+    const order = await DbService.getAttestationOrders({ id: Number(orderId) });
+
+    if (order && order.previous_attestation_id) {
+        try {
+            await completeReattestation(order, unit, device_address);
+        } catch (err) {
+            logger.error('Failed to complete the re-attestation:', err);
+        }
+    }
+}
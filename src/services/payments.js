@@ -0,0 +1,394 @@
+/**
+ * @fileoverview Paid attestations. After the signature is verified, the user is asked to pay the price to the attestor address,
+ * the incoming transactions are matched against the payment requests and the attestation is queued once the payment is stable.
+ * Overpayments and the payments of the abandoned orders (expired or rejected) are refunded, as well as the unmatched payments:
+ * the ones that came after the request was closed or in another asset. The payments from the addresses that were never asked to pay,
+ * e.g. the funding of the attestor, are kept, as well as the unmatched payments in bytes below minRefundAmount: each refund costs a fee.
+ * @module services/payments
+ * @example
+ * // conf.js
+ * exports.attestationPrice = 1e6; // 0 or not set: attestations are free
+ * exports.attestationPriceAsset = null; // null for bytes or an asset id
+ * exports.assetSymbols = { 'asset id': 'USDC' }; // shown to the users instead of the asset ids
+ * exports.paymentTimeout = 24 * 3600; // seconds to pay
+ * exports.refundOverpayments = true;
+ * exports.minRefundAmount = 10000; // bytes, the smaller unmatched payments in bytes are kept. It is never below the fee of a refund
+ * exports.paymentCheckInterval = 60; // seconds
+ */
+
+const crypto = require('crypto');
+const conf = require('ocore/conf.js');
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+const mutex = require('ocore/mutex.js');
+const objectHash = require('ocore/object_hash.js');
+const headlessWallet = require('headless-obyte');
+
+const DbService = require('../db/DbService');
+const PaymentDbService = require('../db/PaymentDbService');
+const dictionary = require('../../dictionary');
+const attestationOutbox = require('./attestationOutbox');
+const balanceMonitor = require('./balanceMonitor');
+const logger = require('../utils/logger');
+const formatAmount = require('../utils/formatAmount');
+const { recoverInterrupted } = require('../utils/retryPolicy');
+
+// about the fee of a refund with its data message, in bytes
+const REFUND_FEE = 1000;
+
+class Payments {
+    constructor() {
+        this.timer = null;
+        this.attestorAddress = null;
+        this.onNewTransactions = this.onNewTransactions.bind(this);
+        this.onStableTransactions = this.onStableTransactions.bind(this);
+    }
+
+    get enabled() {
+        return Number(conf.attestationPrice) > 0;
+    }
+
+    get price() {
+        return { amount: Number(conf.attestationPrice), asset: conf.attestationPriceAsset || null };
+    }
+
+    get minRefundAmount() {
+        return Math.max(Number(conf.minRefundAmount ?? 10000), REFUND_FEE);
+    }
+
+    /**
+     * Watches the incoming transactions and expires, refunds and retries on a timer. Does nothing if attestations are free.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer || !this.enabled) return;
+
+        this.attestorAddress = await headlessWallet.readFirstAddress();
+
+        await this.recover();
+
+        eventBus.on('new_my_transactions', this.onNewTransactions);
+        eventBus.on('my_transactions_became_stable', this.onStableTransactions);
+
+        this.timer = setInterval(() => this.sweep(), (conf.paymentCheckInterval ?? 60) * 1000);
+        await this.sweep();
+    }
+
+    stop() {
+        eventBus.removeListener('new_my_transactions', this.onNewTransactions);
+        eventBus.removeListener('my_transactions_became_stable', this.onStableTransactions);
+
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Refunds in the 'sending' status were interrupted. The ones that reached the DAG are completed, the rest are queued again.
+     * @returns {Promise<void>}
+     */
+    async recover() {
+        await recoverInterrupted(await PaymentDbService.getInterruptedRefunds(), {
+            name: 'Refund',
+            findUnit: (refund) => PaymentDbService.findSentUnit(refund.payload_hash),
+            complete: (refund, unit) => this.completeRefund(refund, unit),
+            requeue: (id) => PaymentDbService.requeueRefund(id),
+        });
+    }
+
+    /**
+     * Whether the order must be paid before it is attested.
+     * @param {Object} order - The order row.
+     * @returns {Promise<boolean>}
+     */
+    async isRequired(order) {
+        if (!this.enabled) return false;
+
+        return !(await PaymentDbService.getOrderRequest(order.id, ['paid']));
+    }
+
+    /**
+     * Asks the user to pay for the attestation. A pending request of the order is sent again.
+     * @param {Object} attestation
+     * @param {Object} attestation.order - The order row.
+     * @param {string} attestation.address - The wallet address to attest, the payment is expected from it.
+     * @param {Object} attestation.data - The data to attest.
+     * @param {string} attestation.device_address - The device address of the user.
+     * @param {boolean} [attestation.isPrivate=false] - Whether to post only the hash of the blinded profile.
+     * @returns {Promise<Object>} The payment request.
+     */
+    async requestPayment({ order, address, data, device_address, isPrivate = false }) {
+        let request = await PaymentDbService.getOrderRequest(order.id, ['pending']);
+
+        if (!request || request.payer_address !== address) {
+            if (request) await PaymentDbService.setRequestStatus(request.id, 'expired');
+
+            const { amount, asset } = this.price;
+            const requestId = await PaymentDbService.addRequest({ orderId: order.id, payerAddress: address, device_address, amount, asset, data, isPrivate, expiresAt: Date.now() + (conf.paymentTimeout ?? 24 * 3600) * 1000 });
+
+            request = await PaymentDbService.getRequest(requestId);
+            logger.info(`Payment of ${amount} ${asset || 'bytes'} is requested for order ${order.id}`);
+        }
+
+        const { t } = dictionary.forDevice(device_address);
+
+        device.sendMessageToDevice(device_address, 'text', t('wallet.PAYMENT_REQUIRED', {
+            price: formatAmount(request.amount, request.asset),
+            link: this.getPaymentLink(request),
+            expires: new Date(request.expires_at).toUTCString(),
+        }));
+
+        return request;
+    }
+
+    /**
+     * The payment link that opens the wallet with the amount and the asset filled in.
+     * @param {Object} request - The payment request.
+     * @returns {string}
+     */
+    getPaymentLink({ amount, asset, payer_address }) {
+        const params = new URLSearchParams({ amount: String(amount), ...(asset ? { asset } : {}), from_address: payer_address, single_address: '1' });
+
+        return `[${formatAmount(amount, asset)}](obyte:${this.attestorAddress}?${params})`;
+    }
+
+    /**
+     * New transactions of the wallet, the payments to the attestor are registered.
+     * @param {string[]} arrUnits - The units.
+     */
+    async onNewTransactions(arrUnits) {
+        const unlock = await mutex.lock('ATTESTATION_KIT_payments');
+
+        try {
+            await this.registerPayments(arrUnits);
+        } catch (err) {
+            logger.error('Failed to register the payments:', err);
+        } finally {
+            unlock();
+        }
+    }
+
+    /**
+     * The transactions became stable, the requests they pay are checked.
+     * @param {string[]} arrUnits - The units.
+     */
+    async onStableTransactions(arrUnits) {
+        const unlock = await mutex.lock('ATTESTATION_KIT_payments');
+
+        try {
+            // the payments received while the bot was offline are known only when they are stable
+            await this.registerPayments(arrUnits);
+
+            const requestIds = await PaymentDbService.markPaymentsStable(arrUnits);
+
+            for (const requestId of requestIds) {
+                await this.checkRequest(requestId);
+            }
+
+            await this.processRefunds();
+        } catch (err) {
+            logger.error('Failed to check the stable payments:', err);
+        } finally {
+            unlock();
+        }
+    }
+
+    /**
+     * Matches the outputs to the attestor against the pending requests of their authors, the oldest request of the same asset first.
+     * An output that matches no pending request is saved as unmatched with the latest request of the author, it is refunded when stable.
+     * @param {string[]} units - The units.
+     * @returns {Promise<void>}
+     */
+    async registerPayments(units) {
+        const outputs = await PaymentDbService.getIncomingPayments(units, this.attestorAddress);
+
+        for (const { unit, payer_address, asset, amount } of outputs) {
+            const requests = await PaymentDbService.getPendingRequestsByPayers([payer_address]);
+            const request = requests.find((request) => (request.asset || null) === (asset || null));
+
+            if (!request) {
+                await this.registerUnmatchedPayment({ unit, payer_address, asset, amount });
+                continue;
+            }
+
+            if (await PaymentDbService.addPayment({ unit, requestId: request.id, amount, asset })) {
+                logger.info(`Payment ${unit} of ${amount} ${asset || 'bytes'} is received for order ${request.attestation_id}`);
+
+                if (request.device_address) {
+                    device.sendMessageToDevice(request.device_address, 'text', dictionary.forDevice(request.device_address).t('wallet.PAYMENT_RECEIVED', { amount: formatAmount(amount, asset), unit }));
+                }
+            }
+        }
+    }
+
+    /**
+     * Saves a payment that matches no pending request, e.g. after the request expired or in another asset.
+     * @param {Object} payment - The output to the attestor.
+     * @returns {Promise<void>}
+     */
+    async registerUnmatchedPayment({ unit, payer_address, asset, amount }) {
+        const request = await PaymentDbService.getLatestRequestByPayer(payer_address);
+
+        // the address was never asked to pay, e.g. the operator funds the attestor
+        if (!request) return;
+
+        if (await PaymentDbService.addPayment({ unit, requestId: request.id, amount, asset, unmatched: true })) {
+            // the refund of the dust would cost the attestor about as much as it returns
+            const isKept = !asset && amount < this.minRefundAmount;
+
+            logger.info(`Payment ${unit} of ${amount} ${asset || 'bytes'} from ${payer_address} matches no pending request, ${isKept ? 'it is kept' : 'it will be refunded'}`);
+
+            if (request.device_address) {
+                const { t } = dictionary.forDevice(request.device_address);
+                const text = isKept
+                    ? t('wallet.PAYMENT_UNMATCHED_KEPT', { amount: formatAmount(amount, asset), unit, minimum: formatAmount(this.minRefundAmount) })
+                    : t('wallet.PAYMENT_UNMATCHED', { amount: formatAmount(amount, asset), unit });
+
+                device.sendMessageToDevice(request.device_address, 'text', text);
+            }
+        }
+    }
+
+    /**
+     * Queues the attestation of a request paid in full with stable payments and refunds the overpayment.
+     * @param {number} requestId - The id of the request.
+     * @returns {Promise<void>}
+     */
+    async checkRequest(requestId) {
+        const request = await PaymentDbService.getRequest(requestId);
+        const { stable } = await PaymentDbService.getPaidAmount(requestId);
+
+        if (request.status === 'pending' && stable >= request.amount) {
+            const order = await DbService.getAttestationOrders({ id: request.attestation_id });
+
+            // a rejected order is refunded by the sweep
+            if (!order || order.status === 'rejected') return;
+
+            await PaymentDbService.setRequestStatus(request.id, 'paid', 'paid');
+            await attestationOutbox.enqueue({ order, address: request.payer_address, data: request.data, device_address: request.device_address, isPrivate: Boolean(request.is_private) });
+
+            eventBus.emit('ATTESTATION_KIT_PAID', { device_address: request.device_address, address: request.payer_address, order_id: order.id, amount: stable, asset: request.asset });
+
+            if (request.device_address) {
+                const { wallet } = dictionary.forDevice(request.device_address);
+
+                device.sendMessageToDevice(request.device_address, 'text', wallet.PAYMENT_CONFIRMED);
+                if (balanceMonitor.paused) device.sendMessageToDevice(request.device_address, 'text', wallet.ATTESTATIONS_PAUSED);
+            }
+
+            request.status = 'paid';
+        }
+
+        if (request.status === 'paid' && conf.refundOverpayments !== false) {
+            const overpayment = stable - request.amount - await PaymentDbService.getRefundedAmount(request.id);
+
+            if (overpayment > 0) await PaymentDbService.addRefund({ requestId: request.id, address: request.payer_address, amount: overpayment, asset: request.asset, reason: 'overpayment' });
+        }
+    }
+
+    /**
+     * Expires the unpaid requests, refunds the abandoned ones and sends the refunds.
+     * @returns {Promise<void>}
+     */
+    async sweep() {
+        const unlock = await mutex.lock('ATTESTATION_KIT_payments');
+
+        try {
+            for (const request of await PaymentDbService.getExpiredRequests(Date.now())) {
+                await this.abandon(request, 'addressed');
+            }
+
+            for (const request of await PaymentDbService.getAbandonedRequests()) {
+                await this.abandon(request);
+            }
+
+            await this.processRefunds();
+        } catch (err) {
+            logger.error('Payments sweep failed:', err);
+        } finally {
+            unlock();
+        }
+    }
+
+    /**
+     * Closes a request that won't be attested. What was paid is refunded, otherwise the request expires.
+     * A request with unstable payments waits until they are stable.
+     * @param {Object} request - The payment request.
+     * @param {string} [unpaidOrderStatus] - The status of the order if nothing was paid, the order is not changed if not set.
+     * @returns {Promise<void>}
+     */
+    async abandon(request, unpaidOrderStatus) {
+        const { stable, pending } = await PaymentDbService.getPaidAmount(request.id);
+
+        if (pending > 0) return;
+
+        const refundable = stable - await PaymentDbService.getRefundedAmount(request.id);
+
+        if (refundable > 0) {
+            await PaymentDbService.addRefund({ requestId: request.id, address: request.payer_address, amount: refundable, asset: request.asset, reason: 'abandoned' });
+            await PaymentDbService.setRequestStatus(request.id, 'refunded', unpaidOrderStatus && 'refunded');
+        } else {
+            await PaymentDbService.setRequestStatus(request.id, 'expired', unpaidOrderStatus);
+        }
+
+        logger.info(`Payment request ${request.id} of order ${request.attestation_id} is abandoned`);
+
+        if (request.device_address && unpaidOrderStatus) {
+            device.sendMessageToDevice(request.device_address, 'text', dictionary.forDevice(request.device_address).wallet.PAYMENT_EXPIRED);
+        }
+    }
+
+    /**
+     * Adds the refunds of the stable unmatched payments and sends the pending refunds from the attestor address.
+     * A failed refund is retried on the next sweep, an interrupted one on the next start.
+     * @returns {Promise<void>}
+     */
+    async processRefunds() {
+        for (const payment of await PaymentDbService.getUnrefundedUnmatchedPayments(this.minRefundAmount)) {
+            await PaymentDbService.addUnmatchedPaymentRefund(payment);
+        }
+
+        const refunds = await PaymentDbService.getPendingRefunds();
+
+        for (const refund of refunds) {
+            // a random reference makes the payload unique, the unit of an interrupted refund is found by its hash
+            const payload = { attestation_kit_refund: refund.reason, ref: crypto.randomBytes(12).toString('base64') };
+
+            await PaymentDbService.markRefundSending(refund.id, payload, objectHash.getBase64Hash(payload, true));
+
+            let unit;
+
+            try {
+                ({ unit } = await headlessWallet.sendMultiPayment({
+                    asset: refund.asset || undefined,
+                    to_address: refund.address,
+                    amount: refund.amount,
+                    messages: [{ app: 'data', payload_location: 'inline', payload }],
+                    paying_addresses: [this.attestorAddress],
+                    change_address: this.attestorAddress,
+                }));
+            } catch (err) {
+                logger.error(`Failed to send refund ${refund.id}:`, err?.message || err);
+                await PaymentDbService.markRefundFailed(refund.id, err?.message || err);
+                continue;
+            }
+
+            await this.completeRefund(refund, unit);
+        }
+    }
+
+    async completeRefund(refund, unit) {
+        await PaymentDbService.markRefundSent(refund.id, unit);
+        logger.info(`Refund ${refund.id} of ${refund.amount} ${refund.asset || 'bytes'} is sent to ${refund.address}: ${unit}`);
+
+        eventBus.emit('ATTESTATION_KIT_REFUNDED', { device_address: refund.device_address, address: refund.address, order_id: refund.attestation_id, amount: refund.amount, asset: refund.asset, reason: refund.reason, unit });
+
+        if (refund.device_address) {
+            const { t } = dictionary.forDevice(refund.device_address);
+            const key = refund.reason === 'overpayment' ? 'wallet.OVERPAYMENT_REFUNDED' : 'wallet.PAYMENT_REFUNDED';
+
+            device.sendMessageToDevice(refund.device_address, 'text', t(key, { amount: formatAmount(refund.amount, refund.asset), unit }));
+        }
+    }
+}
+
+module.exports = new Payments();
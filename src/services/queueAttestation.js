@@ -0,0 +1,38 @@
+/**
+ * @fileoverview The last step of a verified order: the payment is requested if the attestation is paid, otherwise the attestation is queued
+ * @module services/queueAttestation
+ */
+
+const DbService = require('../db/DbService');
+const attestationOutbox = require('./attestationOutbox');
+const payments = require('./payments');
+const logger = require('../utils/logger');
+
+/**
+ * @param {Object} attestation
+ * @param {Object} attestation.order - The order row.
+ * @param {string} attestation.address - The wallet address to attest.
+ * @param {Object} attestation.data - The data to attest.
+ * @param {string} [attestation.device_address] - The device address of the user.
+ * @param {boolean} [attestation.isPrivate=false] - Whether to post only the hash of the blinded profile, always with the privateProfiles option of the strategy.
+ * @returns {Promise<boolean>} Whether the attestation is queued, false if the payment is requested.
+ */
+module.exports = async (attestation) => {
+    logger.addContext({ order_id: attestation.order.id });
+
+    // the orders created before the strategy was made private are attested privately too
+    if (DbService.privateProfiles && !attestation.isPrivate) {
+        await DbService.markOrderPrivate(attestation.order.id);
+        attestation = { ...attestation, isPrivate: true };
+    }
+
+    // the paid attestations are queued when the payment is confirmed
+    if (await payments.isRequired(attestation.order)) {
+        await payments.requestPayment(attestation);
+        return false;
+    }
+
+    await attestationOutbox.enqueue(attestation);
+
+    return true;
+}
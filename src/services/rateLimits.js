@@ -0,0 +1,30 @@
+/**
+ * @fileoverview The rate limiters of the chat (per device address) and of the webserver (per IP)
+ * @module services/rateLimits
+ * @example
+ * // conf.js, the limit 0 disables the limiter
+ * exports.deviceRateLimit = 30; // messages per window
+ * exports.deviceRateLimitWindow = 60; // seconds
+ * exports.deviceBlockDuration = 600; // seconds
+ * exports.ipRateLimit = 120; // requests per window
+ * exports.ipRateLimitWindow = 60; // seconds
+ * exports.ipBlockDuration = 600; // seconds
+ * exports.webserverTrustProxy = '127.0.0.1'; // behind a reverse proxy, the IP is taken from X-Forwarded-For
+ */
+
+const conf = require('ocore/conf.js');
+
+const RateLimiter = require('../utils/RateLimiter');
+
+module.exports = {
+    device: new RateLimiter({
+        limit: conf.deviceRateLimit ?? 30,
+        window: conf.deviceRateLimitWindow ?? 60,
+        blockDuration: conf.deviceBlockDuration ?? 600,
+    }),
+    ip: new RateLimiter({
+        limit: conf.ipRateLimit ?? 120,
+        window: conf.ipRateLimitWindow ?? 60,
+        blockDuration: conf.ipBlockDuration ?? 600,
+    }),
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Manual review of the verified orders. With conf.manualReview, a verified signature moves the order to the 'verified' status
+ * and queues it for the review. Only an approved order is attested, a rejected one gets the reason in the chat.
+ * Reviewers decide through the admin API (POST /admin/orders/:id/approve and /reject) or BaseStrategy.approveOrder and rejectOrder.
+ * @module services/reviews
+ * @example
+ * // conf.js
+ * exports.manualReview = true;
+ */
+
+const conf = require('ocore/conf.js');
+const eventBus = require('ocore/event_bus.js');
+
+const DbService = require('../db/DbService');
+const ReviewDbService = require('../db/ReviewDbService');
+const dictionary = require('../../dictionary');
+const logger = require('../utils/logger');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+// ocore/device starts the network and the outbox opens the attestor wallet, they are required when used:
+// the command line rejects the orders without them
+const sendMessage = (device_address, text) => require('ocore/device').sendMessageToDevice(device_address, 'text', text);
+
+/**
+ * Whether the order must wait for the review before it is attested: the review mode is on and the order is not approved yet.
+ * @param {Object} order - The order row.
+ * @returns {Promise<boolean>}
+ */
+const isRequired = async (order) => {
+    if (!conf.manualReview) return false;
+
+    const review = await ReviewDbService.getOrderReview(order.id);
+
+    return !review || review.status !== 'approved';
+}
+
+/**
+ * Queues a verified order for the review. An order that is already waiting is not queued again.
+ * @param {Object} attestation
+ * @param {Object} attestation.order - The order row.
+ * @param {string} attestation.address - The verified wallet address.
+ * @param {Object} attestation.data - The data to attest.
+ * @param {string} attestation.device_address - The device address of the user.
+ * @param {boolean} [attestation.isPrivate=false] - Whether to post only the hash of the blinded profile.
+ * @returns {Promise<void>}
+ */
+const submit = async ({ order, address, data, device_address, isPrivate = false }) => {
+    const { wallet } = dictionary.forDevice(device_address);
+    const review = await ReviewDbService.getOrderReview(order.id);
+
+    if (review && review.status === 'pending') {
+        return sendMessage(device_address, wallet.ORDER_REVIEW_PENDING);
+    }
+
+    await ReviewDbService.addReview({ orderId: order.id, address, device_address, data, isPrivate });
+
+    logger.info(`Order ${order.id} is queued for the review`);
+
+    eventBus.emit('ATTESTATION_KIT_REVIEW_REQUESTED', { device_address, address, order_id: order.id, data });
+
+    sendMessage(device_address, wallet.ORDER_UNDER_REVIEW);
+}
+
+/**
+ * The orders waiting for the review, the oldest first.
+ * @returns {Promise<Object[]>} The pending reviews: { id, attestation_id, address, device_address, data, is_private, creation_date }.
+ */
+const getQueue = () => ReviewDbService.getReviewsByStatus('pending');
+
+/**
+ * Approves an order waiting for the review, its attestation is queued or its payment is requested.
+ * @param {number} orderId - The id of the order.
+ * @returns {Promise<void>}
+ * @throws {ErrorWithMessage} Throws an error if the order is not waiting for the review. (ORDER_NOT_FOUND, NOT_UNDER_REVIEW)
+ */
+const approve = async (orderId) => {
+    const order = await DbService.getAttestationOrders({ id: Number(orderId) });
+
+    if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND', id: orderId });
+
+    const review = await ReviewDbService.getOrderReview(order.id);
+
+    if (!review || review.status !== 'pending' || order.status !== 'verified') throw new ErrorWithMessage('Order is not waiting for the review', { code: 'NOT_UNDER_REVIEW', status: order.status });
+
+    if (!(await ReviewDbService.setReviewStatus(review.id, 'approved'))) throw new ErrorWithMessage('Order is not waiting for the review', { code: 'NOT_UNDER_REVIEW' });
+
+    logger.info(`Order ${order.id} is approved`);
+
+    const queueAttestation = require('./queueAttestation');
+    const balanceMonitor = require('./balanceMonitor');
+
+    const queued = await queueAttestation({ order, address: review.address, data: review.data, device_address: review.device_address, isPrivate: Boolean(review.is_private) });
+
+    if (queued && review.device_address) {
+        const { wallet } = dictionary.forDevice(review.device_address);
+
+        sendMessage(review.device_address, balanceMonitor.paused ? wallet.ATTESTATIONS_PAUSED : wallet.ORDER_APPROVED);
+    }
+}
+
+/**
+ * Rejects an order with the reason sent to the user. Any order that is not attested and is not being posted can be rejected,
+ * its queued attestation is cancelled and the pending review is closed.
+ * @param {number} orderId - The id of the order.
+ * @param {string} [reason] - The reason shown to the user.
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true] - Whether to send the rejection to the user's device, ATTESTATION_KIT_REJECTED is emitted anyway.
+ * @returns {Promise<void>}
+ * @throws {ErrorWithMessage} Throws an error if the order does not exist, is already attested or is being posted. (ORDER_NOT_FOUND, ALREADY_ATTESTED, ATTESTATION_IN_PROGRESS)
+ */
+const reject = async (orderId, reason, { notify = true } = {}) => {
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') throw new ErrorWithMessage('Invalid reason', { code: 'INVALID_DATA' });
+
+    await DbService.rejectAttestationOrder(orderId);
+
+    const review = await ReviewDbService.getOrderReview(orderId);
+
+    if (review && review.status === 'pending') await ReviewDbService.setReviewStatus(review.id, 'rejected', reason || null);
+
+    const order = await DbService.getAttestationOrders({ id: Number(orderId) });
+    const device_address = order.user_device_address || review?.device_address;
+
+    logger.info(`Order ${order.id} is rejected`);
+
+    eventBus.emit('ATTESTATION_KIT_REJECTED', { device_address, address: order.user_wallet_address, order_id: order.id, data: order.data, reason: reason || null });
+
+    if (device_address && notify) {
+        const { t } = dictionary.forDevice(device_address);
+
+        sendMessage(device_address, reason ? t('wallet.ORDER_REJECTED_WITH_REASON', { id: order.id, reason }) : t('wallet.ORDER_REJECTED', { id: order.id }));
+    }
+}
+
+module.exports = {
+    isRequired,
+    submit,
+    getQueue,
+    approve,
+    reject,
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Revokes an earlier attestation: records the pending revocation, posts it to the DAG, updates the order and notifies the user
+ * @module services/revokeAttestation
+ */
+
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+const objectHash = require('ocore/object_hash.js');
+
+const DbService = require('../db/DbService');
+const dictionary = require('../../dictionary');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+const transformDataValuesToObject = require('../utils/transformDataValuesToObject');
+const { logger, postAttestationRevocation } = require('../utils');
+
+/**
+ * Records the revocation, notifies the user and emits the event.
+ * @param {Object} order - The revoked order.
+ * @param {string} unit - The revoked attestation unit.
+ * @param {string} revocationUnit - The unit of the revocation message.
+ * @param {string|null} reason - The reason of the revocation.
+ * @returns {Promise<void>}
+ */
+const complete = async (order, unit, revocationUnit, reason) => {
+    await DbService.revokeAttestation(unit, revocationUnit, reason, order.user_wallet_address);
+
+    if (order.user_device_address) {
+        try {
+            const { t } = dictionary.forDevice(order.user_device_address);
+
+            device.sendMessageToDevice(order.user_device_address, 'text', t(reason ? 'wallet.ATTESTATION_REVOKED_WITH_REASON' : 'wallet.ATTESTATION_REVOKED', { address: order.user_wallet_address, unit, reason }));
+        } catch (err) {
+            logger.error('Error sending revocation notice to device:', err);
+        }
+    }
+
+    eventBus.emit('ATTESTATION_KIT_REVOKED', {
+        address: order.user_wallet_address,
+        unit,
+        revocation_unit: revocationUnit,
+        data: transformDataValuesToObject(order),
+        reason,
+        device_address: order.user_device_address,
+    });
+}
+
+/**
+ * Revokes the attestation posted in the given unit. The revocation is recorded before it is posted,
+ * the one interrupted by a restart is completed by recover().
+ * @param {string} unit - The attestation unit to revoke.
+ * @param {string} [reason] - The reason of the revocation, it is shown to the user.
+ * @param {string} [address] - The attested wallet address, required if the unit contains several attestations.
+ * @returns {Promise<string>} Resolves with the unit of the revocation message.
+ * @throws {ErrorWithMessage} Throws an error if the order is not found, is not attested or is being revoked. (INVALID_DATA, ORDER_NOT_FOUND, NOT_ATTESTED, REVOCATION_IN_PROGRESS)
+ */
+const revokeAttestation = async (unit, reason = null, address) => {
+    const order = await DbService.getAttestedOrderByUnit(unit, address);
+
+    if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND', unit });
+    if (order.status !== 'attested') throw new ErrorWithMessage('Order is not attested', { code: 'NOT_ATTESTED', status: order.status, unit });
+
+    const payloadHash = objectHash.getBase64Hash(postAttestationRevocation.getRevocationPayload(order.user_wallet_address, unit), true);
+    const added = await DbService.addPendingRevocation({ orderId: order.id, unit, address: order.user_wallet_address, reason, payloadHash });
+
+    if (!added) throw new ErrorWithMessage('Attestation is being revoked', { code: 'REVOCATION_IN_PROGRESS', unit });
+
+    let revocationUnit;
+
+    try {
+        revocationUnit = await postAttestationRevocation(order.user_wallet_address, unit);
+    } catch (err) {
+        await DbService.deletePendingRevocation(order.id);
+        throw err;
+    }
+
+    await complete(order, unit, revocationUnit, reason);
+
+    return revocationUnit;
+}
+
+/**
+ * Completes the revocations interrupted by the previous run: the posted ones are recorded, the other ones are posted again.
+ * @returns {Promise<void>}
+ */
+const recover = async () => {
+    const revocations = await DbService.getPendingRevocations();
+
+    for (const { attestation_id, attestation_unit, address, reason, payload_hash } of revocations) {
+        try {
+            const order = await DbService.getAttestationOrders({ id: Number(attestation_id) });
+
+            if (!order || order.status !== 'attested') {
+                await DbService.deletePendingRevocation(attestation_id);
+                continue;
+            }
+
+            let revocationUnit = await DbService.findRevocationUnit(payload_hash);
+
+            if (revocationUnit) {
+                logger.info(`Revocation of ${attestation_unit} was posted with unit ${revocationUnit} before restart`);
+            } else {
+                logger.info(`Revocation of ${attestation_unit} was interrupted, posting it again`);
+                revocationUnit = await postAttestationRevocation(address, attestation_unit);
+            }
+
+            await complete(order, attestation_unit, revocationUnit, reason);
+        } catch (err) {
+            logger.error(`Failed to recover the revocation of ${attestation_unit}:`, err);
+        }
+    }
+}
+
+module.exports = revokeAttestation;
+module.exports.recover = recover;
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Welcome and referral rewards. A newly attested identity earns a reward to the attested address
+ * and a referral reward to the referrer of the user's device, see utils.generateReferralUrl.
+ * The same identity attested to another address earns nothing more. Payouts are sent from a durable queue, like the attestations.
+ * @module services/rewards
+ * @example
+ * // conf.js
+ * exports.attestationReward = 1e5; // 0 or not set: no rewards
+ * exports.attestationRewardAsset = null; // null for bytes or an asset id
+ * exports.referralReward = 5e4; // 0 or not set: no referral rewards
+ * exports.referralRewardAsset = null;
+ * exports.referrerMustBeAttested = true; // only the attested referrers are paid
+ * exports.rewardIdentityFields = ['userId']; // the fields that identify a user, all the attested data by default
+ * exports.rewardMaxAttempts = 10;
+ * exports.rewardQueueInterval = 30; // seconds
+ */
+
+const crypto = require('crypto');
+const conf = require('ocore/conf.js');
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+const objectHash = require('ocore/object_hash.js');
+const headlessWallet = require('headless-obyte');
+
+const DbService = require('../db/DbService');
+const PaymentDbService = require('../db/PaymentDbService');
+const RewardDbService = require('../db/RewardDbService');
+const dictionary = require('../../dictionary');
+const balanceMonitor = require('./balanceMonitor');
+const logger = require('../utils/logger');
+const formatAmount = require('../utils/formatAmount');
+const Validation = require('../utils/Validation');
+const { getNextAttempt, recoverInterrupted } = require('../utils/retryPolicy');
+
+const BATCH_SIZE = 16;
+
+class Rewards {
+    constructor() {
+        this.timer = null;
+        this.processing = false;
+        this.attestorAddress = null;
+        this.adding = new Set();
+        this.onAttested = this.onAttested.bind(this);
+        this.onNewTransactions = this.onNewTransactions.bind(this);
+    }
+
+    get enabled() {
+        return Number(conf.attestationReward) > 0 || Number(conf.referralReward) > 0;
+    }
+
+    get retryPolicy() {
+        return { retryDelay: conf.rewardRetryDelay ?? 60, maxRetryDelay: conf.rewardMaxRetryDelay ?? 3600, maxAttempts: conf.rewardMaxAttempts ?? 10, waitForFunds: true };
+    }
+
+    /**
+     * Recovers the payouts interrupted by the previous run, pays for the new attestations and processes the queue.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.timer) return;
+
+        this.attestorAddress = await headlessWallet.readFirstAddress();
+
+        await this.recover();
+
+        this.listen();
+        eventBus.on('new_my_transactions', this.onNewTransactions);
+
+        this.timer = setInterval(() => this.processQueue(), (conf.rewardQueueInterval ?? 30) * 1000);
+        this.processQueue();
+    }
+
+    /**
+     * Adds the payouts of the new attestations without paying them, e.g. in the admin command line: the running bot pays them.
+     */
+    listen() {
+        if (eventBus.listeners('ATTESTATION_KIT_ATTESTED').includes(this.onAttested)) return;
+
+        eventBus.on('ATTESTATION_KIT_ATTESTED', this.onAttested);
+    }
+
+    stop() {
+        eventBus.removeListener('ATTESTATION_KIT_ATTESTED', this.onAttested);
+        eventBus.removeListener('new_my_transactions', this.onNewTransactions);
+
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Saves the referrer of a device, e.g. from the pairing code or the strategy's own referral program.
+     * The first referrer of a device is kept.
+     * @param {string} device_address - The referred device.
+     * @param {string} referrerAddress - The wallet address to pay the referral reward to.
+     * @returns {Promise<boolean>} Whether the referrer is saved.
+     */
+    async setReferrer(device_address, referrerAddress) {
+        if (!Validation.isWalletAddress(referrerAddress)) return false;
+
+        const saved = await RewardDbService.setReferrer(device_address, referrerAddress);
+
+        if (saved) logger.info(`Device ${device_address} is referred by ${referrerAddress}`);
+
+        return saved;
+    }
+
+    /**
+     * The identity of the attested data: the hash of conf.rewardIdentityFields or of all the data.
+     * @param {Object} data - The attested data.
+     * @returns {{ identity: Object, hash: string }}
+     */
+    getIdentity(data) {
+        const fields = Array.isArray(conf.rewardIdentityFields) ? conf.rewardIdentityFields.filter((field) => data[field] !== undefined) : [];
+        const identity = fields.length ? Object.fromEntries(fields.map((field) => [field, String(data[field])])) : data;
+
+        return { identity, hash: objectHash.getBase64Hash(identity, true) };
+    }
+
+    /**
+     * Adds the payouts of a new attestation, see addRewards.
+     * @param {Object} attestation - The ATTESTATION_KIT_ATTESTED event.
+     * @returns {Promise<void>}
+     */
+    onAttested(attestation) {
+        const adding = this.addRewards(attestation);
+
+        this.adding.add(adding);
+        adding.finally(() => this.adding.delete(adding));
+
+        return adding;
+    }
+
+    /**
+     * Waits until the payouts of the emitted attestations are added, e.g. before the admin command line exits. The queue itself is durable.
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        await Promise.all([...this.adding]);
+    }
+
+    /**
+     * Adds the payouts of a new attestation. Nothing is paid for an identity that was attested before.
+     * @param {Object} attestation - The ATTESTATION_KIT_ATTESTED event.
+     */
+    async addRewards({ order_id, address, unit, data, device_address }) {
+        if (!this.enabled || !order_id) return;
+
+        try {
+            const { identity, hash } = this.getIdentity(data);
+
+            const orders = await DbService.getAttestationOrders({ data: identity }, true);
+
+            // the orders attested in the same unit don't count, UNIQUE(identity_hash, type) keeps one payout of each type for them
+            if (orders.some((order) => order.id !== order_id && order.unit !== unit && ['attested', 'revoked'].includes(order.status))) {
+                return logger.info(`The identity of order ${order_id} was attested before, no rewards`);
+            }
+
+            const payouts = [];
+
+            if (Number(conf.attestationReward) > 0) {
+                payouts.push({ type: 'reward', address, device_address, amount: Number(conf.attestationReward), asset: conf.attestationRewardAsset || null });
+            }
+
+            const referrer = device_address && Number(conf.referralReward) > 0 ? await this.getReferrer(device_address, address) : null;
+
+            if (referrer) {
+                payouts.push({ type: 'referral', address: referrer.address, device_address: referrer.device_address, referredAddress: address, amount: Number(conf.referralReward), asset: conf.referralRewardAsset || null });
+            }
+
+            if (payouts.length === 0) return;
+
+            const ids = await RewardDbService.addPayouts(payouts.map((payout) => {
+                // a random reference makes the payload unique, the unit of an interrupted payout is found by its hash
+                const payload = { attestation_kit_payout: payout.type, ref: crypto.randomBytes(12).toString('base64') };
+
+                return { ...payout, orderId: order_id, identityHash: hash, payload, payloadHash: objectHash.getBase64Hash(payload, true) };
+            }));
+
+            if (ids.length && this.timer) logger.withoutContext(() => this.processQueue());
+        } catch (err) {
+            logger.error(`Failed to add the rewards of order ${order_id}:`, err);
+        }
+    }
+
+    /**
+     * The referrer to pay for the attestation of the device: not the attested address itself and attested unless conf.referrerMustBeAttested is false.
+     * @param {string} device_address - The referred device.
+     * @param {string} address - The attested address.
+     * @returns {Promise<{ address: string, device_address: string|null }|null>}
+     */
+    async getReferrer(device_address, address) {
+        const referrerAddress = await RewardDbService.getReferrer(device_address);
+
+        if (!referrerAddress || referrerAddress === address) return null;
+
+        const referrerOrder = await DbService.getAttestationOrders({ address: referrerAddress, status: 'attested' });
+
+        if (!referrerOrder && conf.referrerMustBeAttested !== false) {
+            logger.info(`Referrer ${referrerAddress} is not attested, no referral reward`);
+            return null;
+        }
+
+        return { address: referrerAddress, device_address: referrerOrder ? referrerOrder.user_device_address : null };
+    }
+
+    /**
+     * Payouts in the 'sending' status were interrupted. The ones that reached the DAG are completed, the rest are queued again.
+     * @returns {Promise<void>}
+     */
+    async recover() {
+        await recoverInterrupted(await RewardDbService.getPayoutsByStatus('sending'), {
+            name: 'Payout',
+            findUnit: (payout) => RewardDbService.findSentUnit(payout.payload_hash),
+            complete: (payout, unit) => this.complete(payout, unit),
+            requeue: (id) => RewardDbService.requeue(id),
+        });
+    }
+
+    /**
+     * The payouts that wait for funds are tried now if the attestor received funds in the units, the payouts themselves fund nothing.
+     * @param {string[]} arrUnits - The new units of the wallet.
+     */
+    async onNewTransactions(arrUnits) {
+        try {
+            const incoming = await PaymentDbService.getIncomingPayments(arrUnits, this.attestorAddress);
+
+            if (incoming.length && await RewardDbService.retryWaitingPayouts()) this.processQueue();
+        } catch (err) {
+            logger.error('Failed to reschedule the payouts:', err);
+        }
+    }
+
+    /**
+     * Sends the due payouts, one unit per payout. Nothing is sent while the balance monitor pauses attestations.
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.processing || balanceMonitor.paused) return;
+        this.processing = true;
+
+        try {
+            while (true) {
+                const payouts = await RewardDbService.getDuePayouts(BATCH_SIZE);
+                if (payouts.length === 0) break;
+
+                for (const payout of payouts) {
+                    await this.send(payout);
+                }
+            }
+        } catch (err) {
+            logger.error('Reward queue processing failed:', err);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async send(payout) {
+        await RewardDbService.markSending(payout.id);
+
+        let unit;
+
+        try {
+            ({ unit } = await headlessWallet.sendMultiPayment({
+                asset: payout.asset || undefined,
+                to_address: payout.address,
+                amount: payout.amount,
+                messages: [{ app: 'data', payload_location: 'inline', payload: payout.payload }],
+                paying_addresses: [this.attestorAddress],
+                change_address: this.attestorAddress,
+            }));
+        } catch (err) {
+            return this.fail(payout, err);
+        }
+
+        await this.complete(payout, unit);
+    }
+
+    async complete(payout, unit) {
+        await RewardDbService.markSent(payout.id, unit);
+
+        logger.info(`${payout.type === 'referral' ? 'Referral reward' : 'Reward'} ${payout.id} of ${formatAmount(payout.amount, payout.asset)} is sent to ${payout.address}: ${unit}`);
+
+        eventBus.emit('ATTESTATION_KIT_REWARD_PAID', {
+            device_address: payout.device_address,
+            type: payout.type,
+            address: payout.address,
+            referred_address: payout.referred_address,
+            order_id: payout.attestation_id,
+            amount: payout.amount,
+            asset: payout.asset,
+            unit,
+        });
+
+        if (payout.device_address) {
+            const key = payout.type === 'referral' ? 'wallet.REFERRAL_REWARD_PAID' : 'wallet.REWARD_PAID';
+
+            device.sendMessageToDevice(payout.device_address, 'text', dictionary.forDevice(payout.device_address).t(key, { amount: formatAmount(payout.amount, payout.asset), unit }));
+        }
+    }
+
+    async fail(payout, err) {
+        const message = err?.message || String(err);
+        const { countAttempt, nextAttemptTs } = getNextAttempt({ attempts: payout.attempts, error: message }, this.retryPolicy);
+
+        logger.error(`Failed to send payout ${payout.id}:`, message);
+
+        await RewardDbService.markAttemptFailed(payout.id, message, nextAttemptTs, countAttempt);
+    }
+}
+
+module.exports = new Rewards();
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Delivers a private profile to the user's wallet
+ * @module services/sendPrivateProfile
+ */
+
+const device = require('ocore/device');
+
+const dictionary = require('../../dictionary');
+
+/**
+ * Sends the private profile to the device as a profile link, the wallet saves it on click.
+ * @param {string} device_address - The device address of the user.
+ * @param {object} privateProfile - The private profile: { unit, payload_hash, src_profile }.
+ */
+module.exports = (device_address, privateProfile) => {
+    const base64PrivateProfile = Buffer.from(JSON.stringify(privateProfile)).toString('base64');
+
+    device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('wallet.SAVE_PRIVATE_PROFILE', { profile: base64PrivateProfile }));
+}
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Forwards attestation lifecycle events to the configured webhooks
+ * @module services/webhookDispatcher
+ * @example
+ * // conf.js
+ * exports.webhooks = [
+ *     { url: 'https://example.com/hooks/attestation', secret: 'shared secret', events: ['ATTESTATION_KIT_ATTESTED'] }
+ * ];
+ */
+
+const crypto = require('crypto');
+const conf = require('ocore/conf.js');
+const eventBus = require('ocore/event_bus.js');
+
+const WebhookDbService = require('../db/WebhookDbService');
+const logger = require('../utils/logger');
+const { getNextAttempt } = require('../utils/retryPolicy');
+
+/**
+ * Forwarded events and the payload builders for their eventBus arguments.
+ */
+const EVENTS = {
+    ATTESTATION_KIT_ATTESTATION_PROCESS_REQUESTED: (device_address) => ({ device_address }),
+    ATTESTATION_KIT_ATTESTATION_PROCESS_CANCELLED: (device_address) => ({ device_address }),
+    ATTESTATION_KIT_ADDED_ADDRESS: (device_address, address) => ({ device_address, address }),
+    ATTESTATION_KIT_VERIFIED_WALLET_ADDRESS: ({ address, device_address }) => ({ device_address, address }),
+    ATTESTATION_KIT_ATTESTED: ({ device_address, address, unit, data }) => ({ device_address, address, unit, data }),
+    ATTESTATION_KIT_REATTESTED: (payload) => payload,
+    ATTESTATION_KIT_REVOKED: (payload) => payload,
+    ATTESTATION_KIT_REVIEW_REQUESTED: (payload) => payload,
+    ATTESTATION_KIT_REJECTED: (payload) => payload,
+    ATTESTATION_KIT_PAID: (payload) => payload,
+    ATTESTATION_KIT_REFUNDED: (payload) => payload,
+    ATTESTATION_KIT_REWARD_PAID: (payload) => payload,
+    ATTESTATION_KIT_LOW_BALANCE: (payload) => payload,
+    ATTESTATION_KIT_BALANCE_RESTORED: (payload) => payload,
+};
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+class WebhookDispatcher {
+    constructor() {
+        this.timer = null;
+        this.processing = false;
+        this.listeners = {};
+        this.enqueuing = new Set();
+    }
+
+    get retryPolicy() {
+        return { retryDelay: conf.webhookRetryDelay ?? 30, maxRetryDelay: conf.webhookMaxRetryDelay ?? 6 * 3600, maxAttempts: conf.webhookMaxAttempts ?? 10 };
+    }
+
+    /**
+     * Configured webhooks: conf.webhooks = [{ url, secret, events? }].
+     * @returns {object[]}
+     */
+    get webhooks() {
+        return Array.isArray(conf.webhooks) ? conf.webhooks.filter(({ url, secret }) => url && secret) : [];
+    }
+
+    /**
+     * Computes the signature of a request, the receiver must check it with the shared secret.
+     * @param {string} secret - The webhook secret.
+     * @param {number} timestamp - The unix timestamp sent in the x-attestation-kit-timestamp header.
+     * @param {string} body - The raw request body.
+     * @returns {string} The signature in the format sha256=<hex>.
+     */
+    static sign(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Subscribes to the lifecycle events and starts polling the queue. Pending deliveries left from the previous run are resumed.
+     */
+    start() {
+        if (this.timer) return;
+
+        this.listen();
+
+        this.timer = setInterval(() => this.processQueue(), (conf.webhookPollInterval ?? 15) * 1000);
+        this.processQueue();
+
+        logger.info(`Webhook dispatcher started (${this.webhooks.length} webhooks)`);
+    }
+
+    /**
+     * Subscribes to the lifecycle events without sending the deliveries, e.g. in the admin command line: the running bot sends them.
+     */
+    listen() {
+        if (Object.keys(this.listeners).length) return;
+
+        for (const [event, buildPayload] of Object.entries(EVENTS)) {
+            this.listeners[event] = (...args) => {
+                const enqueuing = this.enqueue(event, buildPayload(...args)).catch((err) => logger.error('Webhook enqueue failed:', event, err));
+
+                this.enqueuing.add(enqueuing);
+                enqueuing.finally(() => this.enqueuing.delete(enqueuing));
+            };
+
+            eventBus.on(event, this.listeners[event]);
+        }
+    }
+
+    /**
+     * Waits until the emitted events are queued, e.g. before the admin command line exits. The queue itself is durable.
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        await Promise.all([...this.enqueuing]);
+    }
+
+    stop() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            eventBus.removeListener(event, listener);
+        }
+
+        this.listeners = {};
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Adds a delivery of the event for every webhook subscribed to it.
+     * @param {string} event - The event name.
+     * @param {object} payload - The event data.
+     * @returns {Promise<void>}
+     */
+    async enqueue(event, payload) {
+        const webhooks = this.webhooks.filter(({ events }) => !Array.isArray(events) || events.includes(event));
+
+        for (const { url } of webhooks) {
+            await WebhookDbService.addDelivery(url, event, { event, payload, created_at: new Date().toISOString() });
+        }
+
+        if (webhooks.length && this.timer) logger.withoutContext(() => this.processQueue());
+    }
+
+    /**
+     * Sends the due deliveries one by one.
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            let deliveries;
+
+            do {
+                deliveries = await WebhookDbService.getDueDeliveries();
+
+                for (const delivery of deliveries) {
+                    await this.deliver(delivery);
+                }
+            } while (deliveries.length > 0);
+        } catch (err) {
+            logger.error('Webhook queue processing failed:', err);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Sends one delivery and records the result. Failed attempts are retried with an exponential backoff.
+     * @param {object} delivery - The row of ATTESTATION_KIT_webhook_deliveries.
+     * @returns {Promise<void>}
+     */
+    async deliver(delivery) {
+        const webhook = this.webhooks.find(({ url }) => url === delivery.url);
+
+        if (!webhook) {
+            return WebhookDbService.markAttemptFailed(delivery.id, 'Webhook is not configured anymore', null);
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'x-attestation-kit-event': delivery.event,
+                    'x-attestation-kit-delivery': String(delivery.id),
+                    'x-attestation-kit-timestamp': String(timestamp),
+                    'x-attestation-kit-signature': WebhookDispatcher.sign(webhook.secret, timestamp, delivery.body),
+                },
+                body: delivery.body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+            });
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            await WebhookDbService.markDelivered(delivery.id);
+        } catch (err) {
+            const { attempts, nextAttemptTs } = getNextAttempt({ attempts: delivery.attempts, error: err.message }, this.retryPolicy, timestamp);
+
+            logger.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed (attempt ${attempts}/${this.retryPolicy.maxAttempts}):`, err.message);
+
+            await WebhookDbService.markAttemptFailed(delivery.id, err.message, nextAttemptTs);
+        }
+    }
+}
+
+module.exports = new WebhookDispatcher();
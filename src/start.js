@@ -4,6 +4,14 @@ const conf = require('ocore/conf.js');
 
 const dbService = require('./db');
 const logger = require('./utils/logger');
+const webhookDispatcher = require('./services/webhookDispatcher');
+const attestationOutbox = require('./services/attestationOutbox');
+const balanceMonitor = require('./services/balanceMonitor');
+const payments = require('./services/payments');
+const rewards = require('./services/rewards');
+const revokeAttestation = require('./services/revokeAttestation');
+const walletSessionStore = require('./walletHandlers/walletSessionStore');
+const dictionary = require('../dictionary');
 
 module.exports = async (func = () => { }) => {
     if (typeof func !== 'function') {
@@ -17,6 +25,10 @@ module.exports = async (func = () => { }) => {
                 logger.info('Starting obyte attestation service...');
                 await dbService.initialize();
 
+                if (webhookDispatcher.webhooks.length) webhookDispatcher.start();
+                await walletSessionStore.startCleanup();
+                await dictionary.loadDeviceLanguages();
+
                 const attestorAddress = await headlessWallet.readFirstAddress();
                 if (!attestorAddress) throw new Error('failed to retrieve attestor address');
 
@@ -32,6 +44,12 @@ module.exports = async (func = () => { }) => {
                     throw new Error(`Attestor balance is too low. Please, fund the attestor address. Min balance: ${minimumBalance / 1e9} GBYTE. You can change it in the config file.`);
                 }
 
+                await balanceMonitor.start();
+                await attestationOutbox.start();
+                await revokeAttestation.recover();
+                await payments.start();
+                await rewards.start();
+
                 const result = await func();
                 resolve(result);
             } catch (error) {
@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const createFakes = require('./fakes');
+const createDb = require('./fakes/db');
+const createMutex = require('./fakes/mutex');
+const installFakes = require('./installFakes');
+const SimulatedDevice = require('./SimulatedDevice');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const KIT_ENTRY = require.resolve('../start');
+
+/**
+ * Offline stand-in for the hub, the device layer, the headless wallet and the DAG.
+ * It replaces ocore, headless-obyte and aabot for the kit, so it must be created before the kit is required.
+ * @example
+ * const test = require('node:test');
+ * const assert = require('node:assert');
+ * const { ConversationSimulator } = require('attestation-kit/src/testing');
+ *
+ * const simulator = new ConversationSimulator({ conf: { manualReview: false } });
+ * const { start } = require('attestation-kit');
+ *
+ * test('attests the user', async () => {
+ *     await simulator.start();
+ *
+ *     const user = simulator.createDevice();
+ *     // creates the order, pairs with the verify link and signs the challenge from the bot's sign-message request
+ *     await user.signAndVerify({ userId: '1' });
+ *
+ *     assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 1);
+ *
+ *     await simulator.stop();
+ * });
+ */
+class ConversationSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.conf] - The values of ocore/conf.js, merged over the testnet defaults.
+     * @param {number} [options.balance=1e9] - The attestor balance in bytes.
+     * @param {number} [options.unitFee=1000] - The bytes spent on every posted unit.
+     * @throws {ErrorWithMessage} Throws an error if the kit was required before the simulator.
+     */
+    constructor({ conf = {}, balance = 1e9, unitFee = 1000 } = {}) {
+        if (require.cache[KIT_ENTRY]) throw new ErrorWithMessage('The simulator must be created before the kit is required', { code: 'KIT_ALREADY_LOADED' });
+
+        this.conf = { testnet: true, hub: 'localhost/bb-test', deviceName: 'Attestation bot', sessionStore: 'memory', ...conf };
+        this.db = createDb();
+        this.mutex = createMutex();
+        this.events = new EventEmitter();
+
+        this.signature = crypto.randomBytes(16).toString('hex');
+        this.botPubKey = crypto.randomBytes(33).toString('base64');
+        this.unitFee = unitFee;
+
+        this.replies = [];
+        this.units = [];
+        this.paymentErrors = [];
+        this.balances = new Map();
+
+        const fakes = createFakes(this);
+
+        this.eventBus = fakes['ocore/event_bus'];
+        this.restore = installFakes(fakes);
+
+        // object_hash is pure, the real one computes the addresses and the hashes
+        this.objectHash = require('ocore/object_hash.js');
+        this.botDeviceAddress = this.objectHash.getDeviceAddress(this.botPubKey);
+        this.attestorAddress = this.createWalletAddress();
+        this.balances.set(this.attestorAddress, balance);
+
+        this.ready = Promise.all([
+            this.db.query("CREATE TABLE units (unit CHAR(44) NOT NULL PRIMARY KEY, creation_date TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP)"),
+            this.db.query("CREATE TABLE messages (unit CHAR(44) NOT NULL, message_index TINYINT NOT NULL, app VARCHAR(30) NOT NULL, payload_hash CHAR(44) NOT NULL, payload TEXT NULL, PRIMARY KEY (unit, message_index))"),
+            this.db.query("CREATE TABLE outputs (unit CHAR(44) NOT NULL, message_index TINYINT NOT NULL, output_index TINYINT NOT NULL, address CHAR(32) NOT NULL, amount BIGINT NOT NULL, asset CHAR(44) NULL, PRIMARY KEY (unit, message_index, output_index))"),
+            this.db.query("CREATE TABLE unit_authors (unit CHAR(44) NOT NULL, address CHAR(32) NOT NULL, PRIMARY KEY (unit, address))"),
+        ]);
+    }
+
+    createWalletAddress() {
+        return this.objectHash.getChash160(crypto.randomBytes(32).toString('base64'));
+    }
+
+    /**
+     * Creates a user device with its own wallet address.
+     * @param {Object} [options]
+     * @param {string} [options.walletAddress] - The wallet address, a random one by default.
+     * @returns {SimulatedDevice}
+     */
+    createDevice({ walletAddress = this.createWalletAddress() } = {}) {
+        const address = this.objectHash.getDeviceAddress(crypto.randomBytes(33).toString('base64'));
+
+        return new SimulatedDevice(this, address, walletAddress);
+    }
+
+    /**
+     * Runs the kit's start() as if the wallet were ready and connected to the hub.
+     * @param {function} [func] - The function passed to start().
+     * @returns {Promise<any>} The result of func.
+     */
+    async start(func) {
+        await this.ready;
+
+        const start = require('../start');
+        const started = start(func);
+
+        this.eventBus.emit('headless_wallet_ready');
+
+        await this.waitUntil(() => this.eventBus.listenerCount('connected') > 0, 2000, 'the wallet handlers');
+
+        this.eventBus.emit('connected', {});
+
+        return started;
+    }
+
+    /**
+     * Stops the kit's background services and closes the database.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        await this.settle();
+
+        require('../services/attestationOutbox').stop();
+        require('../services/payments').stop();
+        require('../services/rewards').stop();
+        require('../services/balanceMonitor').stop();
+        require('../services/webhookDispatcher').stop();
+        require('../walletHandlers/walletSessionStore').stopCleanup();
+
+        await new Promise((resolve) => this.db.close(resolve));
+
+        this.restore();
+    }
+
+    /**
+     * Waits until the handlers have finished: no device is locked and no query is running for a few event loop turns.
+     * @param {number} [timeout=5000] - Milliseconds.
+     * @returns {Promise<void>}
+     */
+    async settle(timeout = 5000) {
+        let idleTurns = 0;
+
+        await this.waitUntil(() => {
+            idleTurns = this.mutex.isIdle() && this.db.isIdle() ? idleTurns + 1 : 0;
+
+            return idleTurns >= 3;
+        }, timeout, 'the handlers to finish');
+    }
+
+    async waitUntil(condition, timeout, description) {
+        const deadline = Date.now() + timeout;
+
+        while (!condition()) {
+            if (Date.now() > deadline) throw new ErrorWithMessage(`Timeout waiting for ${description}`, { code: 'TIMEOUT' });
+
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+    }
+
+    captureReply({ device_address, subject, body }) {
+        const reply = { device_address, subject, body };
+
+        this.replies.push(reply);
+        this.events.emit('reply', reply);
+    }
+
+    /**
+     * Messages sent by the bot.
+     * @param {string} [device_address] - Only the messages to this device.
+     * @returns {{ device_address: string, subject: string, body: string }[]}
+     */
+    getReplies(device_address) {
+        return device_address ? this.replies.filter((reply) => reply.device_address === device_address) : this.replies;
+    }
+
+    clearReplies(device_address) {
+        this.replies = device_address ? this.replies.filter((reply) => reply.device_address !== device_address) : [];
+    }
+
+    /**
+     * Waits for the next message from the bot.
+     * @param {function(object): boolean} [predicate] - Selects the awaited message.
+     * @param {number} [timeout=2000] - Milliseconds.
+     * @returns {Promise<{ device_address: string, subject: string, body: string }>}
+     */
+    waitForReply(predicate = () => true, timeout = 2000) {
+        return this.waitForEvent('reply', predicate, timeout);
+    }
+
+    /**
+     * Waits for the next posted unit.
+     * @param {function(object): boolean} [predicate] - Selects the awaited unit.
+     * @param {number} [timeout=2000] - Milliseconds.
+     * @returns {Promise<{ unit: string, messages: object[] }>}
+     */
+    waitForUnit(predicate = () => true, timeout = 2000) {
+        return this.waitForEvent('unit', predicate, timeout);
+    }
+
+    waitForEvent(event, predicate, timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.events.removeListener(event, listener);
+                reject(new ErrorWithMessage(`Timeout waiting for ${event}`, { code: 'TIMEOUT' }));
+            }, timeout);
+
+            const listener = (value) => {
+                if (!predicate(value)) return;
+
+                clearTimeout(timer);
+                this.events.removeListener(event, listener);
+                resolve(value);
+            };
+
+            this.events.on(event, listener);
+        });
+    }
+
+    /**
+     * Posts a unit of the attestor to the fake DAG, called by headlessWallet.sendMultiPayment.
+     * @param {Object} opts - The sendMultiPayment options.
+     * @returns {Promise<{ unit: string }>}
+     */
+    async postUnit(opts) {
+        if (this.paymentErrors.length) throw new Error(this.paymentErrors.shift());
+
+        const balance = this.balances.get(this.attestorAddress) ?? 0;
+        if (balance < this.unitFee) throw new Error(`not enough spendable funds from ${this.attestorAddress} for fees`);
+
+        const messages = opts.messages || [];
+        const unit = crypto.createHash('sha256').update(JSON.stringify({ opts, n: this.units.length, r: crypto.randomBytes(8).toString('hex') })).digest('base64');
+
+        await this.db.query("INSERT INTO units (unit) VALUES (?)", [unit]);
+
+        for (const [message_index, { app, payload }] of messages.entries()) {
+            await this.db.query("INSERT INTO messages (unit, message_index, app, payload_hash, payload) VALUES (?, ?, ?, ?, ?)", [unit, message_index, app, this.objectHash.getBase64Hash(payload, true), JSON.stringify(payload)]);
+        }
+
+        this.balances.set(this.attestorAddress, balance - this.unitFee);
+
+        const posted = { unit, messages, opts };
+
+        this.units.push(posted);
+        this.events.emit('unit', posted);
+
+        return { unit };
+    }
+
+    /**
+     * Receives a payment to the attestor address as the wallet would: new_my_transactions now and my_transactions_became_stable when it is stable.
+     * @param {Object} payment
+     * @param {string|string[]} payment.from - The paying address, or the authors of a unit with several authors.
+     * @param {number} payment.amount - The amount.
+     * @param {string} [payment.asset] - The asset, bytes by default.
+     * @param {Object[]} [payment.outputs] - The outputs of a unit that pays in several assets, { amount, asset } each, instead of amount and asset.
+     * @param {boolean} [payment.stable=true] - Whether the payment becomes stable right away, see confirm() otherwise.
+     * @returns {Promise<string>} The unit.
+     */
+    async receivePayment({ from, amount, asset = null, outputs = [{ amount, asset }], stable = true }) {
+        const unit = crypto.createHash('sha256').update(`${from}:${JSON.stringify(outputs)}:${crypto.randomBytes(8).toString('hex')}`).digest('base64');
+
+        await this.db.query("INSERT INTO units (unit) VALUES (?)", [unit]);
+
+        for (const address of [].concat(from)) {
+            await this.db.query("INSERT INTO unit_authors (unit, address) VALUES (?, ?)", [unit, address]);
+        }
+
+        for (const [message_index, output] of outputs.entries()) {
+            await this.db.query("INSERT INTO outputs (unit, message_index, output_index, address, amount, asset) VALUES (?, ?, 0, ?, ?, ?)", [unit, message_index, this.attestorAddress, output.amount, output.asset ?? null]);
+
+            if (!output.asset) this.balances.set(this.attestorAddress, (this.balances.get(this.attestorAddress) ?? 0) + output.amount);
+        }
+
+        this.eventBus.emit('new_my_transactions', [unit]);
+        await this.settle();
+
+        if (stable) await this.confirm(unit);
+
+        return unit;
+    }
+
+    /**
+     * Makes the received units stable.
+     * @param {...string} units - The units.
+     * @returns {Promise<void>} Resolves when the bot has handled them.
+     */
+    async confirm(...units) {
+        this.eventBus.emit('my_transactions_became_stable', units);
+
+        await this.settle();
+    }
+
+    /**
+     * Makes the next sendMultiPayment fail.
+     * @param {string} [message] - The error message.
+     */
+    failNextPayment(message = 'simulated payment failure') {
+        this.paymentErrors.push(message);
+    }
+
+    /**
+     * Sets the balance of an address, the attestor by default. The kit rechecks it on the next balance check.
+     * @param {number} bytes - The balance in bytes.
+     * @param {string} [address] - The address.
+     */
+    setBalance(bytes, address = this.attestorAddress) {
+        this.balances.set(address, bytes);
+    }
+
+    readBalance(address) {
+        const total = this.balances.get(address) ?? 0;
+
+        return { base: { stable: total, pending: 0, total } };
+    }
+
+    /**
+     * The attestations posted to the fake DAG.
+     * @param {string} [address] - Only the attestations of this address.
+     * @returns {{ unit: string, address: string, profile: object }[]}
+     */
+    getAttestations(address) {
+        return this.getMessages('attestation')
+            .map(({ unit, payload }) => ({ unit, ...payload }))
+            .filter((attestation) => !address || attestation.address === address);
+    }
+
+    /**
+     * The messages posted to the fake DAG.
+     * @param {string} [app] - Only the messages of this app, e.g. 'attestation' or 'data'.
+     * @returns {{ unit: string, app: string, payload: object }[]}
+     */
+    getMessages(app) {
+        return this.units
+            .flatMap(({ unit, messages }) => messages.map(({ app, payload }) => ({ unit, app, payload })))
+            .filter((message) => !app || message.app === app);
+    }
+}
+
+module.exports = ConversationSimulator;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+/**
+ * A local OAuth2 provider for the tests of OAuth2Strategy: the authorization code flow with PKCE on 127.0.0.1.
+ * The authorize endpoint logs in the configured user at once, the token endpoint checks the client, the code,
+ * the redirect URI and the code verifier, the userinfo endpoint returns the profile for the access token.
+ * @example
+ * const provider = new MockOAuth2Provider({ profile: { id: 42, login: 'alice' } });
+ * await provider.start();
+ *
+ * const strategy = new MyOAuth2Strategy({ ...provider.endpoints, clientId: provider.clientId, clientSecret: provider.clientSecret });
+ *
+ * await user.send(user.walletAddress); // the bot sends the authorize link
+ * const authorize = await webserver.inject({ url: authorizeLink });
+ * const callbackUrl = await provider.login(authorize.headers.location); // the user logs in with the provider
+ * const callback = await webserver.inject({ url: callbackUrl });
+ *
+ * await provider.stop();
+ */
+class MockOAuth2Provider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.clientId='test-client'] - The accepted client id.
+     * @param {string} [options.clientSecret='test-secret'] - The accepted client secret.
+     * @param {Object} [options.profile] - The profile returned by the userinfo endpoint.
+     * @param {boolean} [options.requirePkce=true] - Whether the authorization requests must have the S256 code challenge.
+     */
+    constructor({ clientId = 'test-client', clientSecret = 'test-secret', profile = { id: 1, login: 'user' }, requirePkce = true } = {}) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.profile = profile;
+        this.requirePkce = requirePkce;
+        this.deny = false;
+
+        this.server = null;
+        this.url = null;
+
+        // code => { redirect_uri, code_challenge }, access token => profile
+        this.codes = new Map();
+        this.tokens = new Map();
+        this.requests = [];
+    }
+
+    /**
+     * The endpoints to pass to OAuth2Strategy: { authorizeUrl, tokenUrl, userInfoUrl }.
+     * @type {Object}
+     */
+    get endpoints() {
+        return { authorizeUrl: `${this.url}/authorize`, tokenUrl: `${this.url}/token`, userInfoUrl: `${this.url}/userinfo` };
+    }
+
+    /**
+     * Listens on a random port.
+     * @returns {Promise<string>} The base URL of the provider.
+     */
+    async start() {
+        if (this.server) return this.url;
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        await new Promise((resolve) => this.server.close(resolve));
+
+        this.server = null;
+    }
+
+    /**
+     * Opens the provider's authorization URL as the user's browser would.
+     * @param {string} authorizeUrl - The URL the strategy redirected to.
+     * @returns {Promise<string>} The callback URL with the code and the state (or the error).
+     * @throws {ErrorWithMessage} Throws an error if the provider rejected the request.
+     */
+    async login(authorizeUrl) {
+        const response = await fetch(authorizeUrl, { redirect: 'manual' });
+
+        if (response.status !== 302) throw new ErrorWithMessage(`Authorization failed: ${await response.text()}`, { code: 'OAUTH_DENIED', status: response.status });
+
+        return response.headers.get('location');
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const body = req.method === 'POST' ? new URLSearchParams(await readBody(req)) : new URLSearchParams();
+
+        this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: Object.fromEntries(body) });
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/authorize') return this.authorize(url.searchParams, res);
+            if (req.method === 'POST' && url.pathname === '/token') return this.token(body, res);
+            if (req.method === 'GET' && url.pathname === '/userinfo') return this.userinfo(req, res);
+
+            send(res, 404, { error: 'not_found' });
+        } catch (err) {
+            send(res, 500, { error: 'server_error', error_description: err.message });
+        }
+    }
+
+    authorize(params, res) {
+        const { response_type, client_id, redirect_uri, state, code_challenge, code_challenge_method } = Object.fromEntries(params);
+
+        if (client_id !== this.clientId || !redirect_uri) return send(res, 400, { error: 'invalid_client' });
+
+        const location = new URL(redirect_uri);
+
+        if (state) location.searchParams.set('state', state);
+
+        if (response_type !== 'code') {
+            location.searchParams.set('error', 'unsupported_response_type');
+        } else if (this.requirePkce && (!code_challenge || code_challenge_method !== 'S256')) {
+            location.searchParams.set('error', 'invalid_request');
+        } else if (this.deny) {
+            location.searchParams.set('error', 'access_denied');
+        } else {
+            const code = crypto.randomBytes(16).toString('hex');
+
+            this.codes.set(code, { redirect_uri, code_challenge });
+            location.searchParams.set('code', code);
+        }
+
+        res.writeHead(302, { Location: location.toString() });
+        res.end();
+    }
+
+    token(body, res) {
+        const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = Object.fromEntries(body);
+
+        if (client_id !== this.clientId || client_secret !== this.clientSecret) return send(res, 401, { error: 'invalid_client' });
+        if (grant_type !== 'authorization_code') return send(res, 400, { error: 'unsupported_grant_type' });
+
+        const grant = this.codes.get(code);
+
+        // a code can be exchanged once
+        this.codes.delete(code);
+
+        if (!grant || grant.redirect_uri !== redirect_uri) return send(res, 400, { error: 'invalid_grant' });
+
+        if (grant.code_challenge && (!code_verifier || crypto.createHash('sha256').update(code_verifier).digest('base64url') !== grant.code_challenge)) {
+            return send(res, 400, { error: 'invalid_grant', error_description: 'code verifier mismatch' });
+        }
+
+        const accessToken = crypto.randomBytes(16).toString('hex');
+
+        this.tokens.set(accessToken, this.profile);
+
+        send(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 3600 });
+    }
+
+    userinfo(req, res) {
+        const [type, token] = (req.headers.authorization || '').split(' ');
+
+        if (type !== 'Bearer' || !this.tokens.has(token)) return send(res, 401, { error: 'invalid_token' });
+
+        send(res, 200, this.tokens.get(token));
+    }
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+});
+
+const send = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+module.exports = MockOAuth2Provider;
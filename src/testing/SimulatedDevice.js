@@ -0,0 +1,142 @@
+/**
+ * A user's device in the simulated conversation with the bot.
+ */
+class SimulatedDevice {
+    /**
+     * @param {ConversationSimulator} simulator
+     * @param {string} address - The device address.
+     * @param {string} walletAddress - The address of the wallet on the device, the signed messages are signed by it.
+     */
+    constructor(simulator, address, walletAddress) {
+        this.simulator = simulator;
+        this.address = address;
+        this.walletAddress = walletAddress;
+    }
+
+    /**
+     * Pairs the device with the bot.
+     * @param {string} [pairingCode=''] - The pairing code or the whole pairing URL, e.g. from utils.generateParingUrlWithVerifyData.
+     * @returns {Promise<void>} Resolves when the bot has handled the pairing.
+     */
+    async pair(pairingCode = '') {
+        const code = pairingCode.includes('#') ? pairingCode.slice(pairingCode.indexOf('#') + 1) : pairingCode;
+
+        this.simulator.eventBus.emit('paired', this.address, code);
+
+        await this.simulator.settle();
+    }
+
+    /**
+     * Sends a text message to the bot.
+     * @param {string} text - The message.
+     * @returns {Promise<void>} Resolves when the bot has handled the message.
+     */
+    async send(text) {
+        this.simulator.eventBus.emit('text', this.address, text);
+
+        await this.simulator.settle();
+    }
+
+    /**
+     * Builds a signed message as the wallet sends it to the chat.
+     * @param {string} message - The signed text.
+     * @param {Object} [options]
+     * @param {string} [options.walletAddress] - The signing address, the device's wallet address by default.
+     * @param {boolean} [options.valid=true] - Whether the signature is valid.
+     * @returns {string} The chat message: [Signed message](signed-message:<base64>).
+     */
+    signMessage(message, { walletAddress = this.walletAddress, valid = true } = {}) {
+        const objSignedMessage = {
+            signed_message: message,
+            authors: [{ address: walletAddress, authentifiers: { r: valid ? this.simulator.signature : 'invalid' } }],
+        };
+
+        return `[Signed message](signed-message:${Buffer.from(JSON.stringify(objSignedMessage)).toString('base64')})`;
+    }
+
+    /**
+     * Signs the message and sends it to the bot.
+     * @param {string} message - The signed text.
+     * @param {Object} [options] - See signMessage.
+     * @returns {Promise<void>} Resolves when the bot has handled the message.
+     */
+    async sendSignedMessage(message, options) {
+        await this.send(this.signMessage(message, options));
+    }
+
+    /**
+     * Signs the last sign-message request of the bot and sends it back.
+     * @param {Object} [options] - See signMessage.
+     * @returns {Promise<string>} The signed text.
+     * @throws {Error} Throws an error if the bot hasn't asked to sign a message.
+     */
+    async signRequest(options) {
+        const request = this.replies.map((body) => body.match(/\]\(sign-message-request:\s*([^)]*)\)/)).filter(Boolean).at(-1);
+
+        if (!request) throw new Error('No sign-message request from the bot');
+
+        await this.sendSignedMessage(request[1], options);
+
+        return request[1];
+    }
+
+    /**
+     * Goes through the verification of the data: the strategy creates the order for the device's wallet address,
+     * the user pairs with the verify link and signs the bot's request.
+     * @param {Object} data - The data to attest.
+     * @param {Object} [options] - See signMessage.
+     * @returns {Promise<Object>} The order after the bot has handled the signed message.
+     */
+    async signAndVerify(data, options) {
+        // the kit is required by the call, after the simulator has replaced ocore and the wallet
+        const DbService = require('../db/DbService');
+        const generateParingUrlWithVerifyData = require('../utils/generateParingUrlWithVerifyData');
+
+        await DbService.createAttestationOrder(data, this.walletAddress);
+        await this.pair(generateParingUrlWithVerifyData(this.walletAddress, data));
+        await this.signRequest(options);
+        await this.simulator.settle();
+
+        return DbService.getAttestationOrders({ data, address: this.walletAddress });
+    }
+
+    /**
+     * Pays to the attestor address from the device's wallet address.
+     * @param {number} amount - The amount.
+     * @param {Object} [options] - asset and stable, see ConversationSimulator.receivePayment.
+     * @returns {Promise<string>} The unit.
+     */
+    pay(amount, options = {}) {
+        return this.simulator.receivePayment({ from: this.walletAddress, amount, ...options });
+    }
+
+    /**
+     * The texts the bot has sent to the device.
+     * @type {string[]}
+     */
+    get replies() {
+        return this.simulator.getReplies(this.address).map(({ body }) => body);
+    }
+
+    get lastReply() {
+        return this.replies.at(-1);
+    }
+
+    /**
+     * Waits for a message from the bot.
+     * @param {function(string): boolean} [predicate] - Selects the awaited message, any message by default.
+     * @param {number} [timeout=2000] - Milliseconds.
+     * @returns {Promise<string>} The message text.
+     */
+    async waitForReply(predicate = () => true, timeout = 2000) {
+        const { body } = await this.simulator.waitForReply(({ device_address, body }) => device_address === this.address && predicate(body), timeout);
+
+        return body;
+    }
+
+    clearReplies() {
+        this.simulator.clearReplies(this.address);
+    }
+}
+
+module.exports = SimulatedDevice;
@@ -0,0 +1,74 @@
+const sqlite3 = require('sqlite3');
+
+const SELECT_REGEX = /^\s*(SELECT|PRAGMA|WITH)\b/i;
+
+/**
+ * In-memory SQLite database with the ocore/db interface: query, takeConnectionFromPool and close.
+ * Like ocore with one connection, the queries and the transactions are executed one by one.
+ * @returns {object} The fake ocore/db module.
+ */
+module.exports = () => {
+    const database = new sqlite3.Database(':memory:');
+
+    let queue = Promise.resolve();
+    let pending = 0;
+
+    const execute = (sql, params = []) => new Promise((resolve, reject) => {
+        if (SELECT_REGEX.test(sql)) {
+            database.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+        } else if (params.length === 0) {
+            database.exec(sql, (err) => err ? reject(err) : resolve({ affectedRows: 0, insertId: 0 }));
+        } else {
+            database.run(sql, params, function (err) {
+                err ? reject(err) : resolve({ affectedRows: this.changes, insertId: this.lastID });
+            });
+        }
+    });
+
+    // ocore supports both the callback and the promise style
+    const withCallback = (promise, args) => {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+        if (!callback) return promise;
+
+        promise.then(callback, (err) => { throw err; });
+    };
+
+    const takeConnectionFromPool = (callback) => {
+        pending++;
+
+        let release;
+        const connection = queue.then(() => ({
+            query: (sql, ...args) => withCallback(execute(sql, Array.isArray(args[0]) ? args[0] : []), args),
+            release: () => {
+                pending--;
+                release();
+            },
+        }));
+
+        queue = connection.then(() => new Promise((resolve) => { release = resolve; }));
+
+        if (callback) return connection.then(callback);
+
+        return connection;
+    };
+
+    const query = (sql, ...args) => {
+        const promise = takeConnectionFromPool().then(async (conn) => {
+            try {
+                return await conn.query(sql, Array.isArray(args[0]) ? args[0] : []);
+            } finally {
+                conn.release();
+            }
+        });
+
+        return withCallback(promise, args);
+    };
+
+    return {
+        query,
+        takeConnectionFromPool,
+        close: (callback) => database.close(callback),
+        isIdle: () => pending === 0,
+    };
+};
@@ -0,0 +1,17 @@
+/**
+ * The device layer: messages sent by the bot are captured by the simulator instead of being sent through the hub.
+ * @param {ConversationSimulator} simulator
+ * @returns {object} The fake ocore/device module.
+ */
+module.exports = (simulator) => ({
+    getMyDevicePubKey: () => simulator.botPubKey,
+
+    getMyDeviceAddress: () => simulator.botDeviceAddress,
+
+    sendMessageToDevice(device_address, subject, body, callbacks) {
+        simulator.captureReply({ device_address, subject, body });
+
+        if (callbacks && callbacks.onSaved) callbacks.onSaved();
+        if (callbacks && callbacks.ifOk) callbacks.ifOk();
+    },
+});
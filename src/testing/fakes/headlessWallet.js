@@ -0,0 +1,27 @@
+/**
+ * The headless wallet of the attestor: the units are "posted" to the fake DAG of the simulator.
+ * @param {ConversationSimulator} simulator
+ * @returns {object} The fake headless-obyte module.
+ */
+module.exports = (simulator) => ({
+    setupChatEventHandlers() { },
+
+    async readFirstAddress(callback) {
+        if (callback) callback(simulator.attestorAddress);
+
+        return simulator.attestorAddress;
+    },
+
+    async sendMultiPayment(opts, callback) {
+        try {
+            const result = await simulator.postUnit(opts);
+            if (callback) callback(null, result.unit, result.assocMnemonics);
+
+            return result;
+        } catch (err) {
+            if (callback) return callback(err.message);
+
+            throw err;
+        }
+    },
+});
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * Builds the modules that replace ocore, headless-obyte and aabot while the simulator is installed.
+ * @param {ConversationSimulator} simulator
+ * @returns {Object<string, object>} The fake modules by the module id without the .js extension.
+ */
+module.exports = (simulator) => {
+    const eventBus = new EventEmitter();
+    eventBus.setMaxListeners(100);
+
+    return {
+        'ocore/conf': simulator.conf,
+        'ocore/db': simulator.db,
+        'ocore/event_bus': eventBus,
+        'ocore/mutex': simulator.mutex,
+        'ocore/device': require('./device')(simulator),
+        'ocore/validation': require('./validation')(simulator),
+        'ocore/network': {
+            initWitnessesIfNecessary: (ws, onDone) => onDone && onDone(),
+        },
+        'ocore/composer': {
+            generateBlinding: () => crypto.randomBytes(12).toString('base64'),
+        },
+        'headless-obyte': require('./headlessWallet')(simulator),
+        'aabot/dag': {
+            readBalance: async (address) => simulator.readBalance(address),
+        },
+    };
+};
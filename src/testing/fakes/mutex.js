@@ -0,0 +1,37 @@
+/**
+ * Per-key locks like ocore/mutex. The simulator checks that no lock is held to know that the handlers have finished.
+ * @returns {object} The fake ocore/mutex module.
+ */
+module.exports = () => {
+    const queues = new Map();
+    let held = 0;
+
+    const lock = (keys, proc) => {
+        const key = [].concat(keys).join(',');
+        const previous = queues.get(key) || Promise.resolve();
+
+        held++;
+
+        let unlock;
+        const current = new Promise((resolve) => {
+            unlock = () => {
+                held--;
+                resolve();
+            };
+        });
+
+        queues.set(key, previous.then(() => current));
+
+        const acquired = previous.then(() => unlock);
+
+        if (proc) return acquired.then(proc);
+
+        return acquired;
+    };
+
+    return {
+        lock,
+        lockOrSkip: lock,
+        isIdle: () => held === 0,
+    };
+};
@@ -0,0 +1,17 @@
+/**
+ * Signature check of the signed messages. The messages signed by the simulated wallets carry the simulator's signature instead of a real one.
+ * @param {ConversationSimulator} simulator
+ * @returns {object} The fake ocore/validation module.
+ */
+module.exports = (simulator) => ({
+    validateSignedMessage(objSignedMessage, ...args) {
+        const callback = args.pop();
+        const [author] = (objSignedMessage && objSignedMessage.authors) || [];
+
+        if (!objSignedMessage || typeof objSignedMessage.signed_message === 'undefined') return callback('no signed_message');
+        if (!author || !author.authentifiers) return callback('no authors');
+        if (author.authentifiers.r !== simulator.signature) return callback('bad signature');
+
+        callback();
+    },
+});
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Offline test harness: simulates conversations with the bot without the hub, the wallet and the DAG.
+ * The database is an in-memory SQLite one, it uses the sqlite3 package (a dev dependency of the kit, ocore depends on it too).
+ * MockOAuth2Provider is a local OAuth2 provider for the strategies based on OAuth2Strategy.
+ * @module testing
+ */
+
+module.exports = {
+    ConversationSimulator: require('./ConversationSimulator'),
+    SimulatedDevice: require('./SimulatedDevice'),
+    MockOAuth2Provider: require('./MockOAuth2Provider'),
+};
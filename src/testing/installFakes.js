@@ -0,0 +1,37 @@
+const Module = require('module');
+
+const PREFIX = 'attestation-kit-simulator:';
+
+/**
+ * Makes require() return the fake modules instead of the real ones, the real modules don't have to be installed.
+ * @param {Object<string, object>} fakes - The fake modules by the module id without the .js extension, e.g. 'ocore/device'.
+ * @returns {function(): void} The function that restores the real modules.
+ */
+module.exports = (fakes) => {
+    const resolveFilename = Module._resolveFilename;
+
+    Module._resolveFilename = function (request, ...args) {
+        const id = request.replace(/\.js$/, '');
+
+        if (Object.hasOwn(fakes, id)) return PREFIX + id;
+
+        return resolveFilename.call(this, request, ...args);
+    };
+
+    for (const [id, exports] of Object.entries(fakes)) {
+        const fake = new Module(PREFIX + id);
+
+        fake.exports = exports;
+        fake.loaded = true;
+
+        Module._cache[PREFIX + id] = fake;
+    }
+
+    return () => {
+        Module._resolveFilename = resolveFilename;
+
+        for (const id of Object.keys(fakes)) {
+            delete Module._cache[PREFIX + id];
+        }
+    };
+};
@@ -0,0 +1,99 @@
+/**
+ * Fixed window rate limiter with a temporary block list, kept in memory.
+ * A key that makes more than `limit` hits in `window` seconds is blocked for `blockDuration` seconds.
+ * @example
+ * const limiter = new RateLimiter({ limit: 30, window: 60, blockDuration: 600 });
+ * const { allowed, justBlocked, retryAfter } = limiter.hit(device_address);
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - The allowed hits per window, 0 disables the limiter.
+     * @param {number} options.window - The window in seconds.
+     * @param {number} options.blockDuration - For how long an offender is blocked, in seconds.
+     */
+    constructor({ limit, window, blockDuration }) {
+        this.limit = Number(limit);
+        this.window = Number(window) * 1000;
+        this.blockDuration = Number(blockDuration) * 1000;
+
+        this.hits = new Map(); // key => { count, resetAt }
+        this.blocked = new Map(); // key => until (ms)
+        this.nextSweep = Date.now() + this.window;
+    }
+
+    /**
+     * Counts a hit of the key.
+     * @param {string} key - The device address or the IP.
+     * @returns {{ allowed: boolean, justBlocked: boolean, retryAfter: number }} justBlocked is true only for the hit that caused the block, retryAfter is in seconds.
+     */
+    hit(key) {
+        if (!(this.limit > 0)) return { allowed: true, justBlocked: false, retryAfter: 0 };
+
+        const now = Date.now();
+
+        if (now >= this.nextSweep) this.sweep(now);
+
+        const until = this.blocked.get(key);
+
+        if (until > now) return { allowed: false, justBlocked: false, retryAfter: Math.ceil((until - now) / 1000) };
+
+        let entry = this.hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.window };
+            this.hits.set(key, entry);
+        }
+
+        entry.count++;
+
+        if (entry.count > this.limit) {
+            this.hits.delete(key);
+            this.blocked.set(key, now + this.blockDuration);
+
+            return { allowed: false, justBlocked: true, retryAfter: Math.ceil(this.blockDuration / 1000) };
+        }
+
+        return { allowed: true, justBlocked: false, retryAfter: 0 };
+    }
+
+    isBlocked(key) {
+        return this.blocked.get(key) > Date.now();
+    }
+
+    /**
+     * Blocks the key, e.g. an abuser found by the strategy.
+     * @param {string} key
+     * @param {number} [duration] - Seconds, the block duration of the limiter by default.
+     */
+    block(key, duration = this.blockDuration / 1000) {
+        this.blocked.set(key, Date.now() + duration * 1000);
+    }
+
+    unblock(key) {
+        this.blocked.delete(key);
+        this.hits.delete(key);
+    }
+
+    /** @returns {{ key: string, until: number }[]} The blocked keys, until is a timestamp in ms. */
+    getBlocked() {
+        const now = Date.now();
+
+        return [...this.blocked].filter(([, until]) => until > now).map(([key, until]) => ({ key, until }));
+    }
+
+    // removes the finished windows and the expired blocks so the maps don't grow forever
+    sweep(now) {
+        for (const [key, { resetAt }] of this.hits) {
+            if (resetAt <= now) this.hits.delete(key);
+        }
+
+        for (const [key, until] of this.blocked) {
+            if (until <= now) this.blocked.delete(key);
+        }
+
+        this.nextSweep = now + this.window;
+    }
+}
+
+module.exports = RateLimiter;
@@ -31,12 +31,7 @@ class Validation {
         }
 
         const dataValues = Object.values(data);
-        const dataKeys = Object.keys(data);
-        const dataLength = dataKeys.length;
-
-        if (dataLength > 4 && dataLength <= 0) {
-            return false;
-        }
+        const dataLength = Object.keys(data).length;
 
         const validValues = dataValues.filter(value => value && typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean');
 
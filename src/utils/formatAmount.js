@@ -0,0 +1,13 @@
+const conf = require('ocore/conf.js');
+
+/**
+ * Formats an amount for the chat messages.
+ * @param {number} amount - The amount in the smallest units.
+ * @param {string|null} [asset] - The asset, null for bytes.
+ * @returns {string} e.g. "10000 bytes" or "500 USDC" with conf.assetSymbols = { [asset]: 'USDC' }
+ */
+module.exports = (amount, asset = null) => {
+    if (!asset || asset === 'base') return `${amount} bytes`;
+
+    return `${amount} ${conf.assetSymbols?.[asset] || asset}`;
+}
@@ -8,13 +8,14 @@ const Validation = require('./Validation');
  * Generates a pairing URL with verification data for the user.
  * @param {string} address - The user's wallet address.
  * @param {Object} data - Key-value pairs of user data to be verified (e.g. {username: "john", user_id: "123"})
+ * @param {string} [language] - The language of the bot messages for the user (e.g. "de")
  * @returns {string} The pairing URL in format: obyte[-tn]:<pubkey>@<hub>#<address>-<userid>-<username>
  * @example
  * generateParingUrlWithVerifyData("ADDR123", {username: "john"})
  * @throws {ErrorWithMessage} Throws an error if any validation fails.
  */
 
-module.exports = (address, data) => {
+module.exports = (address, data, language) => {
     const publicKey = device.getMyDevicePubKey();
 
     if (Validation.isWalletAddress(address)) {
@@ -24,7 +25,7 @@ module.exports = (address, data) => {
 
         const sanitizedAddress = encodeURIComponent(address);
 
-        const sanitizedDataObject = new URLSearchParams(data).toString();
+        const sanitizedDataObject = new URLSearchParams(language ? { ...data, lang: language } : data).toString();
 
         return `obyte${conf.testnet ? '-tn' : ''}:${publicKey}@${conf.hub}#${sanitizedAddress}-${sanitizedDataObject}`;
     } else {
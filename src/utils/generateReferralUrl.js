@@ -0,0 +1,21 @@
+const conf = require('ocore/conf.js');
+const device = require('ocore/device');
+
+const { ErrorWithMessage } = require('./ErrorWithMessage');
+const Validation = require('./Validation');
+
+/**
+ * Generates a pairing URL that brings a new user in on behalf of the referrer, see services/rewards.
+ * @param {string} referrerAddress - The wallet address to pay the referral reward to.
+ * @returns {string} The pairing URL in format: obyte[-tn]:<pubkey>@<hub>#ref=<address>
+ * @throws {ErrorWithMessage} Throws an error if the address is invalid.
+ */
+module.exports = (referrerAddress) => {
+    if (!Validation.isWalletAddress(referrerAddress)) {
+        throw new ErrorWithMessage('Invalid address', { code: "INVALID_ADDRESS" });
+    }
+
+    const publicKey = device.getMyDevicePubKey();
+
+    return `obyte${conf.testnet ? '-tn' : ''}:${publicKey}@${conf.hub}#ref=${referrerAddress}`;
+}
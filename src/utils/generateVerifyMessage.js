@@ -0,0 +1,20 @@
+/**
+ * Generates the text the user signs to prove the ownership of the address. The text is parsed by parseVerifyMessage, so it is not translated.
+ * The data is written as JSON, so the values may contain any characters. The parentheses are escaped as \u0028 and \u0029
+ * to keep the sign-message-request link of the chat intact, JSON.parse restores them.
+ * @param {string} address - The user's wallet address.
+ * @param {Object} [data] - Key-value pairs of user data to be verified.
+ * @param {string} [nonce] - The single-use nonce of the challenge, see services/challenges.
+ * @returns {string} The text, e.g. 'I own the address: ADDR. And I want to attest the following data: {"userId":"1"}. Nonce: 8fK2...'
+ */
+module.exports = (address, data, nonce) => {
+    const noncePart = nonce ? `. Nonce: ${nonce}` : '';
+
+    if (!data) return `I own the address: ${address}${noncePart}`;
+
+    const json = JSON.stringify(Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)])))
+        .replace(/\(/g, '\\u0028')
+        .replace(/\)/g, '\\u0029');
+
+    return `I own the address: ${address}. And I want to attest the following data: ${json}${noncePart}`;
+}
@@ -0,0 +1,15 @@
+const conf = require('ocore/conf.js');
+
+/**
+ * Generates the link to a unit in the Obyte explorer of the current network
+ * @param {string} unit - The unit hash
+ * @returns {string} The explorer URL, conf.explorerUrl replaces the default explorer
+ * @example
+ * getExplorerUrl('Xo+Fz...=')
+ * // returns: https://explorer.obyte.org/Xo%2BFz...%3D (https://testnetexplorer.obyte.org/... on testnet)
+ */
+module.exports = (unit) => {
+    const explorerUrl = conf.explorerUrl ?? (conf.testnet ? 'https://testnetexplorer.obyte.org' : 'https://explorer.obyte.org');
+
+    return `${explorerUrl.replace(/\/$/, '')}/${encodeURIComponent(unit)}`;
+}
@@ -1,5 +1,6 @@
 const logger = require('./logger');
 const validationFunc = require('./Validation');
+const parseVerifyMessage = require('./parseVerifyMessage');
 
 module.exports = async (deviceAddress, dataString) => {
     const validation = require('ocore/validation.js');
@@ -34,31 +35,13 @@ module.exports = async (deviceAddress, dataString) => {
             const { signed_message, authors: [{ address: senderWalletAddress }] } = objSignedMessage;
 
             try {
-                const messageSplit = signed_message.trim().split(".");
+                const { message, address: attestationWalletAddress, data, nonce } = parseVerifyMessage(signed_message);
 
-                const message = messageSplit[0].trim();
-                let data = {};
-                
-                if (messageSplit.length > 1) {
-                    const dataArray = messageSplit[1].trim().replace("And I want to attest the following data:", "").trim().split(", ");
-                    
-                    dataArray.forEach(dataItem => {
-                        const dataItemSplit = dataItem.split(":");
-                        data[dataItemSplit[0].trim()] = dataItemSplit[1].trim();
-                    });
+                if (message.includes('I own the address:') && !validationFunc.isWalletAddress(attestationWalletAddress)) {
+                    return reject({ error: 'Invalid format' });
                 }
 
-                let attestationWalletAddress = data?.address;
-
-                if (message && message.includes('I own the address:')) {
-                    attestationWalletAddress = message.replace('I own the address: ', '').trim();
-
-                    if (!validationFunc.isWalletAddress(attestationWalletAddress)) {
-                        return reject({ error: 'Invalid format' });
-                    }
-                }
-
-                return resolve({ message, data, senderWalletAddress, attestationWalletAddress, deviceAddress });
+                return resolve({ message, data, nonce, senderWalletAddress, attestationWalletAddress, deviceAddress });
             } catch (err) {
                 logger.error('Error in signed message:', err);
                 reject({ error: 'Unknown error! Please try again.' });
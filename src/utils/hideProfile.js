@@ -0,0 +1,22 @@
+const objectHash = require('ocore/object_hash.js');
+const composer = require('ocore/composer.js');
+
+/**
+ * Blinds every field of the profile with its own salt.
+ * @param {object} profile - The data to hide.
+ * @returns {{ profile_hash: string, src_profile: object }} The hash of the hidden profile and the source profile ({ field: [value, blinding] }).
+ */
+module.exports = (profile) => {
+    const hiddenProfile = {};
+    const srcProfile = {};
+
+    for (const field in profile) {
+        const value = String(profile[field]);
+        const blinding = composer.generateBlinding();
+
+        hiddenProfile[field] = objectHash.getBase64Hash([value, blinding], true);
+        srcProfile[field] = [value, blinding];
+    }
+
+    return { profile_hash: objectHash.getBase64Hash(hiddenProfile, true), src_profile: srcProfile };
+}
@@ -1,12 +1,21 @@
 module.exports = {
     encodeToBase64: require('./encodeToBase64'),
+    formatAmount: require('./formatAmount'),
     ErrorWithMessage: require('./ErrorWithMessage'),
     generateParingUrlWithVerifyData: require('./generateParingUrlWithVerifyData'),
     generateParingBackUrl: require('./generateParingBackUrl'),
     generateParingUrl: require('./generateParingUrl'),
+    generateReferralUrl: require('./generateReferralUrl'),
+    generateVerifyMessage: require('./generateVerifyMessage'),
+    getExplorerUrl: require('./getExplorerUrl'),
     logger: require('./logger'),
     postAttestationProfile: require('./postAttestationProfile'),
+    postAttestationProfiles: require('./postAttestationProfiles'),
+    postPreparedAttestations: require('./postPreparedAttestations'),
+    prepareAttestation: require('./prepareAttestation'),
+    postAttestationRevocation: require('./postAttestationRevocation'),
     toUpperCaseFirstLetter: require('./toUpperCaseFirstLetter'),
     Validation: require('./Validation'),
     getSignedData: require('./getSignedData'),
+    parseVerifyMessage: require('./parseVerifyMessage'),
 }
@@ -1,49 +1,245 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const clc = require('cli-color');
 
 /**
-	* Logger utility providing color-coded console output
+	* Structured logger. Every entry carries the context fields of the current conversation
+	* (device_address, order_id, unit, ...) and is passed to the transports.
 	* @example
-	* import { log, info, error } from './logger';
-	* 
-	* log('Operation successful');
-	* info('Processing data...');
-	* error('Failed to connect');
+	* const logger = require('./logger');
+	*
+	* logger.info('Processing data...');
+	*
+	* logger.withContext({ device_address }, async () => {
+	* 	logger.addContext({ order_id: 1 });
+	* 	logger.error('Failed to connect', err); // {"level":"error","msg":"Failed to connect","device_address":"0...","order_id":1,"err":{...}}
+	* });
+	*
+	* // env: log_level=debug log_format=json, or in the code:
+	* logger.configure({ level: 'debug', format: 'json' });
+	* logger.addTransport((entry) => pipeline.push(entry));
 	* @module logger
 	*/
 
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const COLORS = { debug: 'blackBright', info: 'blue', warn: 'yellow', error: 'red' };
+
+const contextStorage = new AsyncLocalStorage();
+
+const settings = {
+	level: LEVELS[process.env.log_level] ? process.env.log_level : 'info',
+	format: process.env.log_format === 'json' ? 'json' : 'text',
+	transports: [],
+};
+
 /**
-	* Internal logging function that formats and outputs colored log messages
-	* @param {string} type - The type of log ('log', 'info', or 'error')
-	* @param {string} color - The color to use from cli-color
-	* @param {any[]} message - The message parts to log
+	* JSON.stringify that doesn't throw on circular references and BigInt values
+	* @param {any} value
+	* @returns {string}
 	*/
-const loggerFunc = (type, color, ...message) => {
-	if (!['log', 'info', 'error'].includes(type)) {
-		throw new Error(`Invalid log type: ${type}`);
+const stringify = (value) => {
+	const seen = new WeakSet();
+
+	return JSON.stringify(value, (key, v) => {
+		if (typeof v === 'bigint') return v.toString();
+
+		if (v !== null && typeof v === 'object') {
+			if (seen.has(v)) return '[Circular]';
+			seen.add(v);
+		}
+
+		return v;
+	});
+}
+
+const serializeError = (err) => ({ ...err, name: err.name, message: err.message, stack: err.stack });
+
+/**
+	* Builds a log entry: strings go to msg, errors to err, other objects to data
+	* @param {string} level - The level of the entry
+	* @param {any[]} message - The message parts
+	* @returns {object} The entry
+	*/
+const buildEntry = (level, message) => {
+	const parts = [];
+	const data = [];
+	let err;
+
+	for (const part of message) {
+		if (part instanceof Error && !err) {
+			err = serializeError(part);
+		} else if (part instanceof Error) {
+			data.push(serializeError(part));
+		} else if (part !== null && typeof part === 'object') {
+			data.push(part);
+		} else {
+			parts.push(String(part));
+		}
 	}
 
-	if (!Array.isArray(message)) {
-		throw new Error('Message must be an array');
+	return {
+		time: new Date().toISOString(),
+		level,
+		msg: parts.join(' '),
+		...contextStorage.getStore(),
+		...(data.length ? { data: data.length === 1 ? data[0] : data } : {}),
+		...(err ? { err } : {}),
+	};
+}
+
+/**
+	* Transport that writes the entries to stderr, as JSON lines or as colored text in the debug mode
+	* @param {object} entry - The log entry
+	*/
+const consoleTransport = (entry) => {
+	if (settings.format === 'json') {
+		return console.error(stringify(entry));
 	}
 
+	const { time, level, msg, data, err, ...context } = entry;
+
+	const line = [
+		`[${level}]: `,
+		msg,
+		...Object.entries(context).map(([key, value]) => `${key}=${typeof value === 'object' ? stringify(value) : value}`),
+		...(data !== undefined ? [stringify(data)] : []),
+		...(err ? [err.stack || err.message] : []),
+	].filter(Boolean).join(' ');
+
 	if (Number(process.env.debug || 0) === 1) {
-		console.error(clc[color].bold(`[${type}]: `, ...message.map((v) => typeof v === 'object' ? JSON.stringify(v) : v)));
+		console.error(clc[COLORS[level]].bold(line));
 	} else {
-		console.error(`[${type}]: `, ...message.map((v) => typeof v === 'object' ? JSON.stringify(v) : v));
+		console.error(line);
+	}
+}
+
+/**
+	* Internal logging function that builds the entry and passes it to the transports
+	* @param {string} level - The level ('debug', 'info', 'warn' or 'error')
+	* @param {any[]} message - The message parts to log
+	*/
+const loggerFunc = (level, ...message) => {
+	if (!LEVELS[level]) {
+		throw new Error(`Invalid log level: ${level}`);
+	}
+
+	if (LEVELS[level] < LEVELS[settings.level]) return;
+
+	const entry = buildEntry(level, message);
+	const transports = settings.transports.length ? settings.transports : [consoleTransport];
+
+	for (const transport of transports) {
+		try {
+			transport(entry);
+		} catch (err) {
+			console.error('[error]: Log transport failed:', err);
+		}
+	}
+}
+
+/**
+	* Changes the logger settings
+	* @param {Object} options
+	* @param {string} [options.level] - The minimal level: 'debug', 'info', 'warn' or 'error'
+	* @param {string} [options.format] - The format of the console transport: 'text' or 'json'
+	* @param {Function[]} [options.transports] - The transports, the console transport is used if the list is empty
+	*/
+const configure = ({ level, format, transports } = {}) => {
+	if (level !== undefined) {
+		if (!LEVELS[level]) throw new Error(`Invalid log level: ${level}`);
+		settings.level = level;
 	}
+
+	if (format !== undefined) {
+		if (!['text', 'json'].includes(format)) throw new Error(`Invalid log format: ${format}`);
+		settings.format = format;
+	}
+
+	if (transports !== undefined) settings.transports = [...transports];
 }
 
+/**
+	* Adds a transport, a function that receives every entry
+	* @param {(entry: object) => void} transport
+	* @returns {() => void} The function that removes the transport
+	*/
+const addTransport = (transport) => {
+	if (typeof transport !== 'function') throw new TypeError('Transport must be a function');
+
+	if (settings.transports.length === 0) settings.transports.push(consoleTransport);
+	settings.transports.push(transport);
+
+	return () => {
+		settings.transports = settings.transports.filter((t) => t !== transport);
+	};
+}
+
+/**
+	* Runs the function with the context fields added to every entry logged inside it, including the async calls
+	* @param {object} fields - The context fields, e.g. { device_address }
+	* @param {Function} func
+	* @returns {any} The result of func
+	*/
+const withContext = (fields, func) => {
+	const store = { ...contextStorage.getStore() };
+
+	for (const [key, value] of Object.entries(fields)) {
+		if (value !== undefined && value !== null) store[key] = value;
+	}
+
+	return contextStorage.run(store, func);
+}
+
+/**
+	* Adds fields to the current context, e.g. the order id once the order is found. Does nothing outside withContext.
+	* @param {object} fields
+	*/
+const addContext = (fields) => {
+	const store = contextStorage.getStore();
+
+	if (store) {
+		for (const [key, value] of Object.entries(fields)) {
+			if (value !== undefined && value !== null) store[key] = value;
+		}
+	}
+}
+
+/**
+	* Runs the function without the context of the caller, e.g. a queue started by a message processes the jobs of everyone
+	* @param {Function} func
+	* @returns {any} The result of func
+	*/
+const withoutContext = (func) => contextStorage.exit(func);
+
+/** @returns {object} A copy of the current context fields */
+const getContext = () => ({ ...contextStorage.getStore() });
+
+/** @type {(...message: any[]) => void} */
+const debug = (...message) => loggerFunc('debug', ...message);
+
+/** @type {(...message: any[]) => void} */
+const info = (...message) => loggerFunc('info', ...message);
+
 /** @type {(...message: any[]) => void} */
-const log = (...message) => loggerFunc('log', 'green', ...message);
+const log = info;
 
 /** @type {(...message: any[]) => void} */
-const info = (...message) => loggerFunc('info', 'blue', ...message);
+const warn = (...message) => loggerFunc('warn', ...message);
 
 /** @type {(...message: any[]) => void} */
-const error = (...message) => loggerFunc('error', 'red', ...message);
+const error = (...message) => loggerFunc('error', ...message);
 
 module.exports = {
 	log,
+	debug,
 	info,
+	warn,
 	error,
-}
\ No newline at end of file
+	configure,
+	addTransport,
+	consoleTransport,
+	withContext,
+	withoutContext,
+	addContext,
+	getContext,
+}
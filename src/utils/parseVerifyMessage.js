@@ -0,0 +1,70 @@
+const ADDRESS_PREFIX = 'I own the address:';
+const DATA_PREFIX = 'And I want to attest the following data:';
+
+// I own the address: ADDR. And I want to attest the following data: {"key":"value"}. Nonce: NONCE
+const STRUCTURED_MESSAGE_REGEX = /^I own the address:\s*([A-Z0-9]{32})(?:\.\s*And I want to attest the following data:\s*(\{[\s\S]*\}))?(?:\.\s*Nonce:\s*([A-Za-z0-9]+))?$/;
+
+/**
+ * Parses the legacy text form "I own the address: ADDR. And I want to attest the following data: key: value, key2: value2".
+ * The values can't contain ".", ", " or ":", the messages signed before the JSON form are still accepted.
+ * @param {string} text - The signed text.
+ * @returns {{ message: string, address: string|undefined, data: Object, nonce: null }}
+ */
+const parseLegacyMessage = (text) => {
+    const messageSplit = text.split(".");
+
+    const message = messageSplit[0].trim();
+    const data = {};
+
+    if (messageSplit.length > 1) {
+        const dataArray = messageSplit[1].trim().replace(DATA_PREFIX, "").trim().split(", ");
+
+        dataArray.forEach(dataItem => {
+            const dataItemSplit = dataItem.split(":");
+            data[dataItemSplit[0].trim()] = dataItemSplit[1].trim();
+        });
+    }
+
+    const address = message.includes(ADDRESS_PREFIX) ? message.replace(ADDRESS_PREFIX, '').trim() : data.address;
+
+    return { message, address, data, nonce: null };
+}
+
+/**
+ * Recovers the address and the data from the text signed by the user, see generateVerifyMessage.
+ * A signed object { address, data, nonce } is accepted too.
+ * @param {string|Object} signedMessage - The signed text or object.
+ * @returns {{ message: string, address: string|undefined, data: Object, nonce: string|null }} The first sentence, the address, the data (all the values are strings) and the nonce of the challenge.
+ * @throws {Error} Throws an error if the data can't be parsed.
+ * @example
+ * parseVerifyMessage('I own the address: ADDR. And I want to attest the following data: {"name":"Doe, John"}')
+ * // returns: { message: 'I own the address: ADDR', address: 'ADDR', data: { name: 'Doe, John' }, nonce: null }
+ */
+module.exports = (signedMessage) => {
+    let address, data, nonce;
+
+    if (signedMessage && typeof signedMessage === 'object') {
+        ({ address, data = {}, nonce } = signedMessage);
+    } else {
+        const text = String(signedMessage).trim();
+        const match = text.match(STRUCTURED_MESSAGE_REGEX);
+
+        if (!match) return parseLegacyMessage(text);
+
+        address = match[1];
+        data = match[2] ? JSON.parse(match[2]) : {};
+        nonce = match[3];
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Invalid data in the signed message');
+
+    const values = {};
+
+    for (const [key, value] of Object.entries(data)) {
+        if (value === null || typeof value === 'object') throw new Error('Invalid data in the signed message');
+
+        values[key] = String(value);
+    }
+
+    return { message: `${ADDRESS_PREFIX} ${address}`, address, data: values, nonce: nonce ? String(nonce) : null };
+}
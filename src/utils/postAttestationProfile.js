@@ -7,7 +7,7 @@ const { ErrorWithMessage } = require('./ErrorWithMessage');
 /**
  * Posts an attestation profile to the DAG.
  * @param {string} userAddress - The user's wallet address.
- * @param {object} profile - The data to attest (maximum 4 key-value pairs).
+ * @param {object} profile - The data to attest (key-value pairs).
  * @throws {ErrorWithMessage} Throws an error if any validation fails. (INVALID_ADDRESS, INVALID_DATA, INVALID_ATTESTOR)
  * @returns {Promise<string>} Resolves with the unit ID of the posted attestation.
  */
@@ -0,0 +1,17 @@
+const prepareAttestation = require('./prepareAttestation');
+const postPreparedAttestations = require('./postPreparedAttestations');
+const { ErrorWithMessage } = require('./ErrorWithMessage');
+
+/**
+ * Posts several attestation profiles to the DAG in one unit, one attestation message per profile.
+ * @param {{ address: string, profile: object, isPrivate?: boolean }[]} attestations - The attestations to post.
+ * @throws {ErrorWithMessage} Throws an error if any validation fails. (INVALID_ADDRESS, INVALID_DATA, INVALID_ATTESTOR)
+ * @returns {Promise<{ unit: string, privateProfiles: (object|null)[] }>} Resolves with the unit ID and the private profiles in the order of the attestations (null for public ones).
+ */
+async function postAttestationProfiles(attestations) {
+    if (!Array.isArray(attestations)) throw new ErrorWithMessage('Attestations list is empty', { code: "INVALID_DATA" });
+
+    return postPreparedAttestations(attestations.map(prepareAttestation));
+}
+
+module.exports = postAttestationProfiles;
@@ -0,0 +1,55 @@
+const headlessWallet = require('headless-obyte');
+
+const logger = require('../utils/logger');
+const Validation = require('./Validation');
+const { ErrorWithMessage } = require('./ErrorWithMessage');
+
+/**
+ * The payload of the revocation message, its hash finds the unit of an interrupted revocation.
+ * @param {string} userAddress - The attested wallet address.
+ * @param {string} attestationUnit - The unit of the attestation being revoked.
+ * @returns {Object}
+ */
+const getRevocationPayload = (userAddress, attestationUnit) => ({
+    revoked_attestation_unit: attestationUnit,
+    address: userAddress
+});
+
+/**
+ * Posts a revocation of an earlier attestation to the DAG.
+ * The attestation app can't carry an empty profile, so the revocation is posted as a data message that refers to the attestation unit.
+ * @param {string} userAddress - The attested wallet address.
+ * @param {string} attestationUnit - The unit of the attestation being revoked.
+ * @throws {ErrorWithMessage} Throws an error if any validation fails. (INVALID_ADDRESS, INVALID_DATA, INVALID_ATTESTOR)
+ * @returns {Promise<string>} Resolves with the unit ID of the posted revocation.
+ */
+async function postAttestationRevocation(userAddress, attestationUnit) {
+    const attestorAddress = await headlessWallet.readFirstAddress();
+
+    if (!Validation.isWalletAddress(userAddress)) {
+        throw new ErrorWithMessage('Invalid address', { code: "INVALID_ADDRESS" });
+    }
+
+    if (!Validation.isUnit(attestationUnit)) {
+        throw new ErrorWithMessage('Invalid attestation unit', { code: "INVALID_DATA" });
+    }
+
+    if (!attestorAddress) throw new ErrorWithMessage('Attestor address not available', { code: "INVALID_ATTESTOR" })
+
+    const { unit: revocationUnit } = await headlessWallet.sendMultiPayment({
+        messages: [{
+            app: 'data',
+            payload_location: "inline",
+            payload: getRevocationPayload(userAddress, attestationUnit)
+        }]
+    });
+
+    if (!revocationUnit) throw new ErrorWithMessage('failed to post attestation revocation');
+
+    logger.info(`attestation ${attestationUnit} of ${userAddress} revoked with unit ${revocationUnit}`);
+
+    return revocationUnit;
+}
+
+module.exports = postAttestationRevocation;
+module.exports.getRevocationPayload = getRevocationPayload;
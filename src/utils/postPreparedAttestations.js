@@ -0,0 +1,39 @@
+const headlessWallet = require('headless-obyte');
+
+const logger = require('../utils/logger');
+const { ErrorWithMessage } = require('./ErrorWithMessage');
+
+/**
+ * Posts prepared attestations to the DAG in one unit, one attestation message per attestation.
+ * @param {{ payload: object, payload_hash: string, src_profile: object|null }[]} prepared - The attestations from prepareAttestation.
+ * @throws {ErrorWithMessage} Throws an error if the list is empty or the attestor is not available. (INVALID_DATA, INVALID_ATTESTOR)
+ * @returns {Promise<{ unit: string, privateProfiles: (object|null)[] }>} Resolves with the unit ID and the private profiles in the order of the attestations (null for public ones).
+ */
+async function postPreparedAttestations(prepared) {
+    const attestorAddress = await headlessWallet.readFirstAddress();
+
+    if (!Array.isArray(prepared) || prepared.length === 0) {
+        throw new ErrorWithMessage('Attestations list is empty', { code: "INVALID_DATA" });
+    }
+
+    if (!attestorAddress) throw new ErrorWithMessage('Attestor address not available', { code: "INVALID_ATTESTOR" })
+
+    const { unit: attestationUnit } = await headlessWallet.sendMultiPayment({
+        messages: prepared.map(({ payload }) => ({
+            app: 'attestation',
+            payload_location: "inline",
+            payload
+        }))
+    });
+
+    if (!attestationUnit) throw new ErrorWithMessage('failed to post attestation profiles');
+
+    logger.info(`${prepared.length} attestation profiles posted with unit ${attestationUnit}`);
+
+    return {
+        unit: attestationUnit,
+        privateProfiles: prepared.map(({ payload_hash, src_profile }) => src_profile ? { unit: attestationUnit, payload_hash, src_profile } : null)
+    };
+}
+
+module.exports = postPreparedAttestations;
@@ -0,0 +1,39 @@
+const objectHash = require('ocore/object_hash.js');
+
+const Validation = require('./Validation');
+const hideProfile = require('./hideProfile');
+const { ErrorWithMessage } = require('./ErrorWithMessage');
+
+/**
+ * Prepares the payload of an attestation message. Private profiles are blinded here,
+ * so the prepared attestation can be saved before posting and matched with the DAG afterwards by the payload hash.
+ * @param {Object} attestation
+ * @param {string} attestation.address - The user's wallet address.
+ * @param {object} attestation.profile - The data to attest.
+ * @param {boolean} [attestation.isPrivate=false] - Whether to post only the hash of the blinded profile.
+ * @throws {ErrorWithMessage} Throws an error if any validation fails. (INVALID_ADDRESS, INVALID_DATA)
+ * @returns {{ payload: object, payload_hash: string, src_profile: object|null }}
+ */
+module.exports = ({ address, profile, isPrivate = false }) => {
+    if (!Validation.isWalletAddress(address)) {
+        throw new ErrorWithMessage('Invalid address', { code: "INVALID_ADDRESS", address });
+    }
+
+    if (!Validation.isDataObject(profile)) {
+        throw new ErrorWithMessage('Invalid data object', { code: "INVALID_DATA", address });
+    }
+
+    let payload;
+    let src_profile = null;
+
+    if (isPrivate) {
+        const hidden = hideProfile(profile);
+
+        payload = { address, profile: { profile_hash: hidden.profile_hash } };
+        src_profile = hidden.src_profile;
+    } else {
+        payload = { address, profile };
+    }
+
+    return { payload, payload_hash: objectHash.getBase64Hash(payload, true), src_profile };
+}
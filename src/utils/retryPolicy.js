@@ -0,0 +1,59 @@
+const logger = require('./logger');
+
+// errors of the wallet that can't pay for the unit, such attempts wait for funds and are not counted
+const INSUFFICIENT_FUNDS_REGEX = /not enough|no funded|insufficient/i;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Schedules the next attempt of a failed job of a durable queue: the attestations, the reward payouts and the webhook deliveries.
+ * The delay doubles with every counted attempt up to policy.maxRetryDelay. With policy.waitForFunds, the attempts that failed
+ * because the attestor wallet can't pay are not counted and wait policy.maxRetryDelay, the arrival of funds triggers the retry earlier.
+ * @param {Object} job
+ * @param {number} job.attempts - The counted attempts before the failed one.
+ * @param {string} job.error - The error of the failed attempt.
+ * @param {Object} policy
+ * @param {number} policy.retryDelay - The delay after the first failed attempt in seconds.
+ * @param {number} policy.maxRetryDelay - The longest delay in seconds.
+ * @param {number} policy.maxAttempts - The number of attempts after which the job fails for good.
+ * @param {boolean} [policy.waitForFunds=false] - Whether the job is paid from the attestor wallet.
+ * @param {number} [timestamp] - The unix timestamp of the failed attempt, now by default.
+ * @returns {{ attempts: number, countAttempt: boolean, nextAttemptTs: number|null }} The counted attempts, whether the failed attempt is counted
+ * and the unix timestamp of the next attempt, null to give up.
+ */
+const getNextAttempt = ({ attempts, error }, { retryDelay, maxRetryDelay, maxAttempts, waitForFunds = false }, timestamp = now()) => {
+    const countAttempt = !(waitForFunds && INSUFFICIENT_FUNDS_REGEX.test(error));
+    const counted = attempts + (countAttempt ? 1 : 0);
+    const delay = countAttempt ? Math.min(retryDelay * 2 ** (counted - 1), maxRetryDelay) : maxRetryDelay;
+
+    return { attempts: counted, countAttempt, nextAttemptTs: counted < maxAttempts ? timestamp + delay : null };
+}
+
+/**
+ * Finishes the jobs interrupted by the previous run while they were being sent: the ones that reached the DAG are completed, the rest are queued again.
+ * @param {Object[]} jobs - The interrupted jobs.
+ * @param {Object} handlers
+ * @param {string} handlers.name - The name of a job in the log, e.g. 'Payout'.
+ * @param {function(Object): Promise<string|null>} handlers.findUnit - Looks for the unit of the job in the DAG.
+ * @param {function(Object, string): Promise<void>} handlers.complete - Completes the job with the unit.
+ * @param {function(number): Promise<void>} handlers.requeue - Queues the job with the id again.
+ * @returns {Promise<void>}
+ */
+const recoverInterrupted = async (jobs, { name, findUnit, complete, requeue }) => {
+    for (const job of jobs) {
+        const unit = await findUnit(job);
+
+        if (unit) {
+            logger.info(`${name} ${job.id} was sent with unit ${unit} before restart`);
+            await complete(job, unit);
+        } else {
+            logger.info(`${name} ${job.id} was interrupted, queued again`);
+            await requeue(job.id);
+        }
+    }
+}
+
+module.exports = {
+    getNextAttempt,
+    recoverInterrupted,
+}
@@ -1,6 +1,7 @@
 /**
  * Transforms database data with numbered keys into a structured object.
- * @param {Object} dbData - The database data object containing numbered keys (dataKey0, dataValue0, etc.)
+ * Orders loaded by DbService already carry the `data` object, it is returned as is.
+ * @param {Object} dbData - The database data object containing `data` or numbered keys (dataKey0, dataValue0, etc.)
  * @returns {Object} An object mapping the keys to their corresponding values
  * @throws {Error} If input is invalid or data structure is corrupted
  * @example
@@ -8,6 +9,8 @@
  * // Output: { name: 'John', age: '30' }
  */
 module.exports = (dbData) => { // { dataKey0, dataKey1, dataKey2, dataKey3, dataValue0, dataValue1, dataValue2, dataValue3 }
+    if (dbData.data && typeof dbData.data === 'object') return { ...dbData.data };
+
     const result = {};
 
     for (let i = 0; dbData[`dataKey${i}`] !== undefined; i++) {
@@ -7,25 +7,86 @@ const Validation = require('../utils/Validation');
 const dictionary = require('../../dictionary');
 const DbService = require('../db/DbService');
 
+const rewards = require('../services/rewards');
 const walletSessionStore = require('./walletSessionStore');
+const sendSignRequest = require('./sendSignRequest');
+
+/**
+ * Splits the pairing data: <address>-<params> or only the params, e.g. lang=<code> or ref=<address>, see utils.generateReferralUrl.
+ * The params may have dashes too, e.g. lang=pt-BR, so the data is split only after a wallet address.
+ * @param {string} data - The pairing data.
+ * @returns {{ address: string|null, params: URLSearchParams }}
+ */
+const parsePairingData = (data) => {
+    const index = data.indexOf('-');
+    const address = index > 0 && Validation.isWalletAddress(data.slice(0, index)) ? data.slice(0, index) : null;
+
+    return { address, params: new URLSearchParams(address ? data.slice(index + 1) : data) };
+}
+
+/**
+ * Saves the language passed in the pairing data.
+ * @param {string} device_address - The device address.
+ * @param {URLSearchParams} params - The params of the pairing data.
+ * @returns {Promise<void>}
+ */
+const setLanguageFromPairingData = async (device_address, params) => {
+    const language = params.get('lang');
+
+    if (language && dictionary.hasLanguage(language)) {
+        await dictionary.setDeviceLanguage(device_address, language);
+    }
+}
+
+/**
+ * Saves the referrer passed in the pairing data.
+ * @param {string} device_address - The device address.
+ * @param {URLSearchParams} params - The params of the pairing data.
+ * @returns {Promise<void>}
+ */
+const setReferrerFromPairingData = async (device_address, params) => {
+    const referrer = params.get('ref');
+
+    if (referrer) await rewards.setReferrer(device_address, referrer);
+}
 
 module.exports = async (device_address, data) => {
+    const { address, params } = parsePairingData(typeof data === 'string' ? data : '');
+
+    if (params.has('lang')) {
+        try {
+            await setLanguageFromPairingData(device_address, params);
+        } catch (err) {
+            logger.error('Failed to set the language from the pairing data:', err);
+        }
+    }
+
+    if (params.has('ref')) {
+        try {
+            await setReferrerFromPairingData(device_address, params);
+        } catch (err) {
+            logger.error('Failed to set the referrer from the pairing data:', err);
+        }
+    }
+
+    const { wallet, common } = dictionary.forDevice(device_address);
+
     await walletSessionStore.createSession(device_address); // Create a session for the device
     eventBus.emit('ATTESTATION_KIT_ATTESTATION_PROCESS_REQUESTED', device_address);
 
-    if (typeof data === 'string' && (data.match(/-/g) || []).length === 1) { // data is in the format: address-data
-        const [address, dataString] = data.split('-');
-
+    if (address) { // data is in the format: address-data
         let dataObject = {};
 
         try {
-            const dataParams = new URLSearchParams(dataString);
+            const dataParams = new URLSearchParams(params);
+            dataParams.delete('lang'); // the language and the referrer are not attested
+            dataParams.delete('ref');
             dataObject = Object.fromEntries(dataParams.entries());
 
             if (dataObject && !Validation.isDataObject(dataObject)) throw new Error('Invalid data object');
         } catch (err) {
             logger.error('Invalid data object:', err);
-            return device.sendMessageToDevice(device_address, 'text', dictionary.common.CANNOT_FIND_ORDER);
+            return device.sendMessageToDevice(device_address, 'text', common.CANNOT_FIND_ORDER);
         }
 
 
@@ -35,25 +96,27 @@ module.exports = async (device_address, data) => {
             order = await DbService.getAttestationOrders({ data: dataObject, address });
 
             if (!order) {
-                return device.sendMessageToDevice(device_address, 'text', dictionary.common.CANNOT_FIND_ORDER);
+                return device.sendMessageToDevice(device_address, 'text', common.CANNOT_FIND_ORDER);
             }
         } catch (error) {
             logger.error('Database query failed:', error);
-            return device.sendMessageToDevice(device_address, 'text', dictionary.common.CANNOT_FIND_ORDER);
+            return device.sendMessageToDevice(device_address, 'text', common.CANNOT_FIND_ORDER);
         }
 
         if (order.status === 'attested') {
-            return device.sendMessageToDevice(device_address, 'text', dictionary.wallet.ORDER_ALREADY_ATTESTED);
+            return device.sendMessageToDevice(device_address, 'text', wallet.ORDER_ALREADY_ATTESTED);
         }
 
+        // the order is linked to the device by verifyHandler once the device signs the data
+
         try {
-            device.sendMessageToDevice(device_address, 'text', dictionary.wallet.ASK_VERIFY_FN(address, dataObject));
+            await sendSignRequest(device_address, address, dataObject);
 
             eventBus.emit('ATTESTATION_KIT_ATTESTATION_PROCESS_REQUESTED_WITH_DATA', { device_address, data: dataObject });
         } catch (error) {
             logger.error('Error sending message to device:', error);
 
-            return device.sendMessageToDevice(device_address, 'text', "Unknown error");
+            return device.sendMessageToDevice(device_address, 'text', common.UNKNOWN_ERROR);
         }
     } else { // no data provided
         eventBus.emit('ATTESTATION_KIT_ATTESTATION_PROCESS_REQUESTED_WITHOUT_DATA', device_address);
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Registry of the chat commands. Strategies add their own commands with BaseStrategy.registerCommand.
+ * @module walletHandlers/commandRouter
+ * @example
+ * commandRouter.register('status', async (device_address, args) => { ... }, { description: 'show the order status' });
+ * // the user sends "status 42" or clicks [status](command:status 42), the handler receives args = ['42']
+ */
+
+const logger = require('../utils/logger');
+const dictionary = require('../../dictionary');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+
+const COMMAND_NAME_REGEX = /^[a-z0-9_-]+$/;
+
+class CommandRouter {
+    constructor() {
+        this.commands = new Map();
+        this.aliases = new Map();
+    }
+
+    /**
+     * Adds a command, a command with the same name is replaced.
+     * @param {string} name - The command name, lowercase letters, digits, _ and -.
+     * @param {function(string, string[], Object): Promise<void>|void} handler - Called with the device address, the arguments and { text, args }.
+     * @param {Object} [options]
+     * @param {string|function(Object): string} [options.description] - Shown in the help, a function receives the device dictionary.
+     * @param {string[]} [options.aliases] - Other names of the command.
+     * @param {boolean} [options.hidden=false] - Whether to hide the command from the help.
+     * @throws {ErrorWithMessage} Throws an error if the name or the handler is invalid.
+     */
+    register(name, handler, { description, aliases = [], hidden = false } = {}) {
+        const commandName = String(name).toLowerCase();
+
+        if (!COMMAND_NAME_REGEX.test(commandName)) throw new ErrorWithMessage('Invalid command name', { code: 'INVALID_DATA', name });
+        if (typeof handler !== 'function') throw new ErrorWithMessage('Command handler must be a function', { code: 'INVALID_DATA', name });
+
+        this.commands.set(commandName, { name: commandName, handler, description, hidden });
+
+        for (const alias of aliases) {
+            this.aliases.set(String(alias).toLowerCase(), commandName);
+        }
+    }
+
+    unregister(name) {
+        const commandName = String(name).toLowerCase();
+
+        this.commands.delete(commandName);
+
+        for (const [alias, target] of this.aliases) {
+            if (target === commandName) this.aliases.delete(alias);
+        }
+    }
+
+    get(name) {
+        const commandName = String(name).toLowerCase();
+
+        return this.commands.get(this.aliases.get(commandName) || commandName) || null;
+    }
+
+    /**
+     * Splits the text into the command name and the arguments, "double quoted" arguments may contain spaces.
+     * @param {string} text - The message text.
+     * @returns {{ name: string, args: string[] }}
+     */
+    parse(text) {
+        const tokens = [];
+        const regex = /"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = regex.exec(String(text).trim())) !== null) {
+            tokens.push(match[1] !== undefined ? match[1] : match[2]);
+        }
+
+        const [name = '', ...args] = tokens;
+
+        return { name: name.toLowerCase(), args };
+    }
+
+    /**
+     * Runs the command if the text is one.
+     * @param {string} device_address - The device address.
+     * @param {string} text - The message text.
+     * @returns {Promise<boolean>} Whether the text was a command.
+     */
+    async dispatch(device_address, text) {
+        const { name, args } = this.parse(text);
+        const command = name && this.get(name);
+
+        if (!command) return false;
+
+        logger.debug(`Command "${command.name}"`, { args });
+
+        await command.handler(device_address, args, { text, args });
+
+        return true;
+    }
+
+    /**
+     * A clickable command for the chat.
+     * @param {string} command - The command text, e.g. 'language de'.
+     * @param {string} [label] - The link text, the command by default.
+     * @returns {string} [label](command:command)
+     */
+    link(command, label = command) {
+        return `[${label}](command:${command})`;
+    }
+
+    /**
+     * The menu of the visible commands for the help reply.
+     * @param {string} device_address - The device address, the descriptions are in its language.
+     * @returns {string} One clickable command per line.
+     */
+    menu(device_address) {
+        const deviceDictionary = dictionary.forDevice(device_address);
+
+        return [...this.commands.values()]
+            .filter(({ hidden }) => !hidden)
+            .map(({ name, description }) => {
+                const text = typeof description === 'function' ? description(deviceDictionary) : description;
+
+                return this.link(name) + (text ? ` - ${text}` : '');
+            })
+            .join('\n');
+    }
+}
+
+const commandRouter = new CommandRouter();
+
+module.exports = commandRouter;
@@ -0,0 +1,47 @@
+const device = require('ocore/device');
+
+const dictionary = require('../../../dictionary');
+const DbService = require('../../db/DbService');
+const getExplorerUrl = require('../../utils/getExplorerUrl');
+
+const CONTINUABLE_STATUSES = ['pending', 'addressed', 'verified', 'awaiting_payment', 'failed', 'refunded'];
+
+/**
+ * Whether the user can continue the order by signing the verification message again.
+ * @param {Object} order - The row of ATTESTATION_KIT_attestations.
+ * @returns {boolean}
+ */
+const canContinue = (order) => CONTINUABLE_STATUSES.includes(order.status) && Boolean(order.user_wallet_address);
+
+/**
+ * Lists the orders linked to the device with the statuses, the data and the units.
+ */
+const attestationsCommand = async (device_address) => {
+    const { wallet, t } = dictionary.forDevice(device_address);
+
+    const orders = await DbService.getUserOrders(device_address);
+
+    if (orders.length === 0) {
+        return device.sendMessageToDevice(device_address, 'text', wallet.NO_ATTESTATIONS);
+    }
+
+    const list = orders.map((order) => {
+        const lines = [t('wallet.ORDER_SUMMARY', {
+            id: order.id,
+            status: t(`wallet.ORDER_STATUS_${order.status.toUpperCase()}`),
+            address: order.user_wallet_address || '-',
+            data: Object.entries(order.data).map(([key, value]) => `${key}: ${value}`).join(', ') || '-',
+        })];
+
+        if (order.unit) lines.push(t('wallet.ORDER_UNIT', { unit: order.unit, url: getExplorerUrl(order.unit) }));
+        if (canContinue(order)) lines.push(t('wallet.ORDER_CONTINUE', { id: order.id }));
+        if (order.status === 'attested') lines.push(t('wallet.ORDER_REATTEST', { id: order.id }));
+
+        return lines.join('\n');
+    });
+
+    device.sendMessageToDevice(device_address, 'text', t('wallet.MY_ATTESTATIONS', { orders: list.join('\n\n') }));
+};
+
+module.exports = attestationsCommand;
+module.exports.canContinue = canContinue;
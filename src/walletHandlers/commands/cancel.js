@@ -0,0 +1,15 @@
+const device = require('ocore/device');
+const eventBus = require('ocore/event_bus.js');
+
+const dictionary = require('../../../dictionary');
+const walletSessionStore = require('../walletSessionStore');
+
+/**
+ * Forgets the session of the device, the next message starts from scratch.
+ */
+module.exports = async (device_address) => {
+    await walletSessionStore.deleteSession(device_address);
+    eventBus.emit('ATTESTATION_KIT_ATTESTATION_PROCESS_CANCELLED', device_address);
+
+    device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).common.CANCELLED);
+};
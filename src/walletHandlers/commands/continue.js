@@ -0,0 +1,31 @@
+const device = require('ocore/device');
+
+const dictionary = require('../../../dictionary');
+const DbService = require('../../db/DbService');
+const OutboxDbService = require('../../db/OutboxDbService');
+const walletSessionStore = require('../walletSessionStore');
+const sendSignRequest = require('../sendSignRequest');
+const { canContinue } = require('./attestations');
+
+/**
+ * Continues a pending order of the user: asks to sign the verification message of the order again.
+ */
+module.exports = async (device_address, [orderId]) => {
+    const { wallet } = dictionary.forDevice(device_address);
+
+    const orders = await DbService.getUserOrders(device_address);
+    const order = orders.find(({ id }) => String(id) === orderId);
+
+    if (!order || !canContinue(order)) {
+        return device.sendMessageToDevice(device_address, 'text', wallet.ORDER_NOT_CONTINUABLE);
+    }
+
+    if (await OutboxDbService.getActiveJob(order.id)) {
+        return device.sendMessageToDevice(device_address, 'text', wallet.ATTESTATION_IN_PROGRESS);
+    }
+
+    await walletSessionStore.createSession(device_address);
+    await walletSessionStore.setSessionWalletAddress(device_address, order.user_wallet_address);
+
+    await sendSignRequest(device_address, order.user_wallet_address, order.data);
+};
@@ -0,0 +1,8 @@
+const device = require('ocore/device');
+
+const dictionary = require('../../../dictionary');
+const commandRouter = require('../commandRouter');
+
+module.exports = (device_address) => {
+    device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('common.HELP', { commands: commandRouter.menu(device_address) }));
+};
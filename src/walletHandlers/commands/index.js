@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Built-in chat commands, registered on require. Strategies may replace them with their own handlers.
+ * @module walletHandlers/commands
+ */
+
+const commandRouter = require('../commandRouter');
+const languageHandler = require('../languageHandler');
+const attestationRequestHandler = require('../attestationRequestHandler');
+
+commandRouter.register('attest', (device_address) => attestationRequestHandler(device_address), { description: ({ common }) => common.COMMAND_ATTEST });
+commandRouter.register('restart', require('./restart'), { description: ({ common }) => common.COMMAND_RESTART });
+commandRouter.register('cancel', require('./cancel'), { description: ({ common }) => common.COMMAND_CANCEL });
+commandRouter.register('attestations', require('./attestations'), { description: ({ common }) => common.COMMAND_ATTESTATIONS, aliases: ['my', 'orders'] });
+commandRouter.register('continue', require('./continue'), { hidden: true });
+commandRouter.register('reattest', require('./reattest'), { hidden: true });
+commandRouter.register('language', (device_address, [language]) => languageHandler(device_address, language), { description: ({ common }) => common.COMMAND_LANGUAGE, aliases: ['lang'] });
+commandRouter.register('help', require('./help'), { description: ({ common }) => common.COMMAND_HELP });
+
+module.exports = commandRouter;
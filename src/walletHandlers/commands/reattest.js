@@ -0,0 +1,75 @@
+const device = require('ocore/device');
+
+const dictionary = require('../../../dictionary');
+const DbService = require('../../db/DbService');
+const walletSessionStore = require('../walletSessionStore');
+const sendSignRequest = require('../sendSignRequest');
+
+/**
+ * Finds the attested order of the device that the device is allowed to re-attest.
+ * @param {string} device_address - The device address.
+ * @param {number|string} orderId - The id of the order.
+ * @returns {Promise<Object|null>} The order or null.
+ */
+const getReattestableOrder = async (device_address, orderId) => {
+    const orders = await DbService.getUserOrders(device_address);
+    const order = orders.find(({ id }) => String(id) === String(orderId));
+
+    if (!order || order.status !== 'attested' || order.user_device_address !== device_address) return null;
+
+    return order;
+}
+
+/**
+ * Starts the re-attestation of an attested order of the user to another wallet address.
+ * The user first proves the ownership of the attested address by signing a challenge with it, see verifyHandler,
+ * then the new address is handled by walletAddressHandler and its signature by verifyHandler.
+ */
+const reattestCommand = async (device_address, [orderId]) => {
+    const { wallet, t } = dictionary.forDevice(device_address);
+
+    const order = await getReattestableOrder(device_address, orderId);
+
+    if (!order) {
+        return device.sendMessageToDevice(device_address, 'text', wallet.ORDER_NOT_REATTESTABLE);
+    }
+
+    await walletSessionStore.createSession(device_address, true);
+    await walletSessionStore.updateSession(device_address, { reattestOrderId: order.id, reattestConfirmed: false });
+
+    device.sendMessageToDevice(device_address, 'text', t('wallet.REATTEST_PROVE_OWNERSHIP', { address: order.user_wallet_address }));
+
+    await sendSignRequest(device_address, order.user_wallet_address);
+};
+
+/**
+ * Confirms the re-attestation started by the device and asks for the new address. Called when the device has signed
+ * a challenge with the attested address or when the strategy has verified the user again.
+ * @param {string} device_address - The device address.
+ * @returns {Promise<boolean>} Whether the device is re-attesting an order.
+ */
+const confirm = async (device_address) => {
+    const session = await walletSessionStore.getSession(device_address);
+
+    if (!session || !session.reattestOrderId) return false;
+
+    const { wallet, t } = dictionary.forDevice(device_address);
+    const order = await getReattestableOrder(device_address, session.reattestOrderId);
+
+    if (!order) {
+        await walletSessionStore.updateSession(device_address, { reattestOrderId: null, reattestConfirmed: false });
+        device.sendMessageToDevice(device_address, 'text', wallet.ORDER_NOT_REATTESTABLE);
+
+        return true;
+    }
+
+    await walletSessionStore.updateSession(device_address, { reattestConfirmed: true });
+
+    device.sendMessageToDevice(device_address, 'text', t('wallet.REATTEST_ASK_ADDRESS', { address: order.user_wallet_address }));
+
+    return true;
+}
+
+module.exports = reattestCommand;
+module.exports.getReattestableOrder = getReattestableOrder;
+module.exports.confirm = confirm;
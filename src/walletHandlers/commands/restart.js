@@ -0,0 +1,14 @@
+const eventBus = require('ocore/event_bus.js');
+
+const walletSessionStore = require('../walletSessionStore');
+const attestationRequestHandler = require('../attestationRequestHandler');
+
+/**
+ * Drops the session of the device and starts the attestation process again.
+ */
+module.exports = async (device_address) => {
+    await walletSessionStore.deleteSession(device_address);
+    eventBus.emit('ATTESTATION_KIT_ATTESTATION_PROCESS_CANCELLED', device_address);
+
+    await attestationRequestHandler(device_address);
+};
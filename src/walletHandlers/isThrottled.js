@@ -0,0 +1,22 @@
+const device = require('ocore/device');
+
+const logger = require('../utils/logger');
+const dictionary = require('../../dictionary');
+const rateLimits = require('../services/rateLimits');
+
+/**
+ * Counts a message of the device. The device that exceeds the limit is told to wait once, its next messages are ignored until the block expires.
+ * @param {string} device_address - The device address.
+ * @returns {boolean} Whether the message must be ignored.
+ */
+module.exports = (device_address) => {
+    const { allowed, justBlocked, retryAfter } = rateLimits.device.hit(device_address);
+
+    if (justBlocked) {
+        logger.warn(`Device is blocked for ${retryAfter} seconds: too many messages`);
+
+        device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('common.TOO_MANY_REQUESTS', { minutes: Math.ceil(retryAfter / 60) }));
+    }
+
+    return !allowed;
+}
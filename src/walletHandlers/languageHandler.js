@@ -0,0 +1,34 @@
+const device = require('ocore/device');
+
+const logger = require('../utils/logger');
+const dictionary = require('../../dictionary');
+
+/**
+ * Handles the "language" command: without an argument, shows the language menu, otherwise saves the chosen language.
+ * @param {string} device_address - The device address.
+ * @param {string} [language] - The language code.
+ * @returns {Promise<void>}
+ */
+module.exports = async (device_address, language) => {
+    if (!language) {
+        const languages = dictionary.getLanguages().map(({ code, name }) => `[${name}](command:language ${code})`).join('\n');
+
+        return device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('common.CHOOSE_LANGUAGE', { languages: '\n' + languages }));
+    }
+
+    if (!dictionary.hasLanguage(language)) {
+        return device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).common.UNKNOWN_LANGUAGE);
+    }
+
+    try {
+        await dictionary.setDeviceLanguage(device_address, language);
+    } catch (err) {
+        logger.error('Failed to save the language:', err);
+        return device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).common.UNKNOWN_ERROR);
+    }
+
+    const languages = dictionary.getLanguages();
+    const { name } = languages.find(({ code }) => code === language) || languages.find(({ code }) => code === language.split('-')[0]);
+
+    device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('common.LANGUAGE_CHANGED', { language: name }));
+};
@@ -2,28 +2,42 @@ const eventBus = require('ocore/event_bus.js');
 const mutex = require('ocore/mutex.js');
 const device = require('ocore/device');
 
+const logger = require('../utils/logger');
+const dictionary = require('../../dictionary');
 const verifyHandler = require("./verifyHandler");
 
+const commandRouter = require('./commands');
+const isThrottled = require('./isThrottled');
 const walletAddressHandler = require('./walletAddressHandler');
 const walletSessionStore = require('./walletSessionStore');
-const attestationRequestHandler = require('./attestationRequestHandler');
 
-eventBus.on('text', async (device_address, data) => {
+eventBus.on('text', (device_address, data) => logger.withContext({ device_address }, async () => {
+    if (isThrottled(device_address)) return;
+
     const unlock = await mutex.lock(device_address);
-    const session = await walletSessionStore.getSession(device_address)
 
     try {
-        if (data.trim().startsWith("[Signed message]")) { // User send signed message
-            await verifyHandler(device_address, data);
-        } else if (data === "attest") {
-            await attestationRequestHandler(device_address);
-        } else if (session) {
-            await walletAddressHandler(device_address, String(data).trim());
+        const text = String(data).trim();
+
+        if (text.startsWith("[Signed message]")) { // User send signed message
+            return await verifyHandler(device_address, text);
+        }
+
+        if (await commandRouter.dispatch(device_address, text)) return;
+
+        const session = await walletSessionStore.getSession(device_address);
+
+        if (session) {
+            await walletAddressHandler(device_address, text);
         } else {
-            device.sendMessageToDevice(device_address, 'text', dictionary.common.UNKNOWN_COMMAND);
-            return device.sendMessageToDevice(device_address, 'text', `Please use [attest](command:attest) to start the attestation process.`);
+            const { common } = dictionary.forDevice(device_address);
+
+            device.sendMessageToDevice(device_address, 'text', common.UNKNOWN_COMMAND);
+            return device.sendMessageToDevice(device_address, 'text', common.START_ATTESTATION);
         }
+    } catch (err) {
+        logger.error('Failed to handle the message:', err);
     } finally {
-        return unlock();
+        unlock();
     }
-});
+}));
@@ -1,13 +1,19 @@
 const eventBus = require('ocore/event_bus.js');
 const mutex = require('ocore/mutex.js');
 
+const logger = require('../utils/logger');
+const isThrottled = require('./isThrottled');
 const attestationRequestHandler = require('./attestationRequestHandler');
 
-eventBus.on('paired', async (device_address, data) => {
+eventBus.on('paired', (device_address, data) => logger.withContext({ device_address }, async () => {
     if (data === 'back') return;
+    if (isThrottled(device_address)) return;
 
     const unlock = await mutex.lock(device_address);
-    await attestationRequestHandler(device_address, data);
 
-    return unlock();
-});
+    try {
+        await attestationRequestHandler(device_address, data);
+    } finally {
+        unlock();
+    }
+}));
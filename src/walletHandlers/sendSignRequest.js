@@ -0,0 +1,18 @@
+const device = require('ocore/device');
+
+const dictionary = require('../../dictionary');
+const challenges = require('../services/challenges');
+const generateVerifyMessage = require('../utils/generateVerifyMessage');
+
+/**
+ * Issues a single-use challenge and asks the device to sign it with the wallet address.
+ * @param {string} device_address - The device address.
+ * @param {string} address - The wallet address.
+ * @param {Object} [data] - The data to attest, without data the signature only proves the ownership of the address.
+ * @returns {Promise<void>}
+ */
+module.exports = async (device_address, address, data) => {
+    const { nonce } = await challenges.issue(device_address, address);
+
+    device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).t('wallet.ASK_VERIFY', { address, message: generateVerifyMessage(address, data, nonce) }));
+}
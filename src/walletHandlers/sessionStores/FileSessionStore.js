@@ -0,0 +1,52 @@
+const storage = require('node-persist');
+
+const SessionStore = require('./SessionStore');
+
+const SESSIONS_FOLDER_NAME = ".sessions";
+
+/**
+ * Keeps the sessions in the ./.sessions folder with node-persist, the store used before the backends were added.
+ */
+class FileSessionStore extends SessionStore {
+    constructor(dir = './' + SESSIONS_FOLDER_NAME) {
+        super();
+
+        this.storage = storage.create();
+        this.ready = this.storage.init({
+            dir,
+            stringify: JSON.stringify,
+            parse: JSON.parse,
+            encoding: 'utf8',
+            logging: false,
+            writeQueue: true,
+            expiredInterval: false, // cleanup() removes the expired sessions
+        });
+    }
+
+    async get(deviceAddress) {
+        await this.ready;
+
+        return (await this.storage.getItem(deviceAddress)) ?? null;
+    }
+
+    async set(deviceAddress, session, expiresAt = null) {
+        await this.ready;
+        await this.storage.setItem(deviceAddress, session, { ttl: expiresAt === null ? false : Math.max(expiresAt - Date.now(), 1) });
+    }
+
+    async delete(deviceAddress) {
+        await this.ready;
+        await this.storage.removeItem(deviceAddress);
+    }
+
+    async cleanup() {
+        await this.ready;
+
+        const before = await this.storage.length();
+        await this.storage.removeExpiredItems();
+
+        return before - await this.storage.length();
+    }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,46 @@
+const SessionStore = require('./SessionStore');
+
+/**
+ * Keeps the sessions in the process memory, they are lost on restart. Useful for tests.
+ */
+class MemorySessionStore extends SessionStore {
+    constructor() {
+        super();
+        this.sessions = new Map();
+    }
+
+    async get(deviceAddress) {
+        const entry = this.sessions.get(deviceAddress);
+        if (!entry) return null;
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.sessions.delete(deviceAddress);
+            return null;
+        }
+
+        return structuredClone(entry.session);
+    }
+
+    async set(deviceAddress, session, expiresAt = null) {
+        this.sessions.set(deviceAddress, { session: structuredClone(session), expiresAt });
+    }
+
+    async delete(deviceAddress) {
+        this.sessions.delete(deviceAddress);
+    }
+
+    async cleanup() {
+        let removed = 0;
+
+        for (const [deviceAddress, { expiresAt }] of this.sessions) {
+            if (expiresAt !== null && expiresAt <= Date.now()) {
+                this.sessions.delete(deviceAddress);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,49 @@
+/**
+ * SessionStore is the interface of the session store backends.
+ * A backend keeps one session object per device address until its expiry time.
+ * @abstract
+ */
+class SessionStore {
+    /**
+     * Retrieves the session of a device.
+     * @abstract
+     * @param {string} deviceAddress - The device address.
+     * @returns {Promise<object|null>} The session or null if not found or expired.
+     */
+    async get(deviceAddress) {
+        throw new Error('SessionStore.get is not implemented');
+    }
+
+    /**
+     * Saves the session of a device, an existing session is replaced.
+     * @abstract
+     * @param {string} deviceAddress - The device address.
+     * @param {object} session - The session.
+     * @param {number|null} expiresAt - The unix timestamp (ms) when the session expires, null to keep it forever.
+     * @returns {Promise<void>}
+     */
+    async set(deviceAddress, session, expiresAt) {
+        throw new Error('SessionStore.set is not implemented');
+    }
+
+    /**
+     * Removes the session of a device.
+     * @abstract
+     * @param {string} deviceAddress - The device address.
+     * @returns {Promise<void>}
+     */
+    async delete(deviceAddress) {
+        throw new Error('SessionStore.delete is not implemented');
+    }
+
+    /**
+     * Removes the expired sessions.
+     * @abstract
+     * @returns {Promise<number>} The number of removed sessions.
+     */
+    async cleanup() {
+        throw new Error('SessionStore.cleanup is not implemented');
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,36 @@
+const db = require('ocore/db');
+
+const SessionStore = require('./SessionStore');
+
+/**
+ * Keeps the sessions in the ATTESTATION_KIT_sessions table of the ocore database.
+ */
+class SqlSessionStore extends SessionStore {
+    async get(deviceAddress) {
+        const [row] = await db.query("SELECT session, expires_at FROM ATTESTATION_KIT_sessions WHERE device_address = ?", [deviceAddress]);
+        if (!row) return null;
+
+        if (row.expires_at !== null && row.expires_at <= Date.now()) {
+            await this.delete(deviceAddress);
+            return null;
+        }
+
+        return JSON.parse(row.session);
+    }
+
+    async set(deviceAddress, session, expiresAt = null) {
+        await db.query("REPLACE INTO ATTESTATION_KIT_sessions (device_address, session, expires_at) VALUES (?, ?, ?)", [deviceAddress, JSON.stringify(session), expiresAt]);
+    }
+
+    async delete(deviceAddress) {
+        await db.query("DELETE FROM ATTESTATION_KIT_sessions WHERE device_address = ?", [deviceAddress]);
+    }
+
+    async cleanup() {
+        const { affectedRows } = await db.query("DELETE FROM ATTESTATION_KIT_sessions WHERE expires_at IS NOT NULL AND expires_at <= ?", [Date.now()]);
+
+        return affectedRows || 0;
+    }
+}
+
+module.exports = SqlSessionStore;
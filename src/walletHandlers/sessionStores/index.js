@@ -0,0 +1,6 @@
+module.exports = {
+    SessionStore: require('./SessionStore'),
+    SqlSessionStore: require('./SqlSessionStore'),
+    MemorySessionStore: require('./MemorySessionStore'),
+    FileSessionStore: require('./FileSessionStore'),
+};
@@ -3,48 +3,156 @@
  * @module walletHandlers/verifyHandler
  */
 
-const { isEmpty } = require('lodash');
+const { isEmpty, isEqual } = require('lodash');
+const conf = require('ocore/conf.js');
 const device = require('ocore/device');
 const eventBus = require('ocore/event_bus.js');
 
 const DbService = require('../db/DbService');
 const dictionary = require('../../dictionary');
+const OutboxDbService = require('../db/OutboxDbService');
+const balanceMonitor = require('../services/balanceMonitor');
+const challenges = require('../services/challenges');
+const reviews = require('../services/reviews');
+const queueAttestation = require('../services/queueAttestation');
+const walletSessionStore = require('./walletSessionStore');
+const sendSignRequest = require('./sendSignRequest');
+const reattest = require('./commands/reattest');
 
-const { logger, getSignedData, postAttestationProfile } = require('../utils');
+const { logger, getSignedData } = require('../utils');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
 
+// the dictionary messages of the rejected challenges
+const CHALLENGE_ERRORS = {
+    CHALLENGE_MISSING: 'CHALLENGE_EXPIRED',
+    CHALLENGE_EXPIRED: 'CHALLENGE_EXPIRED',
+    CHALLENGE_USED: 'CHALLENGE_USED',
+    CHALLENGE_INVALID: 'CHALLENGE_INVALID',
+};
+
+/**
+ * Whether the device has signed a challenge with the attested address of the order it is re-attesting, see commands/reattest.
+ * @param {string} deviceAddress - The device address.
+ * @param {string} address - The signing wallet address.
+ * @returns {Promise<boolean>}
+ */
+const isReattestationOwner = async (deviceAddress, address) => {
+    const session = await walletSessionStore.getSession(deviceAddress);
+
+    if (!session || !session.reattestOrderId || session.reattestConfirmed) return false;
+
+    const previousOrder = await reattest.getReattestableOrder(deviceAddress, session.reattestOrderId);
+
+    return Boolean(previousOrder) && previousOrder.user_wallet_address === address;
+}
+
+/**
+ * Creates the re-attestation order if the device is re-attesting the signed data to the signing address, see commands/reattest.
+ * The re-attestation must be confirmed and the previous order must belong to the device.
+ * @param {string} deviceAddress - The device address.
+ * @param {Object} data - The signed data.
+ * @param {string} address - The signing wallet address.
+ * @returns {Promise<Object|null>} The new order or null if the device is not re-attesting this data.
+ */
+const getReattestationOrder = async (deviceAddress, data, address) => {
+    const session = await walletSessionStore.getSession(deviceAddress);
+
+    if (!session || !session.reattestOrderId || !session.reattestConfirmed) return null;
+
+    const previousOrder = await reattest.getReattestableOrder(deviceAddress, session.reattestOrderId);
+
+    if (!previousOrder || !isEqual(previousOrder.data, data)) return null;
+
+    try {
+        const orderId = await DbService.createReattestationOrder(previousOrder.id, address);
+
+        await walletSessionStore.updateSession(deviceAddress, { reattestOrderId: null, reattestConfirmed: false });
+
+        return DbService.getAttestationOrders({ id: Number(orderId) });
+    } catch (err) {
+        logger.error('Failed to create the re-attestation order:', err);
+        return null;
+    }
+}
 
 module.exports = async (deviceAddress, msgData) => {
+    const { wallet, common } = dictionary.forDevice(deviceAddress);
+
     let signedData;
 
     try {
         signedData = await getSignedData(deviceAddress, msgData);
     } catch (err) {
         logger.error('signedData(error)', err);
-        return device.sendMessageToDevice(deviceAddress, 'text', dictionary.wallet.VALIDATION_FAILED);
+        return device.sendMessageToDevice(deviceAddress, 'text', wallet.VALIDATION_FAILED);
     }
 
-    const { data, senderWalletAddress, attestationWalletAddress } = signedData;
+    const { data, nonce, senderWalletAddress, attestationWalletAddress } = signedData;
 
     if (!attestationWalletAddress || !senderWalletAddress || senderWalletAddress !== attestationWalletAddress) {
-        return device.sendMessageToDevice(deviceAddress, 'text', dictionary.wallet.MISMATCH_ADDRESS);
+        return device.sendMessageToDevice(deviceAddress, 'text', wallet.MISMATCH_ADDRESS);
     }
 
-    if (isEmpty(data)) return eventBus.emit('ATTESTATION_KIT_VERIFIED_WALLET_ADDRESS', { address: attestationWalletAddress, device_address: deviceAddress });
+    // deprecated: the messages without a nonce (the legacy form, ASK_VERIFY_FN) can be replayed, they are accepted only with conf.allowSignaturesWithoutNonce
+    if (!nonce && conf.allowSignaturesWithoutNonce) {
+        logger.warn('Signed message without a nonce is accepted because conf.allowSignaturesWithoutNonce is set, the legacy form is deprecated');
+    } else {
+        try {
+            await challenges.consume(deviceAddress, nonce, attestationWalletAddress);
+        } catch (err) {
+            if (!(err instanceof ErrorWithMessage) || !CHALLENGE_ERRORS[err.code]) throw err;
+
+            logger.warn('Signed message is rejected:', err.message);
+            device.sendMessageToDevice(deviceAddress, 'text', wallet[CHALLENGE_ERRORS[err.code]]);
+
+            // the owner of an outdated challenge gets a new one
+            if (CHALLENGE_ERRORS[err.code] === 'CHALLENGE_EXPIRED') await sendSignRequest(deviceAddress, attestationWalletAddress, isEmpty(data) ? undefined : data);
+
+            return;
+        }
+    }
+
+    if (isEmpty(data)) {
+        // only a signed challenge proves the ownership of the attested address
+        if (nonce && await isReattestationOwner(deviceAddress, attestationWalletAddress)) return reattest.confirm(deviceAddress);
 
-    const order = await DbService.getAttestationOrders({ data, address: attestationWalletAddress, excludeAttested: true });
+        return eventBus.emit('ATTESTATION_KIT_VERIFIED_WALLET_ADDRESS', { address: attestationWalletAddress, device_address: deviceAddress });
+    }
+
+    // the orders that contain the signed data, the attested data must be the same as the order's
+    const orders = await DbService.getAttestationOrders({ data, address: attestationWalletAddress, excludeAttested: true, excludeRejected: true }, true);
+
+    if (orders.length > 0 && !orders.some((order) => isEqual(order.data, data))) {
+        return device.sendMessageToDevice(deviceAddress, 'text', wallet.MISMATCH_DATA);
+    }
+
+    const order = orders.find((order) => isEqual(order.data, data))
+        || await getReattestationOrder(deviceAddress, data, attestationWalletAddress);
 
     if (order) {
-        device.sendMessageToDevice(deviceAddress, 'text', 'Your data was attested successfully! We will send you unit.');
+        // the log lines of the conversation carry the order from here
+        logger.addContext({ order_id: order.id });
+
+        if (await OutboxDbService.getActiveJob(order.id)) {
+            return device.sendMessageToDevice(deviceAddress, 'text', wallet.ATTESTATION_IN_PROGRESS);
+        }
 
         try {
-            const unit = await postAttestationProfile(attestationWalletAddress, data);
-            await DbService.updateUnitAndChangeStatus(data, attestationWalletAddress, unit);
+            const attestation = { order, address: attestationWalletAddress, data, device_address: deviceAddress, isPrivate: Boolean(order.is_private) };
+
+            await DbService.updateDeviceAddressInAttestationOrder(order.id, deviceAddress);
+
+            // in the review mode, only the approved orders go further
+            if (await reviews.isRequired(order)) return await reviews.submit(attestation);
 
-            eventBus.emit('ATTESTATION_KIT_ATTESTED', { address: attestationWalletAddress, unit, data, device_address: deviceAddress });
+            if (await queueAttestation(attestation)) {
+                device.sendMessageToDevice(deviceAddress, 'text', balanceMonitor.paused ? wallet.ATTESTATIONS_PAUSED : wallet.ATTESTATION_QUEUED);
+            }
         } catch (err) {
             logger.error('Error occurred during attestation:', err);
+            return device.sendMessageToDevice(deviceAddress, 'text', wallet.VALIDATION_FAILED);
         }
     } else {
-        return device.sendMessageToDevice(deviceAddress, 'text', dictionary.common.CANNOT_FIND_ORDER);
+        return device.sendMessageToDevice(deviceAddress, 'text', common.CANNOT_FIND_ORDER);
     }
-};
\ No newline at end of file
+};
@@ -4,7 +4,30 @@ const device = require('ocore/device');
 const { ErrorWithMessage } = require("../utils/ErrorWithMessage");
 const Validation = require("../utils/Validation");
 const walletSessionStore = require("./walletSessionStore");
+const sendSignRequest = require('./sendSignRequest');
 const dictionary = require('../../dictionary');
+const { getReattestableOrder } = require('./commands/reattest');
+
+/**
+ * Asks to sign the data of the re-attested order with the new address.
+ * @param {string} device_address - The device address.
+ * @param {number} orderId - The id of the attested order.
+ * @param {string} wallet_address - The new wallet address.
+ */
+const askToSignReattestation = async (device_address, orderId, wallet_address) => {
+    const { wallet } = dictionary.forDevice(device_address);
+    const order = await getReattestableOrder(device_address, orderId);
+
+    if (!order) {
+        return device.sendMessageToDevice(device_address, 'text', wallet.ORDER_NOT_REATTESTABLE);
+    }
+
+    if (order.user_wallet_address === wallet_address) {
+        return device.sendMessageToDevice(device_address, 'text', wallet.REATTEST_SAME_ADDRESS);
+    }
+
+    await sendSignRequest(device_address, wallet_address, order.data);
+}
 
 module.exports = async (device_address, data) => {
     if (Validation.isWalletAddress(data)) {
@@ -14,9 +37,16 @@ module.exports = async (device_address, data) => {
 
         if (!session) throw new ErrorWithMessage("Session not found. But It's impossible here");
 
+        if (session.reattestOrderId && !session.reattestConfirmed) {
+            return device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).wallet.REATTEST_NOT_CONFIRMED);
+        }
+
         await walletSessionStore.setSessionWalletAddress(device_address, wallet_address);
+
+        if (session.reattestOrderId) return askToSignReattestation(device_address, session.reattestOrderId, wallet_address);
+
         eventBus.emit('ATTESTATION_KIT_ADDED_ADDRESS', device_address, wallet_address);
     } else {
-        return device.sendMessageToDevice(device_address, 'text', dictionary.common.INVALID_WALLET_ADDRESS);
+        return device.sendMessageToDevice(device_address, 'text', dictionary.forDevice(device_address).common.INVALID_WALLET_ADDRESS);
     }
 };
@@ -1,26 +1,93 @@
-const storage = require('node-persist');
+const conf = require('ocore/conf.js');
 const { customAlphabet } = require('nanoid');
 
+const logger = require('../utils/logger');
+const { ErrorWithMessage } = require('../utils/ErrorWithMessage');
+const { SessionStore, SqlSessionStore, MemorySessionStore, FileSessionStore } = require('./sessionStores');
+
 const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-const SESSIONS_FOLDER_NAME = ".sessions";
 
-class SessionStore {
+const BACKENDS = {
+    sql: () => new SqlSessionStore(),
+    memory: () => new MemorySessionStore(),
+    file: () => new FileSessionStore(),
+};
+
+/**
+ * Sessions of the devices that started the attestation process.
+ * The sessions are kept by a backend: 'file' (default, the node-persist store in ./.sessions), 'sql', 'memory' or a custom SessionStore instance.
+ * @example
+ * // conf.js
+ * exports.sessionStore = 'file';
+ * exports.sessionTtl = 24 * 3600; // seconds, 0 to keep sessions forever
+ * exports.sessionCleanupInterval = 3600; // seconds
+ */
+class WalletSessionStore {
     constructor() {
-        storage.init({
-            dir: './' + SESSIONS_FOLDER_NAME,
-            stringify: JSON.stringify,
-            parse: JSON.parse,
-            encoding: 'utf8',
-            logging: false,
-            writeQueue: true,
-            continuous: true,
-            interval: false,
-            ttl: false // lifetime
-        });
+        this.backend = null;
+        this.ttl = conf.sessionTtl ?? 24 * 3600;
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Selects the backend and the lifetime of the sessions.
+     * @param {Object} options
+     * @param {string|SessionStore} [options.backend] - 'file', 'sql', 'memory' or a SessionStore instance.
+     * @param {number} [options.ttl] - The lifetime of a session in seconds, 0 to keep sessions forever.
+     * @throws {ErrorWithMessage} Throws an error if the backend is unknown.
+     */
+    configure({ backend, ttl } = {}) {
+        if (backend !== undefined) {
+            if (backend instanceof SessionStore) {
+                this.backend = backend;
+            } else if (BACKENDS[backend]) {
+                this.backend = BACKENDS[backend]();
+            } else {
+                throw new ErrorWithMessage('Unknown session store backend', { code: 'INVALID_DATA', backend: String(backend) });
+            }
+        }
+
+        if (ttl !== undefined) this.ttl = Number(ttl);
+    }
+
+    getBackend() {
+        if (!this.backend) this.configure({ backend: conf.sessionStore ?? 'file' });
+
+        return this.backend;
+    }
+
+    getExpiresAt() {
+        return this.ttl > 0 ? Date.now() + this.ttl * 1000 : null;
+    }
+
+    /**
+     * Removes the expired sessions now and then periodically.
+     * @returns {Promise<void>}
+     */
+    async startCleanup() {
+        if (this.cleanupTimer) return;
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), (conf.sessionCleanupInterval ?? 3600) * 1000);
+
+        await this.cleanup();
+    }
+
+    stopCleanup() {
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
+    }
+
+    async cleanup() {
+        try {
+            const removed = await this.getBackend().cleanup();
+            if (removed) logger.info(`Removed ${removed} expired sessions`);
+        } catch (err) {
+            logger.error('Session cleanup failed:', err);
+        }
     }
 
     async createSession(deviceAddress, replace = false) {
-        const session = await storage.getItem(deviceAddress);
+        const session = await this.getBackend().get(deviceAddress);
 
         if (session && !replace) {
             return session;
@@ -31,45 +98,60 @@ class SessionStore {
                 ts: new Date().getTime(),
             };
 
-            await storage.setItem(deviceAddress, value);
+            await this.getBackend().set(deviceAddress, value, this.getExpiresAt());
             return value;
         }
     }
 
     async setSessionWalletAddress(deviceAddress, walletAddress) {
-        const session = await storage.getItem(deviceAddress);
+        const session = await this.getBackend().get(deviceAddress);
         if (session) {
             session.wallet = walletAddress;
-            await storage.setItem(deviceAddress, session);
+            await this.getBackend().set(deviceAddress, session, this.getExpiresAt());
         } else {
-            console.error(`Session not found for device address: ${deviceAddress}`);
+            logger.warn(`Session not found for device address: ${deviceAddress}`);
         }
     }
 
     async deleteSessionWalletAddress(deviceAddress) {
-        const session = await storage.getItem(deviceAddress);
+        const session = await this.getBackend().get(deviceAddress);
         if (session) {
             delete session.wallet;
-            await storage.setItem(deviceAddress, session);
+            await this.getBackend().set(deviceAddress, session, this.getExpiresAt());
+        } else {
+            logger.warn(`Session not found for device address: ${deviceAddress}`);
+        }
+    }
+
+    /**
+     * Saves more fields in the session, e.g. the order being re-attested.
+     * @param {string} deviceAddress - The device address.
+     * @param {Object} fields - The fields to merge into the session.
+     * @returns {Promise<void>}
+     */
+    async updateSession(deviceAddress, fields) {
+        const session = await this.getBackend().get(deviceAddress);
+        if (session) {
+            await this.getBackend().set(deviceAddress, { ...session, ...fields }, this.getExpiresAt());
         } else {
-            console.error(`Session not found for device address: ${deviceAddress}`);
+            logger.warn(`Session not found for device address: ${deviceAddress}`);
         }
     }
 
     async getSessionWalletAddress(deviceAddress) {
-        const session = await storage.getItem(deviceAddress);
+        const session = await this.getBackend().get(deviceAddress);
         return session ? session.wallet : null;
     }
 
     async getSession(deviceAddress) {
-        return await storage.getItem(deviceAddress);
+        return await this.getBackend().get(deviceAddress);
     }
 
     async deleteSession(deviceAddress) {
-        await storage.removeItem(deviceAddress);
+        await this.getBackend().delete(deviceAddress);
     }
 }
 
-const sessionStore = new SessionStore();
+const sessionStore = new WalletSessionStore();
 
-module.exports = sessionStore;
\ No newline at end of file
+module.exports = sessionStore;
@@ -0,0 +1,12 @@
+const DbService = require('../../../db/DbService');
+const getOrderById = require('../../utils/getOrderById');
+const serializeOrder = require('../../utils/serializeOrder');
+
+module.exports = async (request, reply) => {
+    const { address } = request.body || {};
+    const order = await getOrderById(request.params.id);
+
+    await DbService.updateWalletAddressInAttestationOrderById(order.id, address);
+
+    reply.send({ data: serializeOrder(await getOrderById(order.id)) });
+};
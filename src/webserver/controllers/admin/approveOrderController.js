@@ -0,0 +1,11 @@
+const reviews = require('../../../services/reviews');
+const getOrderById = require('../../utils/getOrderById');
+const serializeOrder = require('../../utils/serializeOrder');
+
+module.exports = async (request, reply) => {
+    const order = await getOrderById(request.params.id);
+
+    await reviews.approve(order.id);
+
+    reply.send({ data: serializeOrder(await getOrderById(order.id)) });
+};
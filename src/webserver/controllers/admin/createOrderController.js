@@ -0,0 +1,13 @@
+const DbService = require('../../../db/DbService');
+const getOrderById = require('../../utils/getOrderById');
+const serializeOrder = require('../../utils/serializeOrder');
+
+module.exports = async (request, reply) => {
+    const { data, address, allowDuplicates = true, isPrivate } = request.body || {};
+
+    // the orders are private by default with the privateProfiles option of the strategy
+    const id = await DbService.createAttestationOrder(data, address, Boolean(allowDuplicates), isPrivate === undefined ? undefined : Boolean(isPrivate));
+    const order = await getOrderById(id);
+
+    reply.code(201).send({ data: serializeOrder(order) });
+};
@@ -0,0 +1,8 @@
+const getOrderById = require('../../utils/getOrderById');
+const serializeOrder = require('../../utils/serializeOrder');
+
+module.exports = async (request, reply) => {
+    const order = await getOrderById(request.params.id);
+
+    reply.send({ data: serializeOrder(order) });
+};
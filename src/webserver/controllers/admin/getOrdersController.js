@@ -0,0 +1,25 @@
+const DbService = require('../../../db/DbService');
+const serializeOrder = require('../../utils/serializeOrder');
+
+// Query params that are filters, any other param is a data key
+const FILTER_PARAMS = ['address', 'unit', 'status', 'excludeAttested', 'excludeRejected'];
+
+module.exports = async (request, reply) => {
+    const query = request.query || {};
+    const data = {};
+
+    for (const [key, value] of Object.entries(query)) {
+        if (!FILTER_PARAMS.includes(key)) data[key] = value;
+    }
+
+    const orders = await DbService.getAttestationOrders({
+        data: Object.keys(data).length ? data : undefined,
+        address: query.address || undefined,
+        unit: query.unit || undefined,
+        status: query.status || undefined,
+        excludeAttested: query.excludeAttested === 'true',
+        excludeRejected: query.excludeRejected === 'true',
+    }, true);
+
+    reply.send({ data: orders.map(serializeOrder) });
+};
@@ -0,0 +1,8 @@
+const reviews = require('../../../services/reviews');
+const serializeReview = require('../../utils/serializeReview');
+
+module.exports = async (request, reply) => {
+    const queue = await reviews.getQueue();
+
+    reply.send({ data: queue.map(serializeReview) });
+};
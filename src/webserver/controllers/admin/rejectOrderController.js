@@ -0,0 +1,12 @@
+const reviews = require('../../../services/reviews');
+const getOrderById = require('../../utils/getOrderById');
+const serializeOrder = require('../../utils/serializeOrder');
+
+module.exports = async (request, reply) => {
+    const { reason } = request.body || {};
+    const order = await getOrderById(request.params.id);
+
+    await reviews.reject(order.id, reason);
+
+    reply.send({ data: serializeOrder(await getOrderById(order.id)) });
+};
@@ -0,0 +1,11 @@
+const DbService = require('../../../db/DbService');
+const getOrderById = require('../../utils/getOrderById');
+const serializeOrder = require('../../utils/serializeOrder');
+
+module.exports = async (request, reply) => {
+    const order = await getOrderById(request.params.id);
+
+    await DbService.removeWalletAddressInAttestationOrderById(order.id);
+
+    reply.send({ data: serializeOrder(await getOrderById(order.id)) });
+};
@@ -0,0 +1,37 @@
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+const logger = require('../../utils/logger');
+
+/**
+ * HTTP status codes of the ErrorWithMessage codes.
+ */
+const STATUS_CODES = {
+    INVALID_DATA: 400,
+    INVALID_ADDRESS: 400,
+    UNAUTHORIZED: 401,
+    ORDER_NOT_FOUND: 404,
+    ADDRESS_NOT_FOUND: 404,
+    ALREADY_EXISTS: 409,
+    ALREADY_ATTESTED: 409,
+    NOT_ATTESTED: 409,
+    ATTESTATION_IN_PROGRESS: 409,
+    NOT_UNDER_REVIEW: 409,
+    TOO_MANY_REQUESTS: 429,
+};
+
+module.exports = async (error, request, reply) => {
+    if (error instanceof ErrorWithMessage) {
+        const code = error.code || 'UNKNOWN_ERROR';
+
+        return reply.code(STATUS_CODES[code] ?? 500).send({ error: error.message, code });
+    }
+
+    if (error.validation) {
+        return reply.code(400).send({ error: error.message, code: 'INVALID_DATA' });
+    }
+
+    const statusCode = error.statusCode ?? 500;
+
+    if (statusCode >= 500) logger.error('Webserver error:', request.method, request.url, error);
+
+    reply.code(statusCode).send({ error: statusCode >= 500 ? 'Internal server error' : error.message, code: error.code || 'UNKNOWN_ERROR' });
+};
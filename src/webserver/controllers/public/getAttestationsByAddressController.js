@@ -0,0 +1,17 @@
+const DbService = require('../../../db/DbService');
+const Validation = require('../../../utils/Validation');
+const { ErrorWithMessage } = require('../../../utils/ErrorWithMessage');
+const getPage = require('../../utils/getPage');
+const serializeAttestation = require('../../utils/serializeAttestation');
+const setCacheHeaders = require('../../utils/setCacheHeaders');
+
+module.exports = async (request, reply) => {
+    const { address } = request.params;
+
+    if (!Validation.isWalletAddress(address)) throw new ErrorWithMessage('Invalid wallet address', { code: 'INVALID_ADDRESS', address });
+
+    const { orders, next_cursor } = await getPage(request.query, (page) => DbService.getAttestationOrders({ address, status: 'attested', excludePrivate: true, ...page }, true));
+
+    setCacheHeaders(reply);
+    reply.send({ data: orders.map(serializeAttestation), next_cursor });
+};
@@ -0,0 +1,25 @@
+const conf = require('ocore/conf.js');
+
+const DbService = require('../../../db/DbService');
+const { ErrorWithMessage } = require('../../../utils/ErrorWithMessage');
+const getPage = require('../../utils/getPage');
+const serializeAttestation = require('../../utils/serializeAttestation');
+const setCacheHeaders = require('../../utils/setCacheHeaders');
+
+module.exports = async (request, reply) => {
+    const { key, value } = request.query || {};
+
+    if (typeof key !== 'string' || !key || typeof value !== 'string' || !value) {
+        throw new ErrorWithMessage('The key and the value are required', { code: 'INVALID_DATA' });
+    }
+
+    // the other attested fields, e.g. an email, can't be looked up by anyone
+    const searchKeys = conf.publicSearchKeys ?? ['userId', 'username'];
+
+    if (!searchKeys.includes(key)) throw new ErrorWithMessage(`The attestations can't be searched by ${key}`, { code: 'INVALID_DATA', key });
+
+    const { orders, next_cursor } = await getPage(request.query, (page) => DbService.getAttestationOrders({ data: { [key]: value }, status: 'attested', excludePrivate: true, ...page }, true));
+
+    setCacheHeaders(reply);
+    reply.send({ data: orders.map(serializeAttestation), next_cursor });
+};
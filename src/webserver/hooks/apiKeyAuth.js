@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+/**
+ * Compares strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Checks the API key of the request. The key is sent in the `x-api-key` header or as a bearer token
+ * and must match the `admin_api_key` environment variable.
+ * @throws {ErrorWithMessage} Throws an error if the key is not configured or doesn't match. (UNAUTHORIZED)
+ */
+module.exports = async (request) => {
+    const apiKey = process.env.admin_api_key;
+
+    if (!apiKey) throw new ErrorWithMessage('Admin API key is not configured', { code: 'UNAUTHORIZED' });
+
+    const authorization = request.headers.authorization || '';
+    const requestKey = request.headers['x-api-key'] || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+
+    if (!requestKey || !safeEqual(String(requestKey), apiKey)) {
+        throw new ErrorWithMessage('Invalid API key', { code: 'UNAUTHORIZED' });
+    }
+};
@@ -0,0 +1,18 @@
+const rateLimits = require('../../services/rateLimits');
+const logger = require('../../utils/logger');
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+/**
+ * Limits the requests per IP, see services/rateLimits. Behind a proxy, set conf.webserverTrustProxy to get the client IP.
+ * @throws {ErrorWithMessage} Throws an error if the IP made too many requests. (TOO_MANY_REQUESTS)
+ */
+module.exports = async (request, reply) => {
+    const { allowed, justBlocked, retryAfter } = rateLimits.ip.hit(request.ip);
+
+    if (justBlocked) logger.warn(`IP ${request.ip} is blocked for ${retryAfter} seconds: too many requests`);
+
+    if (!allowed) {
+        reply.header('Retry-After', retryAfter);
+        throw new ErrorWithMessage('Too many requests', { code: 'TOO_MANY_REQUESTS' });
+    }
+};
@@ -1,12 +1,22 @@
+const conf = require('ocore/conf.js');
 const fastify = require('fastify');
 const CORS = require('@fastify/cors');
 const fastifySensible = require('@fastify/sensible');
 
 // Controllers
 const notFoundController = require('./controllers/notFoundController');
+const errorController = require('./controllers/errorController');
 
-// Create instance
-const fastifyInstance = fastify({ logger: false });
+// Hooks
+const ipRateLimit = require('./hooks/ipRateLimit');
+
+// Routes
+const adminRoutes = require('./routes/adminRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+
+// Create instance, behind a reverse proxy conf.webserverTrustProxy gives the client IP from X-Forwarded-For
+// (true, the number of hops or the addresses of the trusted proxies, see the trustProxy option of Fastify)
+const fastifyInstance = fastify({ logger: false, trustProxy: conf.webserverTrustProxy ?? false });
 
 // CORS
 fastifyInstance.register(CORS);
@@ -14,8 +24,15 @@ fastifyInstance.register(CORS);
 // Register error generator
 fastifyInstance.register(fastifySensible);
 
+// Limit the requests per IP
+fastifyInstance.addHook('onRequest', ipRateLimit);
+
 // Register routes
+fastifyInstance.register(adminRoutes, { prefix: '/admin' });
+fastifyInstance.register(publicRoutes, { prefix: '/attestations' });
+
+fastifyInstance.setErrorHandler(errorController);
 fastifyInstance.setNotFoundHandler(notFoundController);
 
 // Run the server
-module.exports = fastifyInstance;
\ No newline at end of file
+module.exports = fastifyInstance;
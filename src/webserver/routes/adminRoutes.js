@@ -0,0 +1,28 @@
+const apiKeyAuth = require('../hooks/apiKeyAuth');
+
+// Controllers
+const createOrderController = require('../controllers/admin/createOrderController');
+const getOrderController = require('../controllers/admin/getOrderController');
+const getOrdersController = require('../controllers/admin/getOrdersController');
+const addOrderAddressController = require('../controllers/admin/addOrderAddressController');
+const removeOrderAddressController = require('../controllers/admin/removeOrderAddressController');
+const rejectOrderController = require('../controllers/admin/rejectOrderController');
+const approveOrderController = require('../controllers/admin/approveOrderController');
+const getReviewsController = require('../controllers/admin/getReviewsController');
+
+/**
+ * Admin API for attestation orders, every route requires the API key.
+ * @param {import('fastify').FastifyInstance} fastify
+ */
+module.exports = async (fastify) => {
+    fastify.addHook('onRequest', apiKeyAuth);
+
+    fastify.post('/orders', createOrderController);
+    fastify.get('/orders', getOrdersController);
+    fastify.get('/orders/:id', getOrderController);
+    fastify.put('/orders/:id/address', addOrderAddressController);
+    fastify.delete('/orders/:id/address', removeOrderAddressController);
+    fastify.post('/orders/:id/reject', rejectOrderController); // body: { reason? }, sent to the user
+    fastify.post('/orders/:id/approve', approveOrderController);
+    fastify.get('/reviews', getReviewsController); // the orders waiting for the review
+};
@@ -0,0 +1,18 @@
+// Controllers
+const getAttestationsByAddressController = require('../controllers/public/getAttestationsByAddressController');
+const searchAttestationsController = require('../controllers/public/searchAttestationsController');
+
+/**
+ * Public read-only API of the attestations. Only the attested orders are listed, the private ones are left out.
+ * The lists are paged: `limit` (50 by default, 100 at most) and `cursor`, the `next_cursor` of the previous page.
+ * Only the keys in conf.publicSearchKeys (['userId', 'username'] by default) can be searched.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @example
+ * GET /attestations?key=userId&value=123
+ * GET /attestations/<wallet address>?limit=20&cursor=<next_cursor>
+ * // { data: [{ address, data, unit, date }], next_cursor: '57' }, next_cursor is null on the last page
+ */
+module.exports = async (fastify) => {
+    fastify.get('/', searchAttestationsController);
+    fastify.get('/:address', getAttestationsByAddressController);
+};
@@ -0,0 +1,16 @@
+const DbService = require('../../db/DbService');
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+/**
+ * Retrieves an order by the id from the route params.
+ * @param {string|number} id - The id of the order.
+ * @returns {Promise<Object>} The order row.
+ * @throws {ErrorWithMessage} Throws an error if the id is invalid or the order does not exist. (INVALID_DATA, ORDER_NOT_FOUND)
+ */
+module.exports = async (id) => {
+    const order = await DbService.getAttestationOrders({ id: Number(id) });
+
+    if (!order) throw new ErrorWithMessage('Order not found', { code: 'ORDER_NOT_FOUND', id });
+
+    return order;
+}
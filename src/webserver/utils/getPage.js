@@ -0,0 +1,25 @@
+const { ErrorWithMessage } = require('../../utils/ErrorWithMessage');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Retrieves a page of a public list. The query has the page size in `limit` (50 by default, 100 at most)
+ * and the `cursor` of the page, the `next_cursor` of the previous page.
+ * @param {Object} query - The request query.
+ * @param {function({ afterId: number|undefined, limit: number }): Promise<object[]>} getOrders - Retrieves the orders after the id, ordered by id.
+ * @returns {Promise<{ orders: object[], next_cursor: string|null }>} The orders of the page and the cursor of the next page, null on the last page.
+ * @throws {ErrorWithMessage} Throws an error if the limit or the cursor is invalid. (INVALID_DATA)
+ */
+module.exports = async ({ limit = String(DEFAULT_LIMIT), cursor } = {}, getOrders) => {
+    const pageSize = Number(limit);
+
+    if (!/^\d+$/.test(limit) || pageSize < 1 || pageSize > MAX_LIMIT) throw new ErrorWithMessage(`The limit must be from 1 to ${MAX_LIMIT}`, { code: 'INVALID_DATA', limit });
+    if (cursor !== undefined && !/^\d+$/.test(cursor)) throw new ErrorWithMessage('Invalid cursor', { code: 'INVALID_DATA', cursor });
+
+    // one more order tells whether there is a next page
+    const orders = await getOrders({ afterId: cursor === undefined ? undefined : Number(cursor), limit: pageSize + 1 });
+    const page = orders.slice(0, pageSize);
+
+    return { orders: page, next_cursor: orders.length > pageSize ? String(page.at(-1).id) : null };
+}
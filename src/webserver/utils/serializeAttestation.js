@@ -0,0 +1,13 @@
+const transformDataValuesToObject = require('../../utils/transformDataValuesToObject');
+
+/**
+ * Converts an attested order to the public API representation, without the device address and the internal fields.
+ * @param {Object} order - The row of ATTESTATION_KIT_attestations.
+ * @returns {Object} The attestation: address, data, unit and date.
+ */
+module.exports = (order) => ({
+    address: order.user_wallet_address,
+    data: transformDataValuesToObject(order),
+    unit: order.unit,
+    date: order.attestation_date || order.creation_date,
+});
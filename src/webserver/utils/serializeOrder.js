@@ -0,0 +1,18 @@
+const transformDataValuesToObject = require('../../utils/transformDataValuesToObject');
+
+/**
+ * Converts an order row to the API representation.
+ * @param {Object} order - The row of ATTESTATION_KIT_attestations.
+ * @returns {Object} The order with the data as an object.
+ */
+module.exports = (order) => ({
+    id: order.id,
+    status: order.status,
+    address: order.user_wallet_address,
+    device_address: order.user_device_address,
+    data: transformDataValuesToObject(order),
+    unit: order.unit,
+    is_private: Boolean(order.is_private),
+    previous_order_id: order.previous_attestation_id ?? null,
+    creation_date: order.creation_date,
+});
@@ -0,0 +1,17 @@
+/**
+ * Converts a review row to the API representation.
+ * @param {Object} review - The row of ATTESTATION_KIT_reviews.
+ * @returns {Object}
+ */
+module.exports = (review) => ({
+    id: review.id,
+    order_id: review.attestation_id,
+    status: review.status,
+    address: review.address,
+    device_address: review.device_address,
+    data: review.data,
+    is_private: Boolean(review.is_private),
+    reason: review.reason,
+    review_date: review.review_date,
+    creation_date: review.creation_date,
+});
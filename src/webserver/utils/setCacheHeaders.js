@@ -0,0 +1,11 @@
+const conf = require('ocore/conf.js');
+
+/**
+ * Lets the clients and the proxies cache the public responses for conf.publicApiCacheMaxAge seconds (60 by default).
+ * @param {import('fastify').FastifyReply} reply
+ */
+module.exports = (reply) => {
+    const maxAge = conf.publicApiCacheMaxAge ?? 60;
+
+    reply.header('Cache-Control', maxAge > 0 ? `public, max-age=${maxAge}` : 'no-store');
+}
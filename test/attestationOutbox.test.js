@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const simulator = new ConversationSimulator();
+const { utils, db } = require('../src');
+const OutboxDbService = require('../src/db/OutboxDbService');
+const attestationOutbox = require('../src/services/attestationOutbox');
+const reviews = require('../src/services/reviews');
+const retry = require('../src/cli/commands/retry');
+
+// the queued attestations wait for a full batch until the batch mode is off
+const holdQueue = () => Object.assign(simulator.conf, { batchAttestations: true, attestationBatchMaxSize: 16, attestationBatchWindow: 3600 });
+
+const releaseQueue = async () => {
+    simulator.conf.batchAttestations = false;
+
+    await attestationOutbox.processQueue();
+    await simulator.settle();
+}
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('rejecting a queued order cancels its attestation', async () => {
+    holdQueue();
+
+    try {
+        const user = simulator.createDevice();
+        const order = await user.signAndVerify({ userId: '1' });
+
+        assert.strictEqual(order.status, 'attesting');
+        assert.ok(await OutboxDbService.getActiveJob(order.id));
+
+        await reviews.reject(order.id, 'Duplicate account');
+
+        assert.strictEqual(await OutboxDbService.getActiveJob(order.id), null);
+
+        await releaseQueue();
+
+        const [job] = await OutboxDbService.getOrderJobs(order.id);
+
+        assert.strictEqual(job.status, 'failed');
+        assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+        assert.strictEqual((await db.getAttestationOrders({ id: order.id })).status, 'rejected');
+    } finally {
+        simulator.conf.batchAttestations = false;
+    }
+});
+
+test('does not post the job left for a rejected order', async () => {
+    holdQueue();
+
+    try {
+        const user = simulator.createDevice();
+        const order = await user.signAndVerify({ userId: '2' });
+
+        // the order was rejected without cancelling the job
+        await simulator.db.query("UPDATE ATTESTATION_KIT_attestations SET status = 'rejected' WHERE id = ?", [order.id]);
+
+        await releaseQueue();
+
+        const [job] = await OutboxDbService.getOrderJobs(order.id);
+
+        assert.strictEqual(job.status, 'failed');
+        assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+        assert.strictEqual((await db.getAttestationOrders({ id: order.id })).status, 'rejected');
+    } finally {
+        simulator.conf.batchAttestations = false;
+    }
+});
+
+test('does not mark a rejected order as attested', async () => {
+    const orderId = await db.createAttestationOrder({ userId: '3' }, simulator.createWalletAddress());
+    const unit = 'A'.repeat(43) + '=';
+
+    await db.rejectAttestationOrder(orderId);
+
+    await assert.rejects(db.markOrderAttested(orderId, unit), { code: 'ORDER_NOT_ATTESTABLE' });
+    assert.strictEqual((await db.getAttestationOrders({ id: orderId })).status, 'rejected');
+});
+
+test('keeps the order attesting until the last attempt fails', async () => {
+    simulator.conf.attestationMaxAttempts = 2;
+
+    try {
+        simulator.failNextPayment();
+
+        const user = simulator.createDevice();
+        const order = await user.signAndVerify({ userId: '4' });
+        let [job] = await OutboxDbService.getOrderJobs(order.id);
+
+        assert.strictEqual(job.status, 'pending');
+        assert.strictEqual(job.attempts, 1);
+        assert.strictEqual(order.status, 'attesting');
+
+        simulator.failNextPayment();
+        await simulator.db.query("UPDATE ATTESTATION_KIT_outbox SET next_attempt_ts = 0 WHERE id = ?", [job.id]);
+        await attestationOutbox.processQueue();
+
+        [job] = await OutboxDbService.getOrderJobs(order.id);
+
+        assert.strictEqual(job.status, 'failed');
+        assert.strictEqual((await db.getAttestationOrders({ id: order.id })).status, 'failed');
+
+        await retry({ args: [String(order.id)] });
+        await attestationOutbox.processQueue();
+        await simulator.settle();
+
+        assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 1);
+        assert.strictEqual((await db.getAttestationOrders({ id: order.id })).status, 'attested');
+    } finally {
+        delete simulator.conf.attestationMaxAttempts;
+    }
+});
+
+test('does not recover a job with the unit of an earlier attestation of the same data', async () => {
+    const data = { userId: '5' };
+    const user = simulator.createDevice();
+    const previousOrder = await user.signAndVerify(data);
+
+    assert.strictEqual(previousOrder.status, 'attested');
+
+    await simulator.db.query("UPDATE ATTESTATION_KIT_attestations SET status = 'revoked' WHERE id = ?", [previousOrder.id]);
+
+    // the new attestation of the same data was interrupted before it reached the DAG
+    const orderId = await db.createAttestationOrder(data, user.walletAddress);
+    const jobId = await OutboxDbService.addJob({ orderId, address: user.walletAddress, data, attestation: utils.prepareAttestation({ address: user.walletAddress, profile: data }) });
+
+    await OutboxDbService.markPosting([jobId]);
+    await attestationOutbox.recover();
+
+    let [job] = await OutboxDbService.getOrderJobs(orderId);
+
+    assert.strictEqual(job.status, 'pending');
+
+    await attestationOutbox.processQueue();
+    await simulator.settle();
+
+    [job] = await OutboxDbService.getOrderJobs(orderId);
+
+    assert.strictEqual(job.status, 'posted');
+    assert.notStrictEqual(job.unit, previousOrder.unit);
+    assert.strictEqual((await db.getAttestationOrders({ id: orderId })).unit, job.unit);
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 2);
+});
+
+test('recovers a job posted before the restart', async () => {
+    const address = simulator.createWalletAddress();
+    const data = { userId: '6' };
+    const orderId = await db.createAttestationOrder(data, address);
+    const attestation = utils.prepareAttestation({ address, profile: data });
+    const jobId = await OutboxDbService.addJob({ orderId, address, data, attestation });
+
+    await OutboxDbService.markPosting([jobId]);
+
+    // the unit was posted, the process stopped before the result was saved
+    const { unit } = await utils.postPreparedAttestations([attestation]);
+
+    await attestationOutbox.recover();
+
+    const [job] = await OutboxDbService.getOrderJobs(orderId);
+
+    assert.strictEqual(job.status, 'posted');
+    assert.strictEqual(job.unit, unit);
+    assert.strictEqual((await db.getAttestationOrders({ id: orderId })).status, 'attested');
+    assert.strictEqual(simulator.getAttestations(address).length, 1);
+});
+
+test('retries on the incoming funds only the jobs that wait for funds', async () => {
+    simulator.failNextPayment(`not enough spendable funds from ${simulator.attestorAddress} for fees`);
+    const unfunded = await simulator.createDevice().signAndVerify({ userId: '7' });
+
+    simulator.failNextPayment('connection to the hub is lost');
+    const failed = await simulator.createDevice().signAndVerify({ userId: '8' });
+
+    const isDue = async (order) => (await OutboxDbService.getActiveJob(order.id)).next_attempt_ts <= Math.floor(Date.now() / 1000);
+
+    // a unit of the attestor itself funds nothing
+    simulator.eventBus.emit('new_my_transactions', [simulator.units.at(-1).unit]);
+    await simulator.settle();
+
+    assert.strictEqual(await isDue(unfunded), false);
+
+    await simulator.receivePayment({ from: simulator.createWalletAddress(), amount: 1e6 });
+
+    const [job] = await OutboxDbService.getOrderJobs(unfunded.id);
+
+    assert.strictEqual(job.status, 'posted');
+    assert.strictEqual(await isDue(failed), false);
+    assert.strictEqual((await OutboxDbService.getActiveJob(failed.id)).attempts, 1);
+});
+
+test('posts the batch without the context of the message that fills it', async () => {
+    const entries = [];
+    const removeTransport = utils.logger.addTransport((entry) => entries.push(entry));
+
+    // the second job fills the batch
+    Object.assign(holdQueue(), { attestationBatchMaxSize: 2 });
+
+    try {
+        await simulator.createDevice().signAndVerify({ userId: '9' });
+        await simulator.createDevice().signAndVerify({ userId: '10' });
+
+        const posted = entries.find(({ msg }) => /^2 attestation profiles posted/.test(msg));
+
+        assert.ok(posted);
+        assert.strictEqual(posted.device_address, undefined);
+    } finally {
+        simulator.conf.batchAttestations = false;
+        removeTransport();
+    }
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const simulator = new ConversationSimulator({ conf: { manualReview: true } });
+const { db } = require('../src');
+const ReviewDbService = require('../src/db/ReviewDbService');
+const run = require('../src/cli');
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('reject closes the review and emits the rejection', async () => {
+    const user = simulator.createDevice();
+    const order = await user.signAndVerify({ userId: '1' });
+
+    // the order waits for the review
+    assert.strictEqual(order.status, 'verified');
+
+    simulator.clearReplies(user.address);
+
+    const rejected = new Promise((resolve) => simulator.eventBus.once('ATTESTATION_KIT_REJECTED', resolve));
+
+    assert.strictEqual(await run(['reject', String(order.id), '--reason', 'Duplicate account']), `Order ${order.id} is rejected`);
+
+    const event = await rejected;
+
+    assert.strictEqual(event.order_id, order.id);
+    assert.strictEqual(event.device_address, user.address);
+    assert.strictEqual(event.reason, 'Duplicate account');
+
+    const review = await ReviewDbService.getOrderReview(order.id);
+
+    assert.strictEqual(review.status, 'rejected');
+    assert.strictEqual(review.reason, 'Duplicate account');
+    assert.strictEqual((await db.getAttestationOrders({ id: order.id })).status, 'rejected');
+
+    // the command line doesn't open the network, the user is not notified
+    assert.deepStrictEqual(simulator.getReplies(user.address), []);
+});
+
+test('reject only queues the webhooks, the running bot delivers them', async () => {
+    const order = await simulator.createDevice().signAndVerify({ userId: '4' });
+
+    // the bot was started without webhooks, nothing delivers in this process
+    simulator.conf.webhooks = [{ url: 'http://127.0.0.1:9/hook', secret: 'secret', events: ['ATTESTATION_KIT_REJECTED'] }];
+
+    try {
+        await run(['reject', String(order.id)]);
+    } finally {
+        delete simulator.conf.webhooks;
+    }
+
+    const deliveries = await simulator.db.query("SELECT * FROM ATTESTATION_KIT_webhook_deliveries WHERE event = 'ATTESTATION_KIT_REJECTED'");
+
+    assert.strictEqual(deliveries.length, 1);
+    assert.strictEqual(deliveries[0].status, 'pending');
+    assert.strictEqual(deliveries[0].attempts, 0);
+});
+
+test('reopen continues a rejected order', async () => {
+    const order = await simulator.createDevice().signAndVerify({ userId: '2' });
+
+    await assert.rejects(run(['reopen', String(order.id)]), { code: 'ORDER_NOT_REOPENABLE' });
+
+    await run(['reject', String(order.id)]);
+
+    assert.strictEqual(await run(['reopen', String(order.id)]), `Order ${order.id} is re-opened, its status is addressed`);
+    assert.strictEqual((await db.getAttestationOrders({ id: order.id })).status, 'addressed');
+});
+
+test('force-attest attests an order under review only with --yes and --force', async () => {
+    const user = simulator.createDevice();
+    const order = await user.signAndVerify({ userId: '3' });
+    const id = String(order.id);
+
+    await assert.rejects(run(['force-attest', id, '--yes']), { code: 'CONFIRMATION_REQUIRED' });
+    await assert.rejects(run(['force-attest', id, '--force']), { code: 'CONFIRMATION_REQUIRED' });
+
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+
+    const attesting = run(['force-attest', id, '--yes', '--force']);
+
+    // the command opens the attestor wallet
+    await simulator.waitUntil(() => simulator.eventBus.listenerCount('headless_wallet_ready') > 0, 2000, 'the wallet to be opened');
+    simulator.eventBus.emit('headless_wallet_ready');
+
+    const output = await attesting;
+    const attested = await db.getAttestationOrders({ id: order.id });
+
+    assert.strictEqual(output, `Order ${order.id} is attested with unit ${attested.unit}`);
+    assert.strictEqual(attested.status, 'attested');
+    assert.strictEqual((await ReviewDbService.getOrderReview(order.id)).status, 'approved');
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 1);
+
+    await assert.rejects(run(['force-attest', id, '--yes']), { code: 'ALREADY_ATTESTED' });
+});
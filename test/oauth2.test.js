@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.domain = 'https://bot.example';
+
+const { ConversationSimulator, MockOAuth2Provider } = require('../src/testing');
+
+const simulator = new ConversationSimulator();
+const { webserver, OAuth2Strategy } = require('../src');
+
+const provider = new MockOAuth2Provider({ profile: { id: 42, login: 'alice' } });
+
+class MockStrategy extends OAuth2Strategy { }
+
+let strategy;
+
+const toPath = (url) => url.replace(process.env.domain, '');
+
+// the user sends the wallet address, the bot replies with the authorize link
+const requestAuthorizeLink = async (user) => {
+    await user.send(user.walletAddress);
+    await simulator.settle();
+
+    return toPath(user.lastReply.match(/https:\S+/)[0]);
+}
+
+const authorize = async (user) => {
+    const authorizeResponse = await webserver.inject({ url: await requestAuthorizeLink(user) });
+
+    assert.strictEqual(authorizeResponse.statusCode, 302);
+
+    return toPath(await provider.login(authorizeResponse.headers.location));
+}
+
+test.before(async () => {
+    await provider.start();
+
+    // the routes are registered on the webserver before it starts
+    strategy = new MockStrategy({
+        name: 'mock',
+        providerName: 'Mock',
+        ...provider.endpoints,
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret,
+        mapProfile: (profile) => ({ userId: profile.id, username: profile.login }),
+    });
+
+    await simulator.start();
+});
+
+test.after(async () => {
+    await simulator.stop();
+    await provider.stop();
+});
+
+test('attests the provider account after the callback with PKCE', async () => {
+    const user = simulator.createDevice();
+
+    await user.pair('');
+
+    const callbackPath = await authorize(user);
+
+    const { query } = provider.requests.findLast(({ path }) => path === '/authorize');
+
+    assert.strictEqual(query.code_challenge_method, 'S256');
+    assert.strictEqual(query.redirect_uri, `${process.env.domain}/auth/mock/callback`);
+
+    const callback = await webserver.inject({ url: callbackPath });
+
+    assert.strictEqual(callback.statusCode, 200);
+
+    const { body } = provider.requests.findLast(({ path }) => path === '/token');
+
+    assert.ok(body.code_verifier);
+
+    const pairingUrl = callback.body.match(/href="([^"]+)"/)[1].replace(/&amp;/g, '&');
+
+    await user.pair(pairingUrl);
+    await user.signRequest();
+    await simulator.settle();
+
+    const [attestation] = simulator.getAttestations(user.walletAddress);
+
+    assert.deepStrictEqual(attestation.profile, { userId: '42', username: 'alice' });
+
+    const order = await strategy.db.getAttestationOrders({ data: { userId: '42', username: 'alice' }, address: user.walletAddress });
+
+    assert.strictEqual(order.status, 'attested');
+    assert.strictEqual(order.user_device_address, user.address);
+});
+
+test('refuses a reused state', async () => {
+    const user = simulator.createDevice();
+
+    await user.pair('');
+
+    const callbackPath = await authorize(user);
+
+    assert.strictEqual((await webserver.inject({ url: callbackPath })).statusCode, 200);
+
+    const replay = await webserver.inject({ url: callbackPath });
+
+    assert.strictEqual(replay.statusCode, 400);
+    assert.strictEqual((await webserver.inject({ url: `/auth/mock/authorize?${new URL(callbackPath, process.env.domain).searchParams}` })).statusCode, 400);
+});
+
+test('refuses an expired state', async () => {
+    const user = simulator.createDevice();
+
+    await user.pair('');
+
+    strategy.stateTtl = -1;
+
+    try {
+        const response = await webserver.inject({ url: await requestAuthorizeLink(user) });
+
+        assert.strictEqual(response.statusCode, 400);
+        assert.match(response.body, /This link has expired/);
+    } finally {
+        strategy.stateTtl = 600;
+    }
+});
+
+test('reports a denied authorization to the user', async () => {
+    const user = simulator.createDevice();
+
+    await user.pair('');
+
+    provider.deny = true;
+
+    try {
+        const callbackPath = await authorize(user);
+
+        assert.match(callbackPath, /error=access_denied/);
+
+        const tokenRequests = provider.requests.filter(({ path }) => path === '/token').length;
+        const callback = await webserver.inject({ url: callbackPath });
+
+        assert.strictEqual(callback.statusCode, 400);
+        assert.match(callback.body, /Failed to verify your Mock account/);
+        assert.strictEqual(provider.requests.filter(({ path }) => path === '/token').length, tokenRequests);
+    } finally {
+        provider.deny = false;
+    }
+
+    await simulator.settle();
+
+    assert.match(user.lastReply, /Failed to verify your Mock account/);
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+});
@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const PRICE = 10000;
+
+const simulator = new ConversationSimulator({ conf: { attestationPrice: PRICE, paymentCheckInterval: 3600 } });
+const { db } = require('../src');
+const payments = require('../src/services/payments');
+const reviews = require('../src/services/reviews');
+const PaymentDbService = require('../src/db/PaymentDbService');
+
+let userId = 0;
+
+// the user signs the data and is asked to pay
+const requestPayment = async () => {
+    const user = simulator.createDevice();
+    const order = await user.signAndVerify({ userId: String(++userId) });
+
+    assert.match(user.lastReply, /The attestation costs/);
+
+    return { user, orderId: order.id };
+}
+
+const getOrderStatus = async (orderId) => (await db.getAttestationOrders({ id: orderId })).status;
+
+const getRefunds = (address) => simulator.db.query("SELECT * FROM ATTESTATION_KIT_refunds WHERE address = ? ORDER BY id", [address]);
+
+const expireRequests = async () => {
+    await simulator.db.query("UPDATE ATTESTATION_KIT_payment_requests SET expires_at = ? WHERE status = 'pending'", [Date.now() - 1000]);
+    await payments.sweep();
+    await simulator.settle();
+}
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('attests when the payment is stable', async () => {
+    const { user, orderId } = await requestPayment();
+    const unit = await user.pay(PRICE, { stable: false });
+
+    assert.match(user.lastReply, /I received your payment/);
+    assert.strictEqual(await getOrderStatus(orderId), 'awaiting_payment');
+
+    await simulator.confirm(unit);
+
+    assert.strictEqual(await getOrderStatus(orderId), 'attested');
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 1);
+    assert.deepStrictEqual(await getRefunds(user.walletAddress), []);
+});
+
+test('sums the partial payments', async () => {
+    const { user, orderId } = await requestPayment();
+
+    await user.pay(PRICE * 0.4);
+
+    assert.strictEqual(await getOrderStatus(orderId), 'awaiting_payment');
+
+    await user.pay(PRICE * 0.6);
+
+    assert.strictEqual(await getOrderStatus(orderId), 'attested');
+    assert.deepStrictEqual(await getRefunds(user.walletAddress), []);
+});
+
+test('refunds the overpayment', async () => {
+    const { user, orderId } = await requestPayment();
+
+    await user.pay(PRICE * 1.5);
+
+    assert.strictEqual(await getOrderStatus(orderId), 'attested');
+
+    const [refund] = await getRefunds(user.walletAddress);
+
+    assert.strictEqual(refund.reason, 'overpayment');
+    assert.strictEqual(refund.amount, PRICE * 0.5);
+    assert.strictEqual(refund.status, 'sent');
+    assert.ok(simulator.units.some(({ unit, opts }) => unit === refund.unit && opts.to_address === user.walletAddress && opts.amount === PRICE * 0.5));
+    assert.ok(user.replies.some((reply) => /You paid more than the price/.test(reply)));
+});
+
+test('recovers the interrupted refunds', async () => {
+    const { user } = await requestPayment();
+
+    await user.pay(PRICE * 2);
+
+    const [sentRefund] = await getRefunds(user.walletAddress);
+
+    // the refund reached the DAG, the process stopped before the result was saved
+    await simulator.db.query("UPDATE ATTESTATION_KIT_refunds SET status = 'sending', unit = NULL WHERE id = ?", [sentRefund.id]);
+
+    // the refund didn't reach the DAG
+    const payload = { attestation_kit_refund: 'overpayment', ref: 'interrupted' };
+    const interruptedId = await PaymentDbService.addRefund({ requestId: sentRefund.request_id, address: user.walletAddress, amount: 1000, asset: null, reason: 'overpayment' });
+
+    await PaymentDbService.markRefundSending(interruptedId, payload, simulator.objectHash.getBase64Hash(payload, true));
+
+    const units = simulator.units.length;
+
+    await payments.recover();
+    await payments.sweep();
+
+    const [recovered, resent] = await getRefunds(user.walletAddress);
+
+    assert.strictEqual(recovered.status, 'sent');
+    assert.strictEqual(recovered.unit, sentRefund.unit);
+    assert.strictEqual(resent.id, interruptedId);
+    assert.strictEqual(resent.status, 'sent');
+    assert.strictEqual(simulator.units.length, units + 1);
+    assert.strictEqual(simulator.units.at(-1).unit, resent.unit);
+});
+
+test('expires the unpaid request and refunds the payment that comes after it', async () => {
+    const { user, orderId } = await requestPayment();
+
+    await expireRequests();
+
+    assert.strictEqual(await getOrderStatus(orderId), 'addressed');
+    assert.match(user.lastReply, /The time to pay for your attestation has passed/);
+
+    await user.pay(PRICE);
+
+    const [refund] = await getRefunds(user.walletAddress);
+
+    assert.strictEqual(refund.reason, 'unmatched');
+    assert.strictEqual(refund.amount, PRICE);
+    assert.strictEqual(refund.status, 'sent');
+    assert.strictEqual(await getOrderStatus(orderId), 'addressed');
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+});
+
+test('keeps the unmatched payment in bytes below the minimum refund', async () => {
+    const { user } = await requestPayment();
+
+    await expireRequests();
+    await user.pay(PRICE / 2);
+
+    assert.match(user.lastReply, /The amounts below .* are not refunded/);
+
+    await payments.sweep();
+
+    assert.deepStrictEqual(await getRefunds(user.walletAddress), []);
+});
+
+test('refunds the partial payment of the expired request', async () => {
+    const { user, orderId } = await requestPayment();
+
+    await user.pay(PRICE * 0.4);
+    await expireRequests();
+
+    const [refund] = await getRefunds(user.walletAddress);
+
+    assert.strictEqual(refund.reason, 'abandoned');
+    assert.strictEqual(refund.amount, PRICE * 0.4);
+    assert.strictEqual(refund.status, 'sent');
+    assert.strictEqual(await getOrderStatus(orderId), 'refunded');
+});
+
+test('refunds the payment of the rejected order', async () => {
+    const { user, orderId } = await requestPayment();
+
+    await user.pay(PRICE * 0.4);
+    await reviews.reject(orderId);
+    await user.pay(PRICE * 0.6);
+    await payments.sweep();
+    await simulator.settle();
+
+    const refunds = await getRefunds(user.walletAddress);
+
+    assert.deepStrictEqual(refunds.map(({ reason, amount }) => ({ reason, amount })), [{ reason: 'abandoned', amount: PRICE }]);
+    assert.strictEqual(await getOrderStatus(orderId), 'rejected');
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+});
+
+test('refunds the payment in another asset', async () => {
+    const asset = 'B'.repeat(43) + '=';
+    const { user, orderId } = await requestPayment();
+
+    await user.pay(PRICE, { asset });
+
+    const [refund] = await getRefunds(user.walletAddress);
+
+    assert.strictEqual(refund.reason, 'unmatched');
+    assert.strictEqual(refund.asset, asset);
+    assert.strictEqual(await getOrderStatus(orderId), 'awaiting_payment');
+});
+
+test('keeps each asset of a unit that pays in several assets', async () => {
+    const asset = 'C'.repeat(43) + '=';
+    const { user, orderId } = await requestPayment();
+
+    const unit = await simulator.receivePayment({ from: user.walletAddress, outputs: [{ amount: PRICE }, { amount: PRICE, asset }] });
+    const rows = await simulator.db.query("SELECT * FROM ATTESTATION_KIT_payments WHERE unit = ? ORDER BY is_unmatched", [unit]);
+
+    assert.deepStrictEqual(rows.map(({ asset, is_unmatched }) => ({ asset, is_unmatched })), [{ asset: null, is_unmatched: 0 }, { asset, is_unmatched: 1 }]);
+    assert.strictEqual(await getOrderStatus(orderId), 'attested');
+
+    await payments.sweep();
+
+    const refunds = await getRefunds(user.walletAddress);
+
+    assert.deepStrictEqual(refunds.map(({ reason, amount, asset }) => ({ reason, amount, asset })), [{ reason: 'unmatched', amount: PRICE, asset }]);
+    assert.strictEqual((await simulator.db.query("SELECT refund_id FROM ATTESTATION_KIT_payments WHERE unit = ? AND asset = ?", [unit, asset]))[0].refund_id, refunds[0].id);
+});
+
+test('keeps the payments from the addresses that were never asked to pay', async () => {
+    const address = simulator.createWalletAddress();
+
+    await simulator.receivePayment({ from: address, amount: PRICE });
+    await payments.sweep();
+
+    assert.deepStrictEqual(await getRefunds(address), []);
+});
+
+test('credits a payment with several authors to one of them', async () => {
+    const first = await requestPayment();
+    const second = await requestPayment();
+    const [payer, coauthor] = [first, second].sort((a, b) => a.user.walletAddress < b.user.walletAddress ? -1 : 1);
+
+    const unit = await simulator.receivePayment({ from: [first.user.walletAddress, second.user.walletAddress], amount: PRICE });
+    const rows = await simulator.db.query("SELECT * FROM ATTESTATION_KIT_payments WHERE unit = ?", [unit]);
+
+    assert.strictEqual(rows.length, 1);
+    assert.strictEqual(await getOrderStatus(payer.orderId), 'attested');
+    assert.strictEqual(await getOrderStatus(coauthor.orderId), 'awaiting_payment');
+});
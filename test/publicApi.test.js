@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const simulator = new ConversationSimulator();
+const { webserver, db } = require('../src');
+
+const get = async (url) => {
+    const response = await webserver.inject({ url });
+
+    return { statusCode: response.statusCode, body: response.json() };
+}
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('lists the attestations of an address page by page', async () => {
+    const user = simulator.createDevice();
+
+    for (const userId of ['1', '2', '3']) {
+        await user.signAndVerify({ userId });
+    }
+
+    const first = await get(`/attestations/${user.walletAddress}?limit=2`);
+
+    assert.strictEqual(first.statusCode, 200);
+    assert.deepStrictEqual(first.body.data.map(({ data }) => data.userId), ['1', '2']);
+    assert.ok(first.body.next_cursor);
+
+    const second = await get(`/attestations/${user.walletAddress}?limit=2&cursor=${first.body.next_cursor}`);
+
+    assert.deepStrictEqual(second.body.data.map(({ data }) => data.userId), ['3']);
+    assert.strictEqual(second.body.next_cursor, null);
+
+    assert.strictEqual((await get(`/attestations/${user.walletAddress}?limit=101`)).statusCode, 400);
+    assert.strictEqual((await get(`/attestations/${user.walletAddress}?cursor=abc`)).statusCode, 400);
+});
+
+test('searches the attestations only by the public keys', async () => {
+    await simulator.createDevice().signAndVerify({ userId: '4', email: 'alice@example.com' });
+
+    const found = await get('/attestations?key=userId&value=4');
+
+    assert.strictEqual(found.statusCode, 200);
+    assert.deepStrictEqual(found.body.data.map(({ data }) => data.email), ['alice@example.com']);
+    assert.strictEqual(found.body.next_cursor, null);
+
+    const rejected = await get('/attestations?key=email&value=alice%40example.com');
+
+    assert.strictEqual(rejected.statusCode, 400);
+    assert.strictEqual(rejected.body.code, 'INVALID_DATA');
+});
+
+test('does not show the private attestations', async () => {
+    const user = simulator.createDevice();
+    const data = { userId: '5', username: 'bob' };
+
+    await db.createAttestationOrder(data, user.walletAddress, true, true);
+
+    const order = await user.signAndVerify(data);
+
+    assert.strictEqual(order.status, 'attested');
+    assert.strictEqual(order.is_private, 1);
+
+    assert.deepStrictEqual((await get(`/attestations/${user.walletAddress}`)).body, { data: [], next_cursor: null });
+    assert.deepStrictEqual((await get('/attestations?key=userId&value=5')).body, { data: [], next_cursor: null });
+    assert.deepStrictEqual((await get('/attestations?key=username&value=bob')).body, { data: [], next_cursor: null });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const simulator = new ConversationSimulator({ conf: { deviceRateLimit: 2, deviceBlockDuration: 600, ipRateLimit: 2, ipBlockDuration: 600 } });
+const { webserver } = require('../src');
+const RateLimiter = require('../src/utils/RateLimiter');
+const isThrottled = require('../src/walletHandlers/isThrottled');
+
+// the limiters read the clock with Date.now, the tests move it
+const useClock = (t, start = 1e12) => {
+    const clock = { now: start };
+
+    t.mock.method(Date, 'now', () => clock.now);
+
+    return clock;
+}
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('starts a new window after the window passes', (t) => {
+    const clock = useClock(t);
+    const limiter = new RateLimiter({ limit: 2, window: 60, blockDuration: 600 });
+
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.hit('a').allowed, true);
+
+    clock.now += 60 * 1000;
+
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.isBlocked('a'), false);
+});
+
+test('reports the block only for the hit that caused it', (t) => {
+    const clock = useClock(t);
+    const limiter = new RateLimiter({ limit: 2, window: 60, blockDuration: 600 });
+
+    limiter.hit('a');
+    limiter.hit('a');
+
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: false, justBlocked: true, retryAfter: 600 });
+
+    clock.now += 100 * 1000;
+
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: false, justBlocked: false, retryAfter: 500 });
+    assert.strictEqual(limiter.hit('b').allowed, true);
+});
+
+test('lets the key in again when the block expires', (t) => {
+    const clock = useClock(t);
+    const limiter = new RateLimiter({ limit: 1, window: 60, blockDuration: 600 });
+
+    limiter.hit('a');
+    limiter.hit('a');
+
+    assert.deepStrictEqual(limiter.getBlocked().map(({ key }) => key), ['a']);
+
+    clock.now += 600 * 1000;
+
+    assert.deepStrictEqual(limiter.getBlocked(), []);
+    assert.deepStrictEqual(limiter.hit('a'), { allowed: true, justBlocked: false, retryAfter: 0 });
+});
+
+test('does not limit with the limit 0', () => {
+    const limiter = new RateLimiter({ limit: 0, window: 60, blockDuration: 600 });
+
+    for (let i = 0; i < 10; i++) {
+        assert.strictEqual(limiter.hit('a').allowed, true);
+    }
+});
+
+test('tells the throttled device to wait once and ignores its messages until the block expires', (t) => {
+    const clock = useClock(t);
+    const user = simulator.createDevice();
+
+    assert.strictEqual(isThrottled(user.address), false);
+    assert.strictEqual(isThrottled(user.address), false);
+    assert.strictEqual(isThrottled(user.address), true);
+    assert.strictEqual(isThrottled(user.address), true);
+
+    assert.strictEqual(user.replies.length, 1);
+    assert.match(user.lastReply, /Please wait 10 min/);
+
+    clock.now += 600 * 1000;
+
+    assert.strictEqual(isThrottled(user.address), false);
+    assert.strictEqual(user.replies.length, 1);
+});
+
+test('answers 429 with Retry-After to the IP over the limit until the block expires', async (t) => {
+    const clock = useClock(t);
+    const request = () => webserver.inject({ url: '/attestations?key=userId&value=1', remoteAddress: '203.0.113.7' });
+
+    assert.strictEqual((await request()).statusCode, 200);
+    assert.strictEqual((await request()).statusCode, 200);
+
+    const blocked = await request();
+
+    assert.strictEqual(blocked.statusCode, 429);
+    assert.strictEqual(Number(blocked.headers['retry-after']), 600);
+    assert.strictEqual(blocked.json().code, 'TOO_MANY_REQUESTS');
+
+    clock.now += 300 * 1000;
+
+    assert.strictEqual(Number((await request()).headers['retry-after']), 300);
+
+    clock.now += 300 * 1000;
+
+    assert.strictEqual((await request()).statusCode, 200);
+});
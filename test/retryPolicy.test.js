@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getNextAttempt } = require('../src/utils/retryPolicy');
+
+const policy = { retryDelay: 60, maxRetryDelay: 300, maxAttempts: 5, waitForFunds: true };
+
+test('doubles the delay up to the longest one', () => {
+    const delays = [0, 1, 2, 3].map((attempts) => getNextAttempt({ attempts, error: 'timeout' }, policy, 1000).nextAttemptTs - 1000);
+
+    assert.deepStrictEqual(delays, [60, 120, 240, 300]);
+});
+
+test('gives up after the last attempt', () => {
+    assert.deepStrictEqual(getNextAttempt({ attempts: 4, error: 'timeout' }, policy, 1000), { attempts: 5, countAttempt: true, nextAttemptTs: null });
+});
+
+test('does not count the attempts that wait for funds', () => {
+    const error = 'not enough spendable funds from the attestor';
+
+    assert.deepStrictEqual(getNextAttempt({ attempts: 4, error }, policy, 1000), { attempts: 4, countAttempt: false, nextAttemptTs: 1300 });
+    assert.deepStrictEqual(getNextAttempt({ attempts: 0, error }, { ...policy, waitForFunds: false }, 1000), { attempts: 1, countAttempt: true, nextAttemptTs: 1060 });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const REWARD = 1000;
+
+const simulator = new ConversationSimulator({ conf: { attestationReward: REWARD, rewardIdentityFields: ['userId'], rewardQueueInterval: 3600 } });
+const { db, rewards } = require('../src');
+const RewardDbService = require('../src/db/RewardDbService');
+const attestationOutbox = require('../src/services/attestationOutbox');
+
+const getPayouts = async (order) => RewardDbService.getOrderPayouts(order.id);
+
+const getRewardUnits = (address) => simulator.units.filter(({ opts }) => opts.to_address === address && opts.amount === REWARD);
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('rewards an identity once', async () => {
+    const first = simulator.createDevice();
+    const firstOrder = await first.signAndVerify({ userId: '1', username: 'alice' });
+
+    assert.strictEqual(firstOrder.status, 'attested');
+
+    const [payout] = await getPayouts(firstOrder);
+
+    assert.strictEqual(payout.status, 'sent');
+    assert.strictEqual(payout.address, first.walletAddress);
+    assert.strictEqual(getRewardUnits(first.walletAddress).length, 1);
+
+    // the same user with another username and another address
+    const second = simulator.createDevice();
+    const secondOrder = await second.signAndVerify({ userId: '1', username: 'alice2' });
+
+    assert.strictEqual(secondOrder.status, 'attested');
+    assert.deepStrictEqual(await getPayouts(secondOrder), []);
+    assert.strictEqual(getRewardUnits(second.walletAddress).length, 0);
+});
+
+test('rewards an identity once when it is attested twice in one batch', async () => {
+    Object.assign(simulator.conf, { batchAttestations: true, attestationBatchMaxSize: 16, attestationBatchWindow: 3600 });
+
+    try {
+        const first = await simulator.createDevice().signAndVerify({ userId: '2', username: 'bob' });
+        const second = await simulator.createDevice().signAndVerify({ userId: '2', username: 'bob2' });
+
+        // the batch window has passed
+        simulator.conf.attestationBatchWindow = 0;
+        await attestationOutbox.processQueue();
+        await simulator.settle();
+
+        const [firstOrder, secondOrder] = await Promise.all([first, second].map(({ id }) => db.getAttestationOrders({ id })));
+
+        assert.strictEqual(firstOrder.unit, secondOrder.unit);
+        assert.strictEqual((await getPayouts(first)).length + (await getPayouts(second)).length, 1);
+    } finally {
+        simulator.conf.batchAttestations = false;
+    }
+});
+
+test('recovers the interrupted payouts', async () => {
+    const user = simulator.createDevice();
+    const order = await user.signAndVerify({ userId: '3' });
+    const [sentPayout] = await getPayouts(order);
+
+    // the payout reached the DAG, the process stopped before the result was saved
+    await simulator.db.query("UPDATE ATTESTATION_KIT_rewards SET status = 'sending', unit = NULL WHERE id = ?", [sentPayout.id]);
+
+    // the payout didn't reach the DAG
+    const payload = { attestation_kit_payout: 'referral', ref: 'interrupted' };
+    const [interruptedId] = await RewardDbService.addPayouts([{ orderId: order.id, identityHash: sentPayout.identity_hash, type: 'referral', address: user.walletAddress, amount: REWARD, asset: null, payload, payloadHash: simulator.objectHash.getBase64Hash(payload, true) }]);
+
+    await RewardDbService.markSending(interruptedId);
+
+    const units = simulator.units.length;
+
+    await rewards.recover();
+    await rewards.processQueue();
+    await simulator.settle();
+
+    const [recovered, resent] = await getPayouts(order);
+
+    assert.strictEqual(recovered.status, 'sent');
+    assert.strictEqual(recovered.unit, sentPayout.unit);
+    assert.strictEqual(resent.id, interruptedId);
+    assert.strictEqual(resent.status, 'sent');
+    assert.strictEqual(simulator.units.length, units + 1);
+    assert.strictEqual(simulator.units.at(-1).unit, resent.unit);
+});
+
+test('retries on the incoming funds only the payouts that wait for funds', async () => {
+    const addFailedPayout = async (data, error) => {
+        const address = simulator.createWalletAddress();
+        const orderId = await db.createAttestationOrder(data, address);
+
+        simulator.failNextPayment(error);
+        await rewards.addRewards({ order_id: orderId, address, unit: null, data });
+        await simulator.settle();
+
+        return (await RewardDbService.getOrderPayouts(orderId))[0];
+    }
+
+    const unfunded = await addFailedPayout({ userId: '4' }, `not enough spendable funds from ${simulator.attestorAddress} for fees`);
+    const failed = await addFailedPayout({ userId: '5' }, 'connection to the hub is lost');
+
+    // a payout of the attestor itself funds nothing
+    simulator.eventBus.emit('new_my_transactions', [simulator.units.at(-1).unit]);
+    await simulator.settle();
+
+    assert.strictEqual((await RewardDbService.getOrderPayouts(unfunded.attestation_id))[0].status, 'pending');
+
+    await simulator.receivePayment({ from: simulator.createWalletAddress(), amount: 1e6 });
+
+    const [sent] = await RewardDbService.getOrderPayouts(unfunded.attestation_id);
+    const [waiting] = await RewardDbService.getOrderPayouts(failed.attestation_id);
+
+    assert.strictEqual(sent.status, 'sent');
+    assert.strictEqual(waiting.status, 'pending');
+    assert.strictEqual(waiting.attempts, 1);
+    assert.strictEqual(waiting.next_attempt_ts, failed.next_attempt_ts);
+});
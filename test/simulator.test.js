@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.domain = 'https://bot.example';
+
+const { ConversationSimulator } = require('../src/testing');
+
+const simulator = new ConversationSimulator();
+const { utils, db, BaseStrategy } = require('../src');
+const generateVerifyMessage = require('../src/utils/generateVerifyMessage');
+const dictionary = require('../dictionary');
+
+class TestStrategy extends BaseStrategy {
+    init() { }
+}
+
+test.before(() => simulator.start());
+test.after(() => simulator.stop());
+
+test('attests the data signed by the paired device', async () => {
+    const user = simulator.createDevice();
+    const data = { userId: '1' };
+    const posted = simulator.waitForUnit(({ messages }) => messages.some(({ app }) => app === 'attestation'));
+
+    const order = await user.signAndVerify(data);
+    const { unit } = await posted;
+
+    assert.ok(user.replies.some((reply) => /sign-message-request:.*Nonce: /.test(reply)));
+
+    const [attestation] = simulator.getAttestations(user.walletAddress);
+
+    assert.strictEqual(attestation.unit, unit);
+    assert.deepStrictEqual(attestation.profile, data);
+    assert.strictEqual(order.status, 'attested');
+    assert.strictEqual(order.unit, unit);
+    assert.strictEqual(order.user_device_address, user.address);
+    assert.ok(user.lastReply.includes(unit));
+});
+
+test('does not attest the data signed by another address', async () => {
+    const user = simulator.createDevice();
+    const order = await user.signAndVerify({ userId: '2' }, { walletAddress: simulator.createWalletAddress() });
+
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+    assert.notStrictEqual(order.status, 'attested');
+    assert.strictEqual(order.user_device_address, null);
+    assert.match(user.lastReply, /does not match/);
+});
+
+test('reads the pairing data with a regional language code and dashes in the data', async () => {
+    dictionary.addLanguage('pt', { common: {} }, { name: 'Português' });
+
+    const visitor = simulator.createDevice();
+
+    await visitor.pair('lang=pt-BR');
+
+    assert.strictEqual(dictionary.getDeviceLanguage(visitor.address), 'pt-BR');
+
+    const user = simulator.createDevice();
+    const data = { userId: '8', username: 'ana-maria' };
+
+    await db.createAttestationOrder(data, user.walletAddress);
+    await user.pair(utils.generateParingUrlWithVerifyData(user.walletAddress, data, 'pt-BR'));
+
+    assert.strictEqual(dictionary.getDeviceLanguage(user.address), 'pt-BR');
+    assert.match(user.lastReply, /sign-message-request:/);
+
+    await user.signRequest();
+    await simulator.settle();
+
+    assert.deepStrictEqual(simulator.getAttestations(user.walletAddress)[0].profile, data);
+});
+
+test('rejects the legacy signed message without a nonce unless conf.allowSignaturesWithoutNonce is set', async () => {
+    const user = simulator.createDevice();
+    const data = { userId: '3' };
+
+    await db.createAttestationOrder(data, user.walletAddress);
+    await user.pair(utils.generateParingUrlWithVerifyData(user.walletAddress, data));
+    await user.sendSignedMessage(generateVerifyMessage(user.walletAddress, data));
+    await simulator.settle();
+
+    assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 0);
+    assert.notStrictEqual((await db.getAttestationOrders({ data })).status, 'attested');
+
+    simulator.conf.allowSignaturesWithoutNonce = true;
+
+    try {
+        const posted = simulator.waitForUnit(({ messages }) => messages.some(({ app }) => app === 'attestation'));
+
+        await user.sendSignedMessage(generateVerifyMessage(user.walletAddress, data));
+        await posted;
+        await simulator.settle();
+
+        assert.strictEqual(simulator.getAttestations(user.walletAddress).length, 1);
+    } finally {
+        delete simulator.conf.allowSignaturesWithoutNonce;
+    }
+});
+
+test('attests all the orders privately with the privateProfiles option of the strategy', async () => {
+    const orders = [{ userId: '4' }, { userId: '5' }, { userId: '6' }].map((data) => ({ user: simulator.createDevice(), data }));
+    const [existing, unchanged, created] = orders;
+
+    // the orders created before the strategy is made private
+    const existingId = await db.createAttestationOrder(existing.data, existing.user.walletAddress);
+    await db.createAttestationOrder(unchanged.data, unchanged.user.walletAddress);
+
+    new TestStrategy({ privateProfiles: true });
+
+    try {
+        // the admin API and the other callers of DbService create the orders private too
+        assert.strictEqual(await db.createAttestationOrder(existing.data, existing.user.walletAddress), existingId);
+        await db.createAttestationOrder(created.data, created.user.walletAddress);
+
+        assert.strictEqual((await db.getAttestationOrders({ data: existing.data })).is_private, 1);
+        assert.strictEqual((await db.getAttestationOrders({ data: unchanged.data })).is_private, 0);
+        assert.strictEqual((await db.getAttestationOrders({ data: created.data })).is_private, 1);
+
+        for (const { user, data } of orders) {
+            await user.pair(utils.generateParingUrlWithVerifyData(user.walletAddress, data));
+            await user.signRequest();
+            await simulator.settle();
+
+            const [attestation] = simulator.getAttestations(user.walletAddress);
+
+            assert.ok(attestation.profile.profile_hash);
+            assert.strictEqual((await db.getAttestationOrders({ data })).is_private, 1);
+        }
+    } finally {
+        new TestStrategy({ privateProfiles: false });
+    }
+
+    const publicUser = simulator.createDevice();
+    const publicOrder = await publicUser.signAndVerify({ userId: '7' });
+
+    assert.deepStrictEqual(simulator.getAttestations(publicUser.walletAddress)[0].profile, { userId: '7' });
+    assert.strictEqual(publicOrder.is_private, 0);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const { ConversationSimulator } = require('../src/testing');
+
+const simulator = new ConversationSimulator();
+const { webhookDispatcher } = require('../src');
+
+const SECRET = 'webhook secret';
+
+// the receiver answers with the queued statuses, then with 200
+const receiver = {
+    server: null,
+    url: null,
+    requests: [],
+    statuses: [],
+};
+
+const getDeliveries = (event) => simulator.db.query("SELECT * FROM ATTESTATION_KIT_webhook_deliveries WHERE event = ? ORDER BY id", [event]);
+
+const waitForRequests = (event, count) => simulator.waitUntil(() => receiver.requests.filter((request) => request.headers['x-attestation-kit-event'] === event).length >= count, 5000, `${count} ${event} requests`);
+
+// makes the scheduled retries due now and sends them
+const retryNow = async () => {
+    await simulator.db.query("UPDATE ATTESTATION_KIT_webhook_deliveries SET next_attempt_ts = ? WHERE status = 'pending'", [Math.floor(Date.now() / 1000)]);
+    await webhookDispatcher.processQueue();
+}
+
+test.before(async () => {
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.statuses.shift() ?? 200);
+            res.end();
+        });
+    });
+
+    await new Promise((resolve) => receiver.server.listen(0, '127.0.0.1', resolve));
+
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+
+    // the dispatcher is started when the webhooks are configured
+    simulator.conf.webhooks = [{ url: receiver.url, secret: SECRET }];
+
+    await simulator.start();
+});
+
+test.after(async () => {
+    await simulator.stop();
+    await new Promise((resolve) => receiver.server.close(resolve));
+});
+
+test('signs the timestamp and the body of the delivery', async () => {
+    const user = simulator.createDevice();
+    const data = { userId: '1' };
+
+    await user.signAndVerify(data);
+    await waitForRequests('ATTESTATION_KIT_ATTESTED', 1);
+
+    const { headers, body } = receiver.requests.find((request) => request.headers['x-attestation-kit-event'] === 'ATTESTATION_KIT_ATTESTED');
+    const expectedSignature = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${headers['x-attestation-kit-timestamp']}.${body}`).digest('hex');
+
+    assert.strictEqual(headers['x-attestation-kit-signature'], expectedSignature);
+    assert.ok(Math.abs(Number(headers['x-attestation-kit-timestamp']) - Date.now() / 1000) < 60);
+
+    const { event, payload } = JSON.parse(body);
+    const [attestation] = simulator.getAttestations(user.walletAddress);
+
+    assert.strictEqual(event, 'ATTESTATION_KIT_ATTESTED');
+    assert.deepStrictEqual(payload, { device_address: user.address, address: user.walletAddress, unit: attestation.unit, data });
+
+    await simulator.settle();
+
+    const [delivery] = await getDeliveries('ATTESTATION_KIT_ATTESTED');
+
+    assert.strictEqual(String(delivery.id), headers['x-attestation-kit-delivery']);
+    assert.strictEqual(delivery.status, 'delivered');
+});
+
+test('retries a failed delivery with an exponential backoff', async () => {
+    receiver.statuses.push(500, 503);
+
+    simulator.eventBus.emit('ATTESTATION_KIT_LOW_BALANCE', { balance: 1 });
+    await waitForRequests('ATTESTATION_KIT_LOW_BALANCE', 1);
+    await simulator.settle();
+
+    let [delivery] = await getDeliveries('ATTESTATION_KIT_LOW_BALANCE');
+    let timestamp = Number(receiver.requests.at(-1).headers['x-attestation-kit-timestamp']);
+
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.last_error, 'HTTP 500');
+    assert.strictEqual(delivery.next_attempt_ts, timestamp + 30);
+
+    await retryNow();
+
+    [delivery] = await getDeliveries('ATTESTATION_KIT_LOW_BALANCE');
+    timestamp = Number(receiver.requests.at(-1).headers['x-attestation-kit-timestamp']);
+
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 2);
+    assert.strictEqual(delivery.last_error, 'HTTP 503');
+    assert.strictEqual(delivery.next_attempt_ts, timestamp + 60);
+
+    await retryNow();
+
+    [delivery] = await getDeliveries('ATTESTATION_KIT_LOW_BALANCE');
+
+    assert.strictEqual(delivery.status, 'delivered');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(delivery.last_error, null);
+    assert.strictEqual(receiver.requests.filter((request) => request.headers['x-attestation-kit-event'] === 'ATTESTATION_KIT_LOW_BALANCE').length, 3);
+});
+
+test('gives up after conf.webhookMaxAttempts', async () => {
+    simulator.conf.webhookMaxAttempts = 2;
+    receiver.statuses.push(500, 500);
+
+    try {
+        simulator.eventBus.emit('ATTESTATION_KIT_BALANCE_RESTORED', { balance: 1e9 });
+        await waitForRequests('ATTESTATION_KIT_BALANCE_RESTORED', 1);
+        await simulator.settle();
+        await retryNow();
+
+        const [delivery] = await getDeliveries('ATTESTATION_KIT_BALANCE_RESTORED');
+
+        assert.strictEqual(delivery.status, 'failed');
+        assert.strictEqual(delivery.attempts, 2);
+
+        await retryNow();
+
+        assert.strictEqual(receiver.requests.filter((request) => request.headers['x-attestation-kit-event'] === 'ATTESTATION_KIT_BALANCE_RESTORED').length, 2);
+    } finally {
+        delete simulator.conf.webhookMaxAttempts;
+    }
+});
+
+test('resumes the pending deliveries after a restart', async () => {
+    receiver.statuses.push(500);
+
+    simulator.eventBus.emit('ATTESTATION_KIT_REFUNDED', { amount: 1000 });
+    await waitForRequests('ATTESTATION_KIT_REFUNDED', 1);
+    await simulator.settle();
+
+    webhookDispatcher.stop();
+
+    // the dispatcher doesn't listen while stopped, the delivery left in the queue is sent by the next start
+    await simulator.db.query("UPDATE ATTESTATION_KIT_webhook_deliveries SET next_attempt_ts = ? WHERE status = 'pending'", [Math.floor(Date.now() / 1000)]);
+
+    webhookDispatcher.start();
+    await waitForRequests('ATTESTATION_KIT_REFUNDED', 2);
+    await simulator.settle();
+
+    const deliveries = await getDeliveries('ATTESTATION_KIT_REFUNDED');
+
+    assert.strictEqual(deliveries.length, 1);
+    assert.strictEqual(deliveries[0].status, 'delivered');
+    assert.strictEqual(deliveries[0].attempts, 2);
+    assert.deepStrictEqual(JSON.parse(receiver.requests.at(-1).body).payload, { amount: 1000 });
+});